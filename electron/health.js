@@ -0,0 +1,166 @@
+// Strömkontroll i main-processen (ingen CORS): provar kanal-URL:er med begränsad samtidighet och sparar
+// status, svarstid och – för HLS – upplösning/bitrate från master-spellistan. Resultaten nycklas på URL,
+// sparas i userData/stream-health.json och skickas till renderer i omgångar via health:update.
+import { app, BrowserWindow, ipcMain } from 'electron';
+import fsp from 'fs/promises';
+import path from 'path';
+import { sessionFetch } from './net.js';
+
+const CONCURRENCY = 4;          // många leverantörer begränsar antalet samtidiga anslutningar
+const TIMEOUT_MS = 10 * 1000;
+const SLOW_MS = 3000;           // svarstid över detta räknas som långsam
+const RAW_PROBE_BYTES = 64 * 1024;
+const UPDATE_MS = 500;
+const MAX_RESULTS = 50000;
+const DEFAULT_UA = 'Mozilla/5.0';
+
+let results = {}; // url -> { status: 'ok' | 'slow' | 'dead', latency, httpStatus, kind, resolution, bandwidth, error, checkedAt }
+let storeFile = '';
+let run = null;   // { ctrl, total, done }
+let lastRun = { total: 0, done: 0 };
+let pending = {};
+let updateTimer = null;
+
+// ------------------------ Lagring ------------------------
+async function load() {
+  try { results = JSON.parse(await fsp.readFile(storeFile, 'utf8')); } catch { results = {}; }
+}
+let saveChain = Promise.resolve();
+function save() {
+  const urls = Object.keys(results);
+  if (urls.length > MAX_RESULTS) {
+    urls.sort((a, b) => results[a].checkedAt - results[b].checkedAt);
+    for (const url of urls.slice(0, urls.length - MAX_RESULTS)) delete results[url];
+  }
+  const data = JSON.stringify(results);
+  saveChain = saveChain.then(() => fsp.writeFile(storeFile, data)).catch(() => {});
+  return saveChain;
+}
+function progress() {
+  return run ? { running: true, total: run.total, done: run.done } : { running: false, ...lastRun };
+}
+function broadcast(payload) {
+  for (const win of BrowserWindow.getAllWindows()) if (!win.isDestroyed()) win.webContents.send('health:update', payload);
+}
+// Resultaten samlas ihop så att en stor spellista inte ger tusentals IPC-meddelanden
+function flush() {
+  clearTimeout(updateTimer); updateTimer = null;
+  broadcast({ results: pending, progress: progress() });
+  pending = {};
+}
+function queueUpdate(url, result) {
+  pending[url] = result;
+  if (!updateTimer) updateTimer = setTimeout(flush, UPDATE_MS);
+}
+
+// ------------------------ Provning ------------------------
+async function get(url, headers, signal) {
+  const res = await sessionFetch(url, { headers, signal });
+  if (!res.ok) {
+    res.body?.cancel().catch(() => {});
+    throw Object.assign(new Error(`HTTP ${res.status}`), { httpStatus: res.status });
+  }
+  return res;
+}
+
+function parseManifest(text, base) {
+  if (!text.trimStart().startsWith('#EXTM3U')) throw new Error('Ogiltig HLS-spellista');
+  const lines = text.split(/\r?\n/).map((l) => l.trim());
+  const variants = [];
+  let segments = 0;
+  for (let i = 0; i < lines.length; i++) {
+    const l = lines[i];
+    if (l.startsWith('#EXT-X-STREAM-INF')) {
+      const uri = lines.slice(i + 1).find((x) => x && !x.startsWith('#'));
+      if (uri) variants.push({ url: new URL(uri, base).toString(), bandwidth: Number(l.match(/[:,]BANDWIDTH=(\d+)/)?.[1]) || 0, resolution: l.match(/RESOLUTION=(\d+x\d+)/)?.[1] || '' });
+    } else if (l && !l.startsWith('#') && !variants.length) segments++;
+  }
+  return { variants, segments };
+}
+
+// Master-spellista: bästa varianten ger upplösning/bitrate och måste själv ha segment
+async function probeHls(text, base, headers, signal) {
+  const master = parseManifest(text, base);
+  if (!master.variants.length) {
+    if (!master.segments) throw new Error('Spellistan saknar segment');
+    return { kind: 'hls', resolution: '', bandwidth: 0 };
+  }
+  const best = master.variants.sort((a, b) => b.bandwidth - a.bandwidth)[0];
+  const media = parseManifest(await (await get(best.url, headers, signal)).text(), best.url);
+  if (!media.segments) throw new Error('Varianten saknar segment');
+  return { kind: 'hls', resolution: best.resolution, bandwidth: best.bandwidth, variants: master.variants.length };
+}
+
+// Rå TS/MP4: räcker att de första byten kommer; anslutningen stängs direkt efteråt
+async function probeRaw(res, type) {
+  const reader = res.body.getReader();
+  let bytes = 0, head = null;
+  try {
+    while (bytes < RAW_PROBE_BYTES) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      head ||= value; bytes += value.length;
+    }
+  } finally { reader.cancel().catch(() => {}); }
+  if (!bytes) throw new Error('Ingen data mottogs');
+  return { kind: head[0] === 0x47 || type.includes('mp2t') ? 'ts' : type.split(';')[0] || 'data' };
+}
+
+async function probe(channel, parent) {
+  const signal = AbortSignal.any([parent, AbortSignal.timeout(TIMEOUT_MS)]);
+  const headers = { 'User-Agent': DEFAULT_UA, ...(channel.headers || {}) };
+  const started = Date.now();
+  try {
+    const res = await get(channel.url, headers, signal);
+    const latency = Date.now() - started;
+    const type = (res.headers.get('content-type') || '').toLowerCase();
+    const info = type.includes('mpegurl') || /\.m3u8?(\?|$)/i.test(new URL(res.url).pathname)
+      ? await probeHls(await res.text(), res.url, headers, signal)
+      : await probeRaw(res, type);
+    return { status: latency > SLOW_MS ? 'slow' : 'ok', latency, httpStatus: res.status, ...info, error: '' };
+  } catch (err) {
+    if (parent.aborted) throw err;
+    return { status: 'dead', latency: Date.now() - started, httpStatus: err.httpStatus || 0, error: signal.aborted ? 'Tidsgräns' : String(err?.cause?.code || err?.message || err) };
+  }
+}
+
+// En körning i taget; en ny körning avbryter den förra
+async function check(channels) {
+  run?.ctrl.abort();
+  const seen = new Set();
+  const queue = channels.filter((c) => c?.url && !seen.has(c.url) && seen.add(c.url));
+  const current = run = { ctrl: new AbortController(), total: queue.length, done: 0 };
+  const worker = async () => {
+    while (queue.length && !current.ctrl.signal.aborted) {
+      const channel = queue.shift();
+      let result;
+      try { result = await probe(channel, current.ctrl.signal); } catch { return; }
+      results[channel.url] = { ...result, checkedAt: Date.now() };
+      current.done++;
+      queueUpdate(channel.url, results[channel.url]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(CONCURRENCY, queue.length) }, worker));
+  if (run === current) { run = null; lastRun = { total: current.total, done: current.done }; }
+  flush();
+  save();
+}
+
+// ------------------------ Publikt ------------------------
+export async function initHealthChecker() {
+  storeFile = path.join(app.getPath('userData'), 'stream-health.json');
+  await load();
+
+  ipcMain.handle('health:results', () => ({ results, progress: progress() }));
+  // channels: [{ url, headers }]; svarar direkt, resultaten kommer via health:update
+  ipcMain.handle('health:start', (_e, channels) => { check(Array.isArray(channels) ? channels : []); });
+  ipcMain.handle('health:cancel', () => { run?.ctrl.abort(); });
+  ipcMain.handle('health:clear', () => {
+    run?.ctrl.abort();
+    results = {}; pending = {};
+    save();
+    broadcast({ reset: true, results: {}, progress: progress() });
+  });
+
+  app.on('before-quit', () => { run?.ctrl.abort(); save(); });
+}
@@ -1,37 +1,98 @@
 // ESM version av Electron main
-import { app, BrowserWindow, session } from 'electron';
+import { app, BrowserWindow, ipcMain, Notification, protocol } from 'electron';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { RECORDING_SCHEME_PRIVILEGES, initRecorder } from './recorder.js';
+import { STREAM_SCHEME_PRIVILEGES, initNetService } from './net.js';
+import { initHealthChecker } from './health.js';
+import { initRemoteControl } from './remote.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Minispelare: litet ramlöst fönster som ligger överst och spelar en kanal medan huvudfönstret används.
+// Samma app laddas med #mini och hämtar kanalen via mini:current.
+let mainWin = null;
+let miniWin = null;
+let miniChannel = null;
+
+function loadApp(win, hash) {
+  if (process.env.VITE_DEV_SERVER_URL) win.loadURL(process.env.VITE_DEV_SERVER_URL + (hash ? '#' + hash : ''));
+  else win.loadFile(path.join(__dirname, '../dist/index.html'), hash ? { hash } : undefined);
+}
+
+ipcMain.handle('mini:open', (_e, channel) => {
+  miniChannel = channel;
+  if (miniWin && !miniWin.isDestroyed()) { miniWin.webContents.send('mini:channel', channel); miniWin.show(); return; }
+  miniWin = new BrowserWindow({
+    width: 480, height: 270, minWidth: 240, minHeight: 135,
+    frame: false, alwaysOnTop: true, backgroundColor: '#000000', title: 'NetIPTV',
+    webPreferences: { preload: path.join(__dirname, 'preload.js'), contextIsolation: true, sandbox: true }
+  });
+  miniWin.setAspectRatio(16 / 9);
+  miniWin.on('closed', () => { miniWin = null; miniChannel = null; });
+  loadApp(miniWin, 'mini');
+});
+ipcMain.handle('mini:current', () => miniChannel);
+ipcMain.handle('mini:close', () => { miniWin?.close(); });
+// "Öppna i appen": kanalen tas över av huvudfönstret och minispelaren stängs
+ipcMain.handle('mini:expand', () => {
+  if (mainWin && !mainWin.isDestroyed() && miniChannel) {
+    if (mainWin.isMinimized()) mainWin.restore();
+    mainWin.show(); mainWin.focus();
+    mainWin.webContents.send('mini:expand', miniChannel);
+  }
+  miniWin?.close();
+});
+
+// Programpåminnelser från renderer. Ett klick tar fram fönstret och byter kanal (notify:click).
+// Notiserna hålls kvar i minnet tills de stängs, annars kan klick-händelsen försvinna med skräpsamlingen.
+const notifications = new Set();
+ipcMain.handle('notify:show', (e, { id, title, body }) => {
+  if (!Notification.isSupported()) return false;
+  const win = BrowserWindow.fromWebContents(e.sender);
+  const n = new Notification({ title, body });
+  notifications.add(n);
+  n.on('click', () => {
+    notifications.delete(n);
+    if (win && !win.isDestroyed()) {
+      if (win.isMinimized()) win.restore();
+      win.show(); win.focus();
+      win.webContents.send('notify:click', id);
+    }
+  });
+  n.on('close', () => notifications.delete(n));
+  n.show();
+  return true;
+});
+
 function createWindow() {
-  const win = new BrowserWindow({
+  const win = mainWin = new BrowserWindow({
     width: 1280, height: 800,
     backgroundColor: '#0a0a0a',
     autoHideMenuBar: true,
     webPreferences: {
+      preload: path.join(__dirname, 'preload.js'),
       contextIsolation: true,
-      sandbox: true,
-      webSecurity: false
+      sandbox: true
     }
   });
 
-  // Valfri header-tweak (UA etc)
-  session.defaultSession.webRequest.onBeforeSendHeaders((details, cb) => {
-    details.requestHeaders['User-Agent'] = details.requestHeaders['User-Agent'] || 'Mozilla/5.0';
-    cb({ cancel: false, requestHeaders: details.requestHeaders });
-  });
-
-  if (process.env.VITE_DEV_SERVER_URL) {
-    win.loadURL(process.env.VITE_DEV_SERVER_URL);
-  } else {
-    win.loadFile(path.join(__dirname, '../dist/index.html'));
-  }
+  // Minispelaren hör till huvudfönstret
+  win.on('closed', () => { mainWin = null; miniWin?.close(); });
+  loadApp(win);
 }
 
-app.whenReady().then(() => {
+// Nätverk och headers sköts av electron/net.js, så renderer kör med webSecurity påslaget
+protocol.registerSchemesAsPrivileged([RECORDING_SCHEME_PRIVILEGES, STREAM_SCHEME_PRIVILEGES]);
+// Krävs för notiser i Windows; samma id som build.appId i package.json
+if (process.platform === 'win32') app.setAppUserModelId('com.example.netiptv');
+
+app.whenReady().then(async () => {
+  await initNetService();
+  await initRecorder();
+  await initHealthChecker();
+  await initRemoteControl(() => mainWin);
   createWindow();
   app.on('activate', () => {
     if (BrowserWindow.getAllWindows().length === 0) createWindow();
@@ -0,0 +1,200 @@
+// Nätverkslager i main-processen så att renderer kan köra med webSecurity påslaget:
+// - net:fetch hämtar spellistor och Xtream-API som text med progress (renderer slipper CORS)
+// - netiptv-stream:// är en strömmande proxy för uppspelningen och EPG-workern; HLS-spellistor skrivs om så att varianter, segment och nycklar
+//   också går via proxyn, och svaren får CORS-huvuden
+// - headers och cookies per host (inställningar), kanalens headers från M3U:n per spelare och valfri HTTP/SOCKS-proxy
+// Inställningarna sparas i userData/network.json.
+import { app, ipcMain, protocol, session } from 'electron';
+import crypto from 'crypto';
+import fsp from 'fs/promises';
+import path from 'path';
+
+const SCHEME = 'netiptv-stream';
+const DEFAULT_UA = 'Mozilla/5.0';
+const PROGRESS_INTERVAL_MS = 200;
+const PASS_REQUEST_HEADERS = ['range', 'accept'];
+const PASS_RESPONSE_HEADERS = ['content-type', 'content-length', 'content-range', 'accept-ranges', 'cache-control', 'last-modified', 'etag'];
+const CORS_HEADERS = { 'Access-Control-Allow-Origin': '*', 'Access-Control-Expose-Headers': 'Content-Length, Content-Range, Accept-Ranges' };
+const PROXY_MODES = ['none', 'http', 'socks5'];
+const EMPTY_SETTINGS = { proxy: { mode: 'none', host: '', port: '', username: '', password: '' }, hosts: [] }; // hosts: [{ host, headers: { namn: värde }, cookies }]
+
+export const STREAM_SCHEME_PRIVILEGES = { scheme: SCHEME, privileges: { standard: true, secure: true, stream: true, supportFetchAPI: true, corsEnabled: true } };
+
+let settings = EMPTY_SETTINGS;
+let settingsFile = '';
+
+function hostOf(url) {
+  try { return new URL(url).host; } catch { return ''; }
+}
+
+// ------------------------ Headers per spelare ------------------------
+// Kanalens headers från M3U:n (referer/user-agent/cookie) registreras av spelaren och ger en nyckel som läggs som
+// host i proxyadressen (netiptv-stream://<nyckel>/...). Proxyn behåller nyckeln när den skriver om manifestet, så
+// headers skickas bara med manifest, varianter, segment och nycklar för just den spelaren – aldrig med andra
+// kanaler eller API-anrop mot samma server.
+const STREAM_KEY = /^h[0-9a-f]{16}$/;
+const streamHeaders = new Map(); // nyckel -> headers
+
+// Regeln för värden matchar även underdomäner (host "example.com" gäller cdn.example.com)
+function hostRule(host) {
+  const name = host.replace(/:\d+$/, '');
+  return settings.hosts.find((r) => r.host === host || r.host === name || name.endsWith('.' + r.host));
+}
+// Inställningens headers går före dem som anroparen (eller Chromium) satt, och spelarens kanalheaders före båda
+function headersFor(url, base = {}, channel = {}) {
+  const rule = hostRule(hostOf(url));
+  const headers = { 'User-Agent': DEFAULT_UA, ...base, ...(rule?.headers || {}), ...channel };
+  if (rule?.cookies && !headers.Cookie?.includes(rule.cookies)) headers.Cookie = [headers.Cookie, rule.cookies].filter(Boolean).join('; ');
+  return headers;
+}
+// fetch via sessionen (proxyinställningen gäller) med headers per host; används även av strömkontrollen och inspelningen
+export function sessionFetch(url, init = {}) {
+  return session.defaultSession.fetch(url, { ...init, headers: headersFor(url, init.headers) });
+}
+
+// ------------------------ Inställningar ------------------------
+async function loadSettings() {
+  try { settings = normalizeSettings(JSON.parse(await fsp.readFile(settingsFile, 'utf8'))); } catch { settings = EMPTY_SETTINGS; }
+}
+function normalizeSettings(s) {
+  const proxy = { ...EMPTY_SETTINGS.proxy, ...(s?.proxy || {}) };
+  if (!PROXY_MODES.includes(proxy.mode)) throw new Error(`Okänd proxytyp: ${proxy.mode}`);
+  if (proxy.mode !== 'none' && (!proxy.host || !(Number(proxy.port) > 0 && Number(proxy.port) < 65536))) throw new Error('Proxyn behöver värd och port');
+  const hosts = (Array.isArray(s?.hosts) ? s.hosts : []).map((r) => ({
+    host: String(r.host || '').trim().toLowerCase().replace(/^https?:\/\//, '').replace(/\/.*$/, ''),
+    headers: Object.fromEntries(Object.entries(r.headers || {}).map(([k, v]) => [String(k).trim(), String(v)]).filter(([k]) => /^[\w-]+$/.test(k))),
+    cookies: String(r.cookies || '').trim(),
+  })).filter((r) => r.host);
+  return { proxy, hosts };
+}
+// Proxyn gäller hela sessionen, dvs. även uppspelning, logotyper och strömkontrollen
+async function applyProxy() {
+  const { mode, host, port } = settings.proxy;
+  const config = mode === 'none' ? { mode: 'direct' } : { proxyRules: `${mode === 'socks5' ? 'socks5' : 'http'}://${host}:${port}`, proxyBypassRules: '<local>' };
+  await session.defaultSession.setProxy(config);
+  await session.defaultSession.closeAllConnections();
+}
+
+// ------------------------ Hämtning ------------------------
+function fetchError(err) {
+  return new Error(String(err?.cause?.code || err?.cause?.message || err?.message || err));
+}
+// Läser hela svaret som text; progress skickas till avsändaren som net:progress(id, loaded, total).
+// Stora svar (XMLTV) ska gå strömmande via netiptv-stream:// i stället.
+async function fetchForRenderer(sender, id, url, { headers } = {}) {
+  if (!/^https?:\/\//i.test(url)) throw new Error('Bara http- och https-adresser kan hämtas');
+  let res;
+  try { res = await sessionFetch(url, { headers }); } catch (err) { throw fetchError(err); }
+  const meta = { ok: res.ok, status: res.status, url: res.url, contentType: res.headers.get('content-type') || '' };
+  if (!res.ok) { res.body?.cancel().catch(() => {}); return meta; }
+  const total = Number(res.headers.get('content-length')) || 0;
+  const chunks = [];
+  let loaded = 0, lastReport = 0;
+  try {
+    for await (const chunk of res.body) {
+      chunks.push(chunk); loaded += chunk.length;
+      const now = Date.now();
+      if (id && now - lastReport > PROGRESS_INTERVAL_MS && !sender.isDestroyed()) { lastReport = now; sender.send('net:progress', id, loaded, total); }
+    }
+  } catch (err) { throw fetchError(err); }
+  if (id && !sender.isDestroyed()) sender.send('net:progress', id, loaded, total || loaded);
+  const bytes = Buffer.concat(chunks);
+  const charset = meta.contentType.match(/charset=["']?([\w-]+)/i)?.[1];
+  let decoder;
+  try { decoder = new TextDecoder(charset || 'utf-8'); } catch { decoder = new TextDecoder('utf-8'); }
+  return { ...meta, body: decoder.decode(bytes) };
+}
+
+// ------------------------ Strömproxy ------------------------
+// netiptv-stream://<nyckel>/<kodat origin>/<sökväg>?<query> ↔ https://host:port/<sökväg>?<query>
+// Nyckeln är "s" utan kanalheaders, annars spelarens registrering. Samma omvandling finns i preload.js (streamUrl).
+function toStreamUrl(url, key = 's') {
+  let u;
+  try { u = new URL(url); } catch { return url; }
+  if (u.protocol !== 'http:' && u.protocol !== 'https:') return url;
+  return `${SCHEME}://${key}/${encodeURIComponent(u.origin)}${u.pathname}${u.search}`;
+}
+function fromStreamUrl(url) {
+  const u = new URL(url);
+  const [, origin, ...rest] = u.pathname.split('/');
+  const target = decodeURIComponent(origin || '');
+  return /^https?:\/\/[^/]+$/i.test(target) ? { target: `${target}/${rest.join('/')}${u.search}`, key: STREAM_KEY.test(u.host) ? u.host : 's' } : null;
+}
+// Alla URI:er görs absoluta mot den slutliga adressen (efter omdirigering) och pekas om till proxyn med samma nyckel
+function rewriteHls(text, base, key) {
+  const proxied = (uri) => { try { return toStreamUrl(new URL(uri, base).href, key); } catch { return uri; } };
+  return text.split(/\r?\n/).map((line) => {
+    const l = line.trim();
+    if (!l) return line;
+    if (l.startsWith('#')) return line.replace(/URI="([^"]+)"/g, (_, uri) => `URI="${proxied(uri)}"`);
+    return proxied(l);
+  }).join('\n');
+}
+// DASH: absoluta BaseURL pekas om; saknas BaseURL läggs en till så att relativa segment löses mot rätt server
+function rewriteDash(text, base, key) {
+  const out = text.replace(/(<BaseURL[^>]*>)\s*([^<\s]+)/g, (_, tag, uri) => { try { return tag + toStreamUrl(new URL(uri, base).href, key); } catch { return tag + uri; } });
+  return /<BaseURL/.test(out) ? out : out.replace(/<MPD\b[^>]*>/, (tag) => `${tag}<BaseURL>${toStreamUrl(new URL('.', base).href, key)}</BaseURL>`);
+}
+function manifestKind(url, type) {
+  const pathname = (() => { try { return new URL(url).pathname; } catch { return ''; } })();
+  if (type.includes('mpegurl') || /\.m3u8?$/i.test(pathname)) return /^(video|audio)\/(?!.*mpegurl)/.test(type) ? null : 'hls';
+  if (type.includes('dash+xml') || /\.mpd$/i.test(pathname)) return 'dash';
+  return null;
+}
+
+async function serveStream(req) {
+  const parsed = fromStreamUrl(req.url);
+  if (!parsed) return new Response('Ogiltig adress', { status: 400, headers: CORS_HEADERS });
+  const { target, key } = parsed;
+  const extra = {};
+  for (const name of PASS_REQUEST_HEADERS) { const v = req.headers.get(name); if (v) extra[name] = v; }
+  let res;
+  try { res = await session.defaultSession.fetch(target, { method: req.method === 'HEAD' ? 'HEAD' : 'GET', headers: headersFor(target, extra, streamHeaders.get(key)), signal: req.signal }); }
+  catch (err) { return new Response(fetchError(err).message, { status: 502, headers: CORS_HEADERS }); }
+  const type = (res.headers.get('content-type') || '').toLowerCase();
+  const kind = res.ok && req.method !== 'HEAD' ? manifestKind(res.url, type) : null;
+  if (kind) {
+    const text = await res.text();
+    return new Response(kind === 'hls' ? rewriteHls(text, res.url, key) : rewriteDash(text, res.url, key), { status: res.status, headers: { ...CORS_HEADERS, 'Content-Type': res.headers.get('content-type') || (kind === 'hls' ? 'application/vnd.apple.mpegurl' : 'application/dash+xml'), 'Cache-Control': 'no-store' } });
+  }
+  const headers = { ...CORS_HEADERS };
+  for (const name of PASS_RESPONSE_HEADERS) { const v = res.headers.get(name); if (v) headers[name] = v; }
+  return new Response(res.body, { status: res.status, headers });
+}
+
+// ------------------------ Publikt ------------------------
+export async function initNetService() {
+  settingsFile = path.join(app.getPath('userData'), 'network.json');
+  await loadSettings();
+  await applyProxy().catch(() => {});
+  protocol.handle(SCHEME, serveStream);
+
+  // Requests som renderer gör själv (bilder, <video> utan proxy) får värdens inställda headers
+  session.defaultSession.webRequest.onBeforeSendHeaders((details, cb) => {
+    cb({ requestHeaders: /^https?:/i.test(details.url) ? headersFor(details.url, details.requestHeaders) : details.requestHeaders });
+  });
+  // Proxyautentisering för HTTP-proxy (Chromium stöder inte inloggning mot SOCKS)
+  app.on('login', (event, _wc, _details, authInfo, cb) => {
+    const { username, password } = settings.proxy;
+    if (!authInfo.isProxy || !username) return;
+    event.preventDefault();
+    cb(username, password);
+  });
+
+  ipcMain.handle('net:fetch', (e, id, url, opts) => fetchForRenderer(e.sender, id, url, opts));
+  ipcMain.handle('net:settings', () => settings);
+  ipcMain.handle('net:set-settings', async (_e, next) => {
+    settings = normalizeSettings(next);
+    await fsp.writeFile(settingsFile, JSON.stringify(settings, null, 2));
+    await applyProxy();
+    return settings;
+  });
+  // Ger nyckeln för spelarens proxyadresser, eller null om kanalen saknar headers
+  ipcMain.handle('stream:set-headers', (_e, headers) => {
+    if (!headers || !Object.keys(headers).length) return null;
+    const key = 'h' + crypto.randomBytes(8).toString('hex');
+    streamHeaders.set(key, headers);
+    return key;
+  });
+  ipcMain.handle('stream:release-headers', (_e, key) => { streamHeaders.delete(key); });
+}
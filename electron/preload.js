@@ -1 +1,99 @@
-// Intentionally minimal; expose APIs here if needed
+// Körs sandboxat (CommonJS). Exponerar ett litet API till renderer via window.netiptv.
+const { contextBridge, ipcRenderer } = require('electron');
+
+// Samma omvandling som toStreamUrl i electron/net.js; key kommer från setStreamHeaders
+const STREAM_SCHEME = 'netiptv-stream';
+function streamUrl(url, key) {
+  let u;
+  try { u = new URL(url); } catch { return url; }
+  if (u.protocol !== 'http:' && u.protocol !== 'https:') return url;
+  return `${STREAM_SCHEME}://${key || 's'}/${encodeURIComponent(u.origin)}${u.pathname}${u.search}`;
+}
+let netRequestSeq = 0;
+
+contextBridge.exposeInMainWorld('netiptv', {
+  // Nätverk (electron/net.js). fetch(url, { headers }, onProgress(loaded, total)) ger { ok, status, url, contentType, body }
+  // med texten i body (saknas när ok är false). streamUrl() pekar om en adress till strömproxyn, för stora svar som läses strömmande.
+  net: {
+    fetch: async (url, opts, onProgress) => {
+      const id = onProgress ? ++netRequestSeq : 0;
+      const listener = (_e, reqId, loaded, total) => { if (reqId === id) onProgress(loaded, total); };
+      if (id) ipcRenderer.on('net:progress', listener);
+      try { return await ipcRenderer.invoke('net:fetch', id, url, opts || {}); } finally { if (id) ipcRenderer.removeListener('net:progress', listener); }
+    },
+    streamUrl,
+    settings: () => ipcRenderer.invoke('net:settings'),
+    setSettings: (settings) => ipcRenderer.invoke('net:set-settings', settings),
+  },
+  // Headers (Referer/User-Agent/Cookie ...) för en spelare; ger nyckeln till net.streamUrl(url, key), null utan headers
+  setStreamHeaders: (headers) => ipcRenderer.invoke('stream:set-headers', headers || null),
+  // Släpper nyckeln från setStreamHeaders när spelaren stängs
+  releaseStreamHeaders: (key) => ipcRenderer.invoke('stream:release-headers', key),
+  // Skrivbordsnotis; klick rapporteras med samma id via onNotificationClick
+  notify: (payload) => ipcRenderer.invoke('notify:show', payload),
+  onNotificationClick: (cb) => {
+    const listener = (_e, id) => cb(id);
+    ipcRenderer.on('notify:click', listener);
+    return () => ipcRenderer.removeListener('notify:click', listener);
+  },
+  // Minispelare i eget fönster som ligger överst. open() byter kanal om fönstret redan är öppet.
+  mini: {
+    open: (channel) => ipcRenderer.invoke('mini:open', channel),
+    current: () => ipcRenderer.invoke('mini:current'),
+    close: () => ipcRenderer.invoke('mini:close'),
+    expand: () => ipcRenderer.invoke('mini:expand'),
+    onChannel: (cb) => {
+      const listener = (_e, channel) => cb(channel);
+      ipcRenderer.on('mini:channel', listener);
+      return () => ipcRenderer.removeListener('mini:channel', listener);
+    },
+    onExpand: (cb) => {
+      const listener = (_e, channel) => cb(channel);
+      ipcRenderer.on('mini:expand', listener);
+      return () => ipcRenderer.removeListener('mini:expand', listener);
+    },
+  },
+  // Strömkontroll (electron/health.js): start() tar [{ url, headers }], resultaten kommer i omgångar via onUpdate
+  health: {
+    results: () => ipcRenderer.invoke('health:results'),
+    start: (channels) => ipcRenderer.invoke('health:start', channels),
+    cancel: () => ipcRenderer.invoke('health:cancel'),
+    clear: () => ipcRenderer.invoke('health:clear'),
+    onUpdate: (cb) => {
+      const listener = (_e, update) => cb(update);
+      ipcRenderer.on('health:update', listener);
+      return () => ipcRenderer.removeListener('health:update', listener);
+    },
+  },
+  // Fjärrstyrning (electron/remote.js). onCommand-hanteraren får (method, params) från HTTP/WebSocket och
+  // returnerar { result } eller { error, status } – egna fält på Error följer inte med över contextBridge.
+  remote: {
+    config: () => ipcRenderer.invoke('remote:config'),
+    configure: (opts) => ipcRenderer.invoke('remote:configure', opts),
+    newToken: () => ipcRenderer.invoke('remote:new-token'),
+    publishState: (state) => ipcRenderer.invoke('remote:state', state),
+    onCommand: (handler) => {
+      const listener = async (_e, id, method, params) => {
+        let reply;
+        try { reply = await handler(method, params); } catch (err) { reply = { error: String(err?.message || err), status: 500 }; }
+        ipcRenderer.invoke('remote:respond', id, reply);
+      };
+      ipcRenderer.on('remote:command', listener);
+      return () => ipcRenderer.removeListener('remote:command', listener);
+    },
+  },
+  // Inspelningar (electron/recorder.js). Tider i ms sedan epoch.
+  recordings: {
+    list: () => ipcRenderer.invoke('rec:list'),
+    schedule: (spec) => ipcRenderer.invoke('rec:schedule', spec),
+    recordNow: (spec) => ipcRenderer.invoke('rec:record-now', spec),
+    stop: (id) => ipcRenderer.invoke('rec:stop', id),
+    remove: (id) => ipcRenderer.invoke('rec:remove', id),
+    openFolder: () => ipcRenderer.invoke('rec:open-folder'),
+    onChange: (cb) => {
+      const listener = (_e, list) => cb(list);
+      ipcRenderer.on('rec:changed', listener);
+      return () => ipcRenderer.removeListener('rec:changed', listener);
+    },
+  },
+});
@@ -0,0 +1,299 @@
+// Inspelningar i main-processen: laddar ner HLS-segment eller rå TS-data till disk.
+// Schemat sparas i userData/recordings.json så att det överlever omstarter, och färdiga
+// filer spelas upp i renderer via protokollet netiptv-rec://recording/<id>.<ext>.
+import { app, BrowserWindow, ipcMain, protocol, shell } from 'electron';
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+import { once } from 'events';
+import { Readable } from 'stream';
+import { sessionFetch } from './net.js';
+
+const SCHEME = 'netiptv-rec';
+const PADDING_BEFORE_MS = 2 * 60 * 1000;
+const PADDING_AFTER_MS = 5 * 60 * 1000;
+const RECORD_NOW_DEFAULT_MS = 2 * 60 * 60 * 1000; // "Spela in nu" utan känt programslut
+const MAX_PARALLEL = 2;    // de flesta leverantörer tillåter bara 1–2 samtidiga strömmar
+const TICK_MS = 10 * 1000;
+const RETRY_MS = 5000;
+const DEFAULT_UA = 'Mozilla/5.0';
+
+let jobs = [];
+const running = new Map(); // id -> { ctrl, done }
+let storeFile = '';
+let recordingsDir = '';
+let quitting = false;
+
+const sleep = (ms, signal) => new Promise((resolve) => {
+  const t = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => { clearTimeout(t); resolve(); }, { once: true });
+});
+const isPending = (j) => j.status === 'scheduled' || j.status === 'recording';
+const overlaps = (a, b) => a.startAt < b.stopAt && b.startAt < a.stopAt;
+const safeName = (s) => String(s || '').replace(/[\\/:*?"<>|\x00-\x1f]+/g, '_').trim().slice(0, 80) || 'inspelning';
+const newId = () => Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+
+function publicJob(j) {
+  const ext = j.file ? path.extname(j.file) : '.ts';
+  return { ...j, file: undefined, fileName: j.file ? path.basename(j.file) : '', fileUrl: j.file ? `${SCHEME}://recording/${j.id}${ext}` : '' };
+}
+function list() {
+  return jobs.map(publicJob).sort((a, b) => b.startAt - a.startAt);
+}
+
+// ------------------------ Lagring ------------------------
+async function load() {
+  try { jobs = JSON.parse(await fsp.readFile(storeFile, 'utf8')); } catch { jobs = []; }
+  const now = Date.now();
+  for (const j of jobs) {
+    // Pågick när appen stängdes: fortsätt om fönstret inte passerat, annars behåll det som hann spelas in
+    if (j.status === 'recording') {
+      if (j.stopAt > now) j.status = 'scheduled';
+      else { j.status = j.bytes > 0 ? 'done' : 'failed'; if (!j.bytes) j.error = 'Avbröts när appen stängdes'; }
+    }
+  }
+}
+let saveChain = Promise.resolve();
+function save() {
+  const data = JSON.stringify(jobs, null, 2);
+  saveChain = saveChain.then(() => fsp.writeFile(storeFile, data)).catch(() => {});
+  return saveChain;
+}
+function changed() {
+  save();
+  const payload = list();
+  for (const win of BrowserWindow.getAllWindows()) if (!win.isDestroyed()) win.webContents.send('rec:changed', payload);
+}
+
+// ------------------------ Schema ------------------------
+// Samma kanal med överlappande tid slås ihop till ett jobb. Andra överlapp tillåts upp till MAX_PARALLEL samtidigt.
+function addJob({ channel, title, start, stop }, padBefore = PADDING_BEFORE_MS, padAfter = PADDING_AFTER_MS) {
+  if (!channel?.url) throw new Error('Kanalen saknar URL');
+  if (!(stop > start)) throw new Error('Ogiltig tid för inspelningen');
+  const job = {
+    id: newId(), channel: { title: channel.title, url: channel.url, headers: channel.headers || null, logo: channel.logo || '', tvgId: channel.tvgId || '' },
+    title: title || channel.title, start, stop,
+    startAt: start - padBefore, stopAt: stop + padAfter,
+    status: 'scheduled', bytes: 0, lastSeq: null, file: '', error: '', createdAt: Date.now(),
+  };
+  if (job.stopAt <= Date.now()) throw new Error('Programmet har redan sänts');
+  const same = jobs.find((j) => isPending(j) && j.channel.url === job.channel.url && overlaps(j, job));
+  if (same) {
+    same.startAt = same.status === 'recording' ? same.startAt : Math.min(same.startAt, job.startAt);
+    same.stopAt = Math.max(same.stopAt, job.stopAt);
+    same.stop = Math.max(same.stop, job.stop);
+    if (!same.title.split(' + ').includes(job.title)) same.title += ` + ${job.title}`;
+    changed();
+    return publicJob(same);
+  }
+  const conflicts = jobs.filter((j) => isPending(j) && overlaps(j, job));
+  // Flest samtidiga jobb inträffar vid någon av starttiderna inom fönstret
+  const points = [job.startAt, ...conflicts.map((j) => j.startAt).filter((t) => t > job.startAt)];
+  const peak = Math.max(0, ...points.map((t) => conflicts.filter((j) => j.startAt <= t && j.stopAt > t).length));
+  if (peak + 1 > MAX_PARALLEL) {
+    throw new Error(`Krockar med ${conflicts.map((j) => `"${j.title}" (${j.channel.title})`).join(', ')} – högst ${MAX_PARALLEL} samtidiga inspelningar`);
+  }
+  jobs.push(job);
+  changed();
+  tick();
+  return publicJob(job);
+}
+
+function tick() {
+  const now = Date.now();
+  for (const j of jobs) {
+    if (j.status === 'recording' && now >= j.stopAt) running.get(j.id)?.ctrl.abort();
+    if (j.status !== 'scheduled') continue;
+    if (now >= j.stopAt) { j.status = 'failed'; j.error = 'Missad – appen var inte igång'; changed(); }
+    else if (now >= j.startAt) {
+      if (running.size >= MAX_PARALLEL) { j.status = 'failed'; j.error = 'För många samtidiga inspelningar'; changed(); }
+      else start(j);
+    }
+  }
+}
+
+// ------------------------ Nedladdning ------------------------
+async function openOutput(job, ext) {
+  if (!job.file) {
+    await fsp.mkdir(recordingsDir, { recursive: true });
+    const d = new Date(job.start), pad = (n) => String(n).padStart(2, '0');
+    const stamp = `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ${pad(d.getHours())}${pad(d.getMinutes())}`;
+    job.file = path.join(recordingsDir, `${safeName(job.channel.title)} - ${safeName(job.title)} ${stamp}${ext}`);
+  }
+  return fs.createWriteStream(job.file, { flags: 'a' });
+}
+async function write(out, job, chunk) {
+  job.bytes += chunk.length;
+  if (!out.write(chunk)) await once(out, 'drain');
+}
+function requestHeaders(job) {
+  return { 'User-Agent': DEFAULT_UA, ...(job.channel.headers || {}) };
+}
+async function fetchOk(url, job, signal) {
+  const res = await sessionFetch(url, { headers: requestHeaders(job), signal });
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  return res;
+}
+
+function parsePlaylist(text, base) {
+  const lines = text.split(/\r?\n/).map((l) => l.trim());
+  const abs = (u) => new URL(u, base).toString();
+  const variants = [];
+  const pl = { segments: [], sequence: 0, target: 6, ended: false, map: null, encrypted: false };
+  let seq = null;
+  for (let i = 0; i < lines.length; i++) {
+    const l = lines[i];
+    if (l.startsWith('#EXT-X-STREAM-INF')) {
+      const bw = Number(l.match(/BANDWIDTH=(\d+)/)?.[1]) || 0;
+      const uri = lines.slice(i + 1).find((x) => x && !x.startsWith('#'));
+      if (uri) variants.push({ bw, url: abs(uri) });
+    } else if (l.startsWith('#EXT-X-MEDIA-SEQUENCE:')) pl.sequence = Number(l.split(':')[1]) || 0;
+    else if (l.startsWith('#EXT-X-TARGETDURATION:')) pl.target = Number(l.split(':')[1]) || 6;
+    else if (l.startsWith('#EXT-X-ENDLIST')) pl.ended = true;
+    else if (l.startsWith('#EXT-X-MAP:')) { const u = l.match(/URI="([^"]+)"/)?.[1]; if (u) pl.map = abs(u); }
+    else if (l.startsWith('#EXT-X-KEY:') && !/METHOD=NONE/.test(l)) pl.encrypted = true;
+    else if (l && !l.startsWith('#')) { seq = seq == null ? pl.sequence : seq + 1; pl.segments.push({ seq, url: abs(l) }); }
+  }
+  if (variants.length) pl.best = variants.sort((a, b) => b.bw - a.bw)[0].url;
+  return pl;
+}
+
+async function recordHls(job, url, text, signal) {
+  let pl = parsePlaylist(text, url);
+  if (pl.best) { url = pl.best; pl = parsePlaylist(await (await fetchOk(url, job, signal)).text(), url); }
+  if (pl.encrypted) throw new Error('Krypterade HLS-strömmar kan inte spelas in');
+  const out = await openOutput(job, pl.map ? '.mp4' : '.ts');
+  try {
+    if (pl.map && !job.bytes) await write(out, job, Buffer.from(await (await fetchOk(pl.map, job, signal)).arrayBuffer()));
+    // job.lastSeq sparas med jobbet så att återanslutning och omstart inte skriver samma segment två gånger.
+    // Ligger hela fönstret långt under den har leverantören börjat om numreringen.
+    while (!signal.aborted) {
+      const newest = pl.segments.at(-1)?.seq;
+      if (newest != null && job.lastSeq != null && newest < job.lastSeq - pl.segments.length) job.lastSeq = null;
+      for (const seg of pl.segments) {
+        if (seg.seq <= (job.lastSeq ?? -1) || signal.aborted) continue;
+        await write(out, job, Buffer.from(await (await fetchOk(seg.url, job, signal)).arrayBuffer()));
+        job.lastSeq = seg.seq;
+      }
+      if (pl.ended) break;
+      await sleep(Math.max(1000, pl.target * 500), signal);
+      if (signal.aborted) break;
+      pl = parsePlaylist(await (await fetchOk(url, job, signal)).text(), url);
+    }
+  } finally { out.end(); }
+}
+
+async function recordRaw(job, res, signal) {
+  const out = await openOutput(job, '.ts');
+  try {
+    for await (const chunk of res.body) {
+      if (signal.aborted) break;
+      await write(out, job, Buffer.from(chunk));
+    }
+  } finally { out.end(); }
+}
+
+// Kör tills stopptiden eller stop(); tappad anslutning återupptas och skrivs till samma fil
+async function record(job, signal) {
+  let lastProgress = 0;
+  while (!signal.aborted && Date.now() < job.stopAt) {
+    try {
+      const res = await fetchOk(job.channel.url, job, signal);
+      const type = (res.headers.get('content-type') || '').toLowerCase();
+      if (type.includes('mpegurl') || /\.m3u8?(\?|$)/i.test(new URL(res.url).pathname)) await recordHls(job, res.url, await res.text(), signal);
+      else await recordRaw(job, res, signal);
+      if (!signal.aborted && Date.now() < job.stopAt) await sleep(RETRY_MS, signal);
+    } catch (err) {
+      if (signal.aborted) break;
+      job.error = String(err?.message || err);
+      await sleep(RETRY_MS, signal);
+    }
+    if (job.bytes !== lastProgress) { lastProgress = job.bytes; changed(); }
+  }
+}
+
+function start(job) {
+  const ctrl = new AbortController();
+  job.status = 'recording'; job.error = '';
+  changed();
+  // Rapportera storlek med jämna mellanrum medan jobbet pågår
+  const progress = setInterval(changed, 15000);
+  const done = record(job, ctrl.signal).finally(() => {
+    clearInterval(progress);
+    running.delete(job.id);
+    if (quitting && job.stopAt > Date.now()) job.status = 'recording'; // återupptas vid nästa start, se load()
+    else if (job.bytes > 0) { job.status = 'done'; job.error = ''; }
+    else { job.status = 'failed'; job.error ||= 'Ingen data mottogs'; }
+    changed();
+  });
+  running.set(job.id, { ctrl, done });
+}
+
+// ------------------------ Uppspelning ------------------------
+async function serveRecording(req) {
+  const id = path.basename(new URL(req.url).pathname).replace(/\.\w+$/, '');
+  const job = jobs.find((j) => j.id === id);
+  const stat = job?.file ? await fsp.stat(job.file).catch(() => null) : null;
+  if (!stat) return new Response('Not found', { status: 404 });
+  const size = stat.size;
+  const headers = { 'Content-Type': job.file.endsWith('.mp4') ? 'video/mp4' : 'video/mp2t', 'Accept-Ranges': 'bytes' };
+  const m = /bytes=(\d*)-(\d*)/.exec(req.headers.get('range') || '');
+  if (!m || (!m[1] && !m[2])) {
+    return new Response(Readable.toWeb(fs.createReadStream(job.file)), { headers: { ...headers, 'Content-Length': String(size) } });
+  }
+  const start = m[1] ? Number(m[1]) : Math.max(0, size - Number(m[2]));
+  const end = m[1] && m[2] ? Math.min(Number(m[2]), size - 1) : size - 1;
+  if (start > end) return new Response(null, { status: 416, headers: { 'Content-Range': `bytes */${size}` } });
+  return new Response(Readable.toWeb(fs.createReadStream(job.file, { start, end })), {
+    status: 206, headers: { ...headers, 'Content-Range': `bytes ${start}-${end}/${size}`, 'Content-Length': String(end - start + 1) },
+  });
+}
+
+// ------------------------ Publikt ------------------------
+// Registreras i main.js innan app är redo, tillsammans med strömproxyns schema
+export const RECORDING_SCHEME_PRIVILEGES = { scheme: SCHEME, privileges: { standard: true, secure: true, stream: true, supportFetchAPI: true, corsEnabled: true } };
+
+export async function initRecorder() {
+  storeFile = path.join(app.getPath('userData'), 'recordings.json');
+  recordingsDir = path.join(app.getPath('videos'), 'NetIPTV');
+  await load();
+  protocol.handle(SCHEME, serveRecording);
+
+  ipcMain.handle('rec:list', () => list());
+  ipcMain.handle('rec:schedule', (_e, spec) => addJob(spec));
+  // Från nu till programmets slut (med marginal efter) eller RECORD_NOW_DEFAULT_MS om slutet är okänt
+  ipcMain.handle('rec:record-now', (_e, spec) => {
+    const now = Date.now();
+    const known = spec.stop > now;
+    return addJob({ ...spec, start: now, stop: known ? spec.stop : now + RECORD_NOW_DEFAULT_MS }, 0, known ? PADDING_AFTER_MS : 0);
+  });
+  // Pågående jobb avslutas och behåller det som hunnit spelas in; schemalagda jobb avbryts innan de startat
+  ipcMain.handle('rec:stop', (_e, id) => {
+    const j = jobs.find((x) => x.id === id);
+    if (!j) return;
+    if (j.status === 'recording') {
+      j.stopAt = Math.min(j.stopAt, Date.now());
+      running.get(id)?.ctrl.abort();
+    } else if (j.status === 'scheduled') {
+      j.status = 'cancelled'; j.error = 'Avbruten innan start';
+      changed();
+    }
+  });
+  ipcMain.handle('rec:remove', async (_e, id) => {
+    const j = jobs.find((x) => x.id === id);
+    if (!j) return;
+    const run = running.get(id);
+    if (run) { run.ctrl.abort(); await run.done; } // filen måste vara stängd innan den tas bort (Windows)
+    jobs = jobs.filter((x) => x !== j);
+    if (j.file) await fsp.rm(j.file, { force: true }).catch(() => {});
+    changed();
+  });
+  ipcMain.handle('rec:open-folder', async () => {
+    await fsp.mkdir(recordingsDir, { recursive: true });
+    return shell.openPath(recordingsDir);
+  });
+
+  app.on('before-quit', () => { quitting = true; for (const { ctrl } of running.values()) ctrl.abort(); save(); });
+  setInterval(tick, TICK_MS);
+  tick();
+}
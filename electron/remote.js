@@ -0,0 +1,232 @@
+// Fjärrstyrning: valfri lokal HTTP/WebSocket-server för mobilen och hemautomation.
+// Allt utom själva fjärrkontrollsidan (/) kräver token (Authorization: Bearer <token> eller ?token=). Kanaldata och
+// uppspelning finns i renderer, så kommandona skickas dit som remote:command och svaret kommer via remote:respond.
+// Inställningarna sparas i userData/remote.json.
+import { app, ipcMain } from 'electron';
+import crypto from 'crypto';
+import fs from 'fs';
+import fsp from 'fs/promises';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_PORT = 8790;
+const COMMAND_TIMEOUT_MS = 5000;
+const MAX_BODY = 64 * 1024;
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const COMMANDS = new Set(['status', 'channels', 'groups', 'nownext', 'play', 'stop', 'volume']);
+
+let config = { enabled: false, port: DEFAULT_PORT, token: '' };
+let configFile = '';
+let server = null;
+let serverError = '';
+let getWindow = () => null;
+let state = { playing: null, volume: null, muted: false, paused: true };
+const sockets = new Set();
+const pendingReplies = new Map(); // id -> { resolve, reject, timer }
+let replySeq = 0;
+
+const newToken = () => crypto.randomBytes(18).toString('base64url');
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+// ------------------------ Inställningar ------------------------
+async function loadConfig() {
+  try { config = { ...config, ...JSON.parse(await fsp.readFile(configFile, 'utf8')) }; } catch {}
+  if (!config.token) { config.token = newToken(); await saveConfig(); }
+}
+function saveConfig() {
+  return fsp.writeFile(configFile, JSON.stringify(config, null, 2)).catch(() => {});
+}
+function lanUrls() {
+  const urls = [];
+  for (const list of Object.values(os.networkInterfaces())) {
+    for (const a of list || []) if (a.family === 'IPv4' && !a.internal) urls.push(`http://${a.address}:${config.port}/?token=${config.token}`);
+  }
+  return urls.length ? urls : [`http://localhost:${config.port}/?token=${config.token}`];
+}
+function publicConfig() {
+  return { ...config, running: !!server?.listening, error: serverError, urls: lanUrls() };
+}
+
+// ------------------------ Kommandon ------------------------
+// Kommandot körs i huvudfönstret; status svaras direkt från senast rapporterade tillstånd
+function callRenderer(method, params) {
+  if (!COMMANDS.has(method)) return Promise.reject(httpError(404, `Okänt kommando: ${method}`));
+  if (method === 'status') return Promise.resolve(state);
+  const win = getWindow();
+  if (!win || win.isDestroyed()) return Promise.reject(httpError(503, 'Appen är inte öppen'));
+  const id = ++replySeq;
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => { pendingReplies.delete(id); reject(httpError(504, 'Appen svarade inte')); }, COMMAND_TIMEOUT_MS);
+    pendingReplies.set(id, { resolve, reject, timer });
+    win.webContents.send('remote:command', id, method, params || {});
+  });
+}
+
+function authorized(req, url) {
+  const given = (req.headers.authorization || '').replace(/^Bearer\s+/i, '') || url.searchParams.get('token') || '';
+  const a = Buffer.from(given), b = Buffer.from(config.token);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// ------------------------ WebSocket ------------------------
+// Minimal RFC 6455: textmeddelanden utan fragmentering räcker för tillståndshändelser och små kommandon
+function wsFrame(opcode, payload) {
+  const len = payload.length;
+  let head;
+  if (len < 126) head = Buffer.from([0x80 | opcode, len]);
+  else if (len < 65536) { head = Buffer.alloc(4); head[0] = 0x80 | opcode; head[1] = 126; head.writeUInt16BE(len, 2); }
+  else { head = Buffer.alloc(10); head[0] = 0x80 | opcode; head[1] = 127; head.writeBigUInt64BE(BigInt(len), 2); }
+  return Buffer.concat([head, payload]);
+}
+function wsSend(socket, message) {
+  if (!socket.destroyed) socket.write(wsFrame(0x1, Buffer.from(JSON.stringify(message))));
+}
+function broadcast(message) {
+  for (const socket of sockets) wsSend(socket, message);
+}
+function wsReadFrames(conn, chunk, onFrame) {
+  conn.buf = Buffer.concat([conn.buf, chunk]);
+  for (;;) {
+    const b = conn.buf;
+    if (b.length < 2) return;
+    const opcode = b[0] & 0x0f, masked = b[1] & 0x80;
+    let len = b[1] & 0x7f, off = 2;
+    if (len === 126) { if (b.length < 4) return; len = b.readUInt16BE(2); off = 4; }
+    else if (len === 127) { if (b.length < 10) return; len = Number(b.readBigUInt64BE(2)); off = 10; }
+    if (len > MAX_BODY) throw new Error('För stort meddelande');
+    const maskAt = off;
+    if (masked) off += 4;
+    if (b.length < off + len) return;
+    const payload = Buffer.from(b.subarray(off, off + len));
+    if (masked) for (let i = 0; i < payload.length; i++) payload[i] ^= b[maskAt + (i % 4)];
+    conn.buf = b.subarray(off + len);
+    onFrame(opcode, payload);
+  }
+}
+// Klienten kan skicka { id, method, params } och får { id, result } eller { id, error } tillbaka
+function acceptWebSocket(req, socket) {
+  const key = req.headers['sec-websocket-key'];
+  if (!key || (req.headers.upgrade || '').toLowerCase() !== 'websocket') { socket.destroy(); return; }
+  const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+  socket.write(`HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\nSec-WebSocket-Accept: ${accept}\r\n\r\n`);
+  socket.setNoDelay(true);
+  sockets.add(socket);
+  const conn = { buf: Buffer.alloc(0) };
+  socket.on('data', (chunk) => {
+    try {
+      wsReadFrames(conn, chunk, (opcode, payload) => {
+        if (opcode === 0x8) { socket.end(wsFrame(0x8, Buffer.alloc(0))); return; }
+        if (opcode === 0x9) { socket.write(wsFrame(0xA, payload)); return; }
+        if (opcode !== 0x1) return;
+        let msg;
+        try { msg = JSON.parse(payload.toString('utf8')); } catch { return wsSend(socket, { error: 'Ogiltig JSON' }); }
+        callRenderer(msg.method, msg.params)
+          .then((result) => wsSend(socket, { id: msg.id, result }))
+          .catch((err) => wsSend(socket, { id: msg.id, error: err.message }));
+      });
+    } catch { socket.destroy(); }
+  });
+  const drop = () => sockets.delete(socket);
+  socket.on('close', drop);
+  socket.on('error', drop);
+  wsSend(socket, { type: 'state', state });
+}
+
+// ------------------------ HTTP ------------------------
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(body));
+}
+async function readBody(req) {
+  let size = 0; const chunks = [];
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY) throw httpError(413, 'För stor förfrågan');
+    chunks.push(chunk);
+  }
+  if (!size) return {};
+  try { return JSON.parse(Buffer.concat(chunks).toString('utf8')); } catch { throw httpError(400, 'Ogiltig JSON'); }
+}
+// GET /api/<kommando>?... eller POST med JSON-kropp; parametrar i query och kropp slås ihop
+async function handleRequest(req, res) {
+  const url = new URL(req.url, 'http://localhost');
+  if (req.method === 'GET' && (url.pathname === '/' || url.pathname === '/index.html')) {
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store' });
+    fs.createReadStream(path.join(__dirname, 'remote.html')).pipe(res);
+    return;
+  }
+  const m = url.pathname.match(/^\/api\/(\w+)$/);
+  if (!m) return sendJson(res, 404, { error: 'Hittades inte' });
+  if (!authorized(req, url)) return sendJson(res, 401, { error: 'Fel eller saknad token' });
+  if (req.method !== 'GET' && req.method !== 'POST') return sendJson(res, 405, { error: 'Metoden stöds inte' });
+  try {
+    const query = Object.fromEntries([...url.searchParams].filter(([k]) => k !== 'token'));
+    const params = { ...query, ...(req.method === 'POST' ? await readBody(req) : {}) };
+    sendJson(res, 200, { result: await callRenderer(m[1], params) });
+  } catch (err) {
+    sendJson(res, err.status || 500, { error: err.message });
+  }
+}
+
+async function stopServer() {
+  for (const socket of sockets) socket.destroy();
+  sockets.clear();
+  if (server) await new Promise((resolve) => server.close(resolve));
+  server = null;
+}
+async function startServer() {
+  await stopServer();
+  serverError = '';
+  if (!config.enabled) return;
+  const srv = http.createServer((req, res) => { handleRequest(req, res).catch(() => sendJson(res, 500, { error: 'Internt fel' })); });
+  srv.on('upgrade', (req, socket) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== '/api/events' || !authorized(req, url)) { socket.end('HTTP/1.1 401 Unauthorized\r\n\r\n'); return; }
+    acceptWebSocket(req, socket);
+  });
+  await new Promise((resolve) => {
+    srv.once('error', (err) => { serverError = err.code === 'EADDRINUSE' ? `Porten ${config.port} används redan` : String(err.message || err); resolve(); });
+    srv.listen(config.port, '0.0.0.0', () => { server = srv; resolve(); });
+  });
+}
+
+// ------------------------ Publikt ------------------------
+export async function initRemoteControl(windowGetter) {
+  getWindow = windowGetter;
+  configFile = path.join(app.getPath('userData'), 'remote.json');
+  await loadConfig();
+  await startServer();
+
+  ipcMain.handle('remote:config', () => publicConfig());
+  ipcMain.handle('remote:configure', async (_e, { enabled, port }) => {
+    const p = Number(port);
+    if (port != null && !(Number.isInteger(p) && p >= 1024 && p <= 65535)) throw new Error('Porten måste vara 1024–65535');
+    config = { ...config, enabled: !!enabled, port: port != null ? p : config.port };
+    await saveConfig();
+    await startServer();
+    return publicConfig();
+  });
+  // Ny token loggar ut alla anslutna fjärrkontroller
+  ipcMain.handle('remote:new-token', async () => {
+    config.token = newToken();
+    await saveConfig();
+    for (const socket of sockets) socket.destroy();
+    return publicConfig();
+  });
+  ipcMain.handle('remote:state', (_e, next) => {
+    state = next || state;
+    broadcast({ type: 'state', state });
+  });
+  ipcMain.handle('remote:respond', (_e, id, reply) => {
+    const pending = pendingReplies.get(id);
+    if (!pending) return;
+    pendingReplies.delete(id); clearTimeout(pending.timer);
+    if (reply?.error) pending.reject(httpError(reply.status || 400, reply.error));
+    else pending.resolve(reply?.result ?? null);
+  });
+
+  app.on('before-quit', () => { stopServer(); });
+}
@@ -0,0 +1,67 @@
+// Enkel mock av Xtream Codes player_api.php för lokal testning.
+// Start: npm run mock:xtream  ->  server http://localhost:8089, användare "demo", lösenord "demo"
+import http from 'http';
+
+const PORT = Number(process.env.PORT) || 8089;
+const USER = 'demo';
+const PASS = 'demo';
+const b64 = (s) => Buffer.from(s, 'utf8').toString('base64');
+const now = Math.floor(Date.now() / 1000);
+
+const data = {
+  get_live_categories: [{ category_id: '1', category_name: 'Sverige' }, { category_id: '2', category_name: 'Sport' }],
+  get_live_streams: [
+    { num: 1, name: 'SVT1 HD', stream_id: 101, stream_icon: '', epg_channel_id: 'svt1.se', category_id: '1', tv_archive: 1, tv_archive_duration: 7 },
+    { num: 2, name: 'SVT2 HD', stream_id: 102, stream_icon: '', epg_channel_id: 'svt2.se', category_id: '1', tv_archive: 0, tv_archive_duration: 0 },
+    { num: 3, name: 'Sportkanalen', stream_id: 103, stream_icon: '', epg_channel_id: '', category_id: '2', tv_archive: 0, tv_archive_duration: 0 },
+  ],
+  get_vod_categories: [{ category_id: '10', category_name: 'Action' }],
+  get_vod_streams: [
+    { name: 'Demo Film', stream_id: 201, stream_icon: '', category_id: '10', container_extension: 'mp4', rating: '7.1' },
+  ],
+  get_series_categories: [{ category_id: '20', category_name: 'Drama' }],
+  get_series: [
+    { name: 'Demo Serie', series_id: 301, cover: '', category_id: '20', plot: 'En påhittad serie.', rating: '8.0' },
+  ],
+};
+const seriesInfo = {
+  301: {
+    info: { name: 'Demo Serie', plot: 'En påhittad serie.' },
+    episodes: {
+      1: [
+        { id: '3011', episode_num: 1, title: 'Pilot', container_extension: 'mkv', info: { plot: 'Första avsnittet.', duration: '00:45:00' } },
+        { id: '3012', episode_num: 2, title: 'Fortsättning', container_extension: 'mkv', info: { plot: 'Andra avsnittet.', duration: '00:44:00' } },
+      ],
+    },
+  },
+};
+const shortEpg = (streamId) => ({
+  epg_listings: [0, 1, 2].map((i) => ({
+    id: `${streamId}-${i}`, title: b64(`Program ${i + 1} på ${streamId}`), description: b64('Beskrivning med åäö.'),
+    start_timestamp: String(now - 1800 + i * 3600), stop_timestamp: String(now + 1800 + i * 3600),
+  })),
+});
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  const send = (status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' });
+    res.end(JSON.stringify(body));
+  };
+  if (url.pathname !== '/player_api.php') return send(404, { error: 'not found' });
+  const q = url.searchParams;
+  if (q.get('username') !== USER || q.get('password') !== PASS) return send(200, { user_info: { auth: 0 } });
+  const action = q.get('action');
+  if (!action) {
+    return send(200, {
+      user_info: { auth: 1, status: 'Active', username: USER, allowed_output_formats: ['m3u8', 'ts'] },
+      server_info: { url: 'localhost', port: String(PORT), server_protocol: 'http' },
+    });
+  }
+  if (action === 'get_series_info') return send(200, seriesInfo[q.get('series_id')] || { info: {}, episodes: {} });
+  if (action === 'get_short_epg') return send(200, shortEpg(q.get('stream_id')));
+  if (data[action]) return send(200, data[action]);
+  send(200, []);
+});
+
+server.listen(PORT, () => console.log(`Xtream-mock på http://localhost:${PORT} (användare ${USER}/${PASS})`));
@@ -1,16 +1,34 @@
-import React, { useEffect, useMemo, useRef, useState } from "react";
+import React, { useCallback, useDeferredValue, useEffect, useMemo, useRef, useState } from "react";
 import Hls from "hls.js";
-import { motion } from "framer-motion";
-import { Search, Star, Play, X, Tv2, Settings, ChevronLeft, ChevronRight, Info, Gamepad2, Sun, Moon, CalendarClock } from "lucide-react";
+import { channelKey, normalizeName } from "./xmltv.js";
+import { Search, Star, Play, X, Tv2, Settings, ChevronLeft, ChevronRight, Info, Gamepad2, Sun, Moon, CalendarClock, RefreshCw, Trash2, History, Circle, Square, FolderOpen, Bell, Repeat, Eye, EyeOff, GripVertical, FolderPlus, SlidersHorizontal, LayoutGrid, PictureInPicture2, Minimize2, Maximize2, AppWindow, Volume2, VolumeX, ArrowLeftRight, Lock, LockOpen, Users, UserPlus, ShieldCheck, Activity, Download, DatabaseBackup, Upload, Smartphone, Network } from "lucide-react";
 
 /**
  * NetIPTV – Netflix‑style IPTV Player (Windows 11 ready)
  * ------------------------------------------------------
- * ✅ Spelar M3U/M3U8 (URL eller fil) med hls.js
- * ✅ EPG (XMLTV) – URL eller fil, visar "Nu/Nästa" och programguide
- * ✅ Gamepad/fjärr – D‑pad/axlar navigerar rader/kort, A=Spela, B=Stäng
+ * ✅ Spelar M3U/M3U8 (URL eller fil) – HLS via hls.js, MPEG-TS via mpegts.js, DASH via dash.js och mp4/mkv direkt
+ * ✅ EPG (XMLTV) – URL eller fil (även .gz), visar "Nu/Nästa" och programguide. Parsas strömmande i en Web Worker
+ * ✅ Tablå – alla kanaler på en tidsaxel med nu-linje, virtualiserad för stora listor
+ * ✅ Stora spellistor (20 000+ kanaler) – virtualiserade rader och kortlistor, lata loggor med platshållare, fördröjd sökning och förberäknat Nu/Nästa-index
+ * ✅ EPG-matchning – tvg-id, namn och ungefärlig matchning förberäknas; manuella kopplingar sparas
+ * ✅ Spelarmeny – ljudspår, undertexter, kvalitet (Auto/manuell), statistik-overlay och sparade spelarinställningar
+ * ✅ Robust uppspelning – återhämtning med backoff, "Återansluter"-läge, reservströmmar för samma kanal och fellogg per kanal
+ * ✅ Inspelning (Electron) – "Spela in nu", schemaläggning från EPG:n och raden "Inspelningar"
+ * ✅ Påminnelser – notis före start med klick för att byta kanal, serieregler för alla avsnitt
+ * ✅ Kanalhanterare – dra för att ordna grupper/kanaler, dölj, döp om och skapa egna grupper (överlever uppdatering)
+ * ✅ Säkerhetskopiering – profiler, favoriter, källor, kanaländringar och EPG-kopplingar till versionerad JSON (slå ihop/ersätt), export av kanallistan som M3U
+ * ✅ Nätverk (Electron) – spellistor, EPG och strömmar hämtas via main-processen med webSecurity på; headers/cookies per värd och HTTP/SOCKS-proxy
+ * ✅ Fjärrstyrning (Electron) – valfri lokal HTTP/WebSocket-server med token: kanaler, grupper, nu/nästa, spela/stoppa/volym och en webbfjärr för mobilen
+ * ✅ Strömkontroll (Electron) – provar alla kanaler i bakgrunden, markerar döda/långsamma med upplösning och bitrate, döljer döda och exporterar rensad M3U
+ * ✅ Profiler – egna favoriter, inställningar och dolda grupper per profil, profilväljare vid start och föräldrakontroll med PIN
+ * ✅ Multiview – upp till fyra kanaler (2×2 eller 1+3) med ljudfokus; minimerad spelare, bild-i-bild och minispelare överst (Electron)
+ * ✅ Global sökning – kanaler, grupper, EPG-program (nu/senare/arkiv) och VOD, tålig mot stavfel och accenter, med filter
+ * ✅ Tangentbord, handkontroll och fjärr – rumslig fokusnavigering i alla vyer och modaler med synlig fokusram, flera handkontroller med egen knappmappning, mediatangenter och TV-fjärrens Back/kanal-knappar
  * ✅ Tema‑växling – Mörkt/Ljust (sparas i localStorage)
- * ✅ Favoriter + senast spelad (localStorage)
+ * ✅ Favoriter, tittarhistorik och "Fortsätt titta" – filmer/avsnitt/arkiv återupptas där man slutade, L = senaste kanal
+ * ✅ Xtream Codes – live, filmer och serier via player_api.php
+ * ✅ Catch-up – spela tidigare program från arkivet (flussonic/shift/append/Xtream timeshift)
+ * ✅ Källbibliotek – flera spellistor/EPG:er som sparas, laddas vid start och uppdateras i bakgrunden
  * ✅ Electron‑guide för Windows 11 .exe (längst ned)
  *
  * OBS: Vissa strömmar kan kräva Electron p.g.a. CORS. DRM stöds ej.
@@ -28,220 +46,3255 @@ function UICardContent({ className = "", children }) {
 }
 
 // ------------------------ M3U Parser ------------------------
+// Attribut kan vara key="v", key='v' eller key=v
+function parseM3UAttrs(s) {
+  const attrs = {};
+  const attrRegex = /([\w][\w-]*)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"',]+))/g; // tvg-id=".." tvg-logo=".." group-title=".."
+  let m; while ((m = attrRegex.exec(s))) attrs[m[1].toLowerCase()] = m[2] ?? m[3] ?? m[4];
+  return attrs;
+}
+// Första kommatecknet utanför citat skiljer attribut från titel
+function splitExtinf(metaPart) {
+  let quote = null;
+  for (let i = 0; i < metaPart.length; i++) {
+    const c = metaPart[i];
+    if (quote) { if (c === quote) quote = null; }
+    else if (c === '"' || c === "'") quote = c;
+    else if (c === ",") return [metaPart.substring(0, i), metaPart.substring(i + 1).trim()];
+  }
+  return [metaPart, ""];
+}
+const VLC_HEADER_OPTS = { "http-referrer": "Referer", "http-user-agent": "User-Agent", "http-origin": "Origin", "http-cookie": "Cookie" };
+const KNOWN_HEADERS = { "referer": "Referer", "referrer": "Referer", "user-agent": "User-Agent", "origin": "Origin", "cookie": "Cookie" };
+const headerName = (k) => KNOWN_HEADERS[k.toLowerCase()] || k;
+function parseHeaderPairs(s, into) {
+  // Kodi-stil: User-Agent=abc&Referer=https%3A%2F%2F...
+  for (const part of s.split("&")) {
+    const eq = part.indexOf("="); if (eq <= 0) continue;
+    let v = part.substring(eq + 1); try { v = decodeURIComponent(v); } catch {}
+    into[headerName(part.substring(0, eq).trim())] = v;
+  }
+  return into;
+}
+function parseCatchup(attrs, defaults = {}) {
+  const type = (attrs["catchup"] || attrs["catchup-type"] || (attrs["timeshift"] ? "shift" : "") || defaults.type || "").toLowerCase();
+  if (!type) return undefined;
+  const days = Number(attrs["catchup-days"] || attrs["timeshift"] || defaults.days) || 0;
+  return { type, source: attrs["catchup-source"] || defaults.source || "", days };
+}
 function parseM3U(text) {
   const lines = text.split(/\r?\n/);
   const channels = [];
+  const tvgUrls = [];
+  let headerAttrs = {};
+  let catchupDefaults = {};
   let currentMeta = null;
-  const parseAttrs = (s) => {
-    const attrs = {};
-    const attrRegex = /(\w[\w-]*)\s*=\s*"([^"]*)"/g; // tvg-id=".." tvg-logo=".." group-title=".."
-    let m; while ((m = attrRegex.exec(s))) attrs[m[1]] = m[2];
-    return attrs;
-  };
+  let extGroup = ""; // #EXTGRP gäller tills nästa #EXTGRP
+  let pending = { headers: {}, vlcOpts: {}, kodiProps: {} }; // direktiv fram till nästa URL-rad
   for (let i = 0; i < lines.length; i++) {
     const line = lines[i].trim();
     if (!line) continue;
-    if (line.startsWith("#EXTINF")) {
-      const metaPart = line.substring(line.indexOf(":") + 1);
-      const lastComma = metaPart.lastIndexOf(",");
-      const attrsPart = lastComma !== -1 ? metaPart.substring(0, lastComma) : metaPart;
-      const titlePart = lastComma !== -1 ? metaPart.substring(lastComma + 1).trim() : "";
-      const attrs = parseAttrs(attrsPart);
+    if (line.startsWith("#EXTM3U")) {
+      headerAttrs = parseM3UAttrs(line.substring(7));
+      for (const key of ["url-tvg", "x-tvg-url", "tvg-url"]) {
+        for (const u of (headerAttrs[key] || "").split(",")) if (u.trim() && !tvgUrls.includes(u.trim())) tvgUrls.push(u.trim());
+      }
+      catchupDefaults = parseCatchup(headerAttrs) || {};
+    } else if (line.startsWith("#EXTINF")) {
+      const [attrsPart, titlePart] = splitExtinf(line.substring(line.indexOf(":") + 1));
+      const attrs = parseM3UAttrs(attrsPart);
       currentMeta = {
         title: titlePart || attrs["tvg-name"] || "Unknown",
-        group: attrs["group-title"] || "Other",
+        group: attrs["group-title"] || "",
         logo: attrs["tvg-logo"] || "",
         tvgId: attrs["tvg-id"] || "",
         chno: attrs["tvg-chno"] || "",
         rawAttrs: attrs,
+        catchup: parseCatchup(attrs, catchupDefaults),
       };
+      if (attrs["http-user-agent"] || attrs["user-agent"]) pending.headers["User-Agent"] = attrs["http-user-agent"] || attrs["user-agent"];
+      if (attrs["http-referrer"] || attrs["referer"]) pending.headers["Referer"] = attrs["http-referrer"] || attrs["referer"];
+    } else if (line.startsWith("#EXTGRP:")) {
+      extGroup = line.substring(8).trim();
+    } else if (line.startsWith("#EXTVLCOPT:")) {
+      const opt = line.substring(11); const eq = opt.indexOf("=");
+      if (eq > 0) {
+        const key = opt.substring(0, eq).trim().toLowerCase(), value = opt.substring(eq + 1).trim();
+        pending.vlcOpts[key] = value;
+        if (VLC_HEADER_OPTS[key]) pending.headers[VLC_HEADER_OPTS[key]] = value;
+      }
+    } else if (line.startsWith("#KODIPROP:")) {
+      const prop = line.substring(10); const eq = prop.indexOf("=");
+      if (eq > 0) {
+        const key = prop.substring(0, eq).trim(), value = prop.substring(eq + 1).trim();
+        pending.kodiProps[key] = value;
+        if (key === "inputstream.adaptive.stream_headers" || key === "inputstream.adaptive.common_headers") parseHeaderPairs(value, pending.headers);
+      }
+    } else if (line.startsWith("#EXTHTTP:")) {
+      try { for (const [k, v] of Object.entries(JSON.parse(line.substring(9)))) pending.headers[headerName(k)] = String(v); } catch {}
     } else if (currentMeta && !line.startsWith("#")) {
-      channels.push({ ...currentMeta, url: line });
+      // Kodi-stil: URL|User-Agent=..&Referer=..
+      let url = line; const pipe = line.indexOf("|");
+      if (pipe !== -1) { parseHeaderPairs(line.substring(pipe + 1), pending.headers); url = line.substring(0, pipe); }
+      const ch = { ...currentMeta, group: currentMeta.group || extGroup || "Other", url };
+      if (Object.keys(pending.headers).length) ch.headers = pending.headers;
+      if (Object.keys(pending.vlcOpts).length) ch.vlcOpts = pending.vlcOpts;
+      if (Object.keys(pending.kodiProps).length) ch.kodiProps = pending.kodiProps;
+      if (!ch.catchup) delete ch.catchup;
+      channels.push(ch);
       currentMeta = null;
+      pending = { headers: {}, vlcOpts: {}, kodiProps: {} };
+    }
+  }
+  return { channels, tvgUrls, headerAttrs };
+}
+// Skriver kanaler som M3U med de ursprungliga #EXTINF-attributen (rawAttrs) och aktuellt namn, grupp och logga.
+// Kända headers blir #EXTVLCOPT, övriga #EXTHTTP; tvg-name behåller originalnamnet för EPG-matchning.
+const m3uValue = (v) => String(v).replace(/"/g, "'").replace(/[\r\n]+/g, " ");
+function buildM3U(channels, headerAttrs = {}) {
+  const attrText = (attrs) => Object.entries(attrs).filter(([, v]) => v != null && v !== "").map(([k, v]) => ` ${k}="${m3uValue(v)}"`).join("");
+  const vlcOpt = Object.fromEntries(Object.entries(VLC_HEADER_OPTS).map(([opt, name]) => [name, opt]));
+  const lines = ["#EXTM3U" + attrText(headerAttrs)];
+  for (const ch of channels) {
+    const attrs = { ...ch.rawAttrs, "tvg-id": ch.tvgId, "tvg-name": ch.rawAttrs?.["tvg-name"] || ch.origTitle, "tvg-logo": ch.logo, "tvg-chno": ch.chno, "group-title": ch.group };
+    if (ch.catchup) Object.assign(attrs, { catchup: ch.catchup.type, "catchup-days": ch.catchup.days || "", "catchup-source": ch.catchup.source });
+    lines.push(`#EXTINF:-1${attrText(attrs)},${String(ch.title).replace(/[\r\n]+/g, " ")}`);
+    const opts = { ...ch.vlcOpts }, other = {};
+    for (const [name, value] of Object.entries(ch.headers || {})) {
+      if (vlcOpt[name]) opts[vlcOpt[name]] = value; else other[name] = value;
+    }
+    for (const [key, value] of Object.entries(opts)) lines.push(`#EXTVLCOPT:${key}=${value}`);
+    for (const [key, value] of Object.entries(ch.kodiProps || {})) lines.push(`#KODIPROP:${key}=${value}`);
+    if (Object.keys(other).length) lines.push("#EXTHTTP:" + JSON.stringify(other));
+    lines.push(ch.url);
+  }
+  return lines.join("\n") + "\n";
+}
+
+// ------------------------ EPG (XMLTV) ------------------------
+// Själva parsningen sker strömmande i epgWorker.js (se xmltv.js)
+const fmtTime = (d) => d.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+let epgWorker = null;
+let epgJobSeq = 0;
+const epgJobs = new Map(); // id -> { resolve, reject, onProgress }
+function parseEpgInWorker(input, onProgress) {
+  if (!epgWorker) {
+    epgWorker = new Worker(new URL("./epgWorker.js", import.meta.url), { type: "module" });
+    epgWorker.onmessage = (e) => {
+      const msg = e.data; const job = epgJobs.get(msg.id); if (!job) return;
+      if (msg.type === "progress") { job.onProgress?.(msg.loaded, msg.total); return; }
+      epgJobs.delete(msg.id);
+      if (msg.type === "error") job.reject(new Error(msg.message));
+      else job.resolve({ channelIdToName: new Map(msg.channels), channelNames: new Map(msg.channelNames), progs: new Map(msg.progs) });
+    };
+    epgWorker.onerror = (e) => {
+      for (const job of epgJobs.values()) job.reject(new Error(e.message || "EPG-workern kraschade"));
+      epgJobs.clear(); epgWorker.terminate(); epgWorker = null;
+    };
+  }
+  const id = ++epgJobSeq;
+  return new Promise((resolve, reject) => {
+    epgJobs.set(id, { resolve, reject, onProgress });
+    epgWorker.postMessage({ id, ...input });
+  });
+}
+function nowNextForChannel(ch, epg, now = new Date()) {
+  const hit = getEpgForChannel(ch, epg);
+  if (!hit) return { now: null, next: null };
+  const arr = hit.progs;
+  const i = firstProgAfter(arr, now);
+  const p = arr[i];
+  if (!p) return { now: null, next: null };
+  return p.start <= now ? { now: p, next: arr[i + 1] || null } : { now: null, next: p };
+}
+// Nu/Nästa för hela kanallistan. En post gäller tills nuvarande program slutar eller nästa börjar och
+// timern räknar bara om de poster som gått ut, så korten slipper slå i EPG:n vid varje render.
+const NOW_NEXT_TICK_MS = 30 * 1000;
+function useNowNextIndex(channels, epg) {
+  const [tick, setTick] = useState(0);
+  const cacheRef = useRef({ epg: null, entries: new Map() });
+  useEffect(() => {
+    if (!epg) return;
+    const t = setInterval(() => setTick((n) => n + 1), NOW_NEXT_TICK_MS);
+    return () => clearInterval(t);
+  }, [epg]);
+  return useMemo(() => {
+    if (!epg) return null;
+    if (cacheRef.current.epg !== epg) cacheRef.current = { epg, entries: new Map() };
+    const { entries } = cacheRef.current;
+    const now = new Date();
+    const get = (ch) => {
+      let entry = entries.get(ch.url);
+      if (!entry || entry.until <= now.getTime()) {
+        const nn = nowNextForChannel(ch, epg, now);
+        entry = { ...nn, until: nn.now ? nn.now.stop.getTime() : nn.next ? nn.next.start.getTime() : Infinity };
+        entries.set(ch.url, entry);
+      }
+      return entry;
+    };
+    for (const ch of channels) get(ch);
+    return { get };
+  }, [channels, epg, tick]);
+}
+// Index för första programmet som slutar efter `from` (arr är sorterad på start)
+function firstProgAfter(arr, from) {
+  let lo = 0, hi = arr.length;
+  while (lo < hi) { const mid = (lo + hi) >> 1; if (arr[mid].stop <= from) lo = mid + 1; else hi = mid; }
+  return lo;
+}
+function progsInRange(arr, from, to) {
+  const out = [];
+  for (let i = firstProgAfter(arr, from); i < arr.length && arr[i].start < to; i++) out.push(arr[i]);
+  return out;
+}
+function epgTimeRange(epg, maxDays = 7) {
+  const today = new Date(); today.setHours(0,0,0,0);
+  let min = Infinity, max = -Infinity;
+  for (const arr of epg?.progs?.values() || []) {
+    if (!arr.length) continue;
+    min = Math.min(min, arr[0].start.getTime()); max = Math.max(max, arr[arr.length - 1].stop.getTime());
+  }
+  const lo = today.getTime() - maxDays * 86400000, hi = today.getTime() + (maxDays + 1) * 86400000;
+  const from = new Date(Math.max(lo, Number.isFinite(min) ? min : today.getTime())); from.setHours(0,0,0,0);
+  const to = new Date(Math.min(hi, Number.isFinite(max) ? max : today.getTime() + 86400000));
+  if (to.getHours() || to.getMinutes()) { to.setHours(0,0,0,0); to.setDate(to.getDate() + 1); }
+  return { from, to: to > from ? to : new Date(from.getTime() + 86400000) };
+}
+
+// ------------------------ EPG-matchning ------------------------
+// Kanal -> XMLTV-id byggs en gång per spellista/EPG-laddning (buildEpgMapping) och läggs på epg.mapping.
+// Ordning: manuell koppling, tvg-id, exakt namn, channelKey() (utan kvalitets-/landssuffix) och sist likhet.
+const FUZZY_MIN_SCORE = 0.8;
+// origTitle = namnet i spellistan om kanalen döpts om i kanalhanteraren
+const epgMatchKey = (ch) => (ch.tvgId ? "id:" + ch.tvgId : "name:" + normalizeName(ch.origTitle ?? ch.title));
+function bigrams(s) {
+  const out = new Set();
+  for (let i = 0; i < s.length - 1; i++) out.add(s.slice(i, i + 2));
+  return out;
+}
+// Dice-koefficient på tecken-bigram, 0..1
+function similarity(a, b) {
+  if (a === b) return 1;
+  const A = bigrams(a), B = bigrams(b);
+  if (!A.size || !B.size) return 0;
+  let common = 0; for (const g of A) if (B.has(g)) common++;
+  return (2 * common) / (A.size + B.size);
+}
+function buildEpgMapping(channels, epg, overrides = {}) {
+  const mapping = new Map(); // epgMatchKey -> { id, how: override|tvg-id|name|key|fuzzy|none, score? }
+  if (!epg) return mapping;
+  const { progs } = epg;
+  const names = epg.channelNames || new Map([...epg.channelIdToName].map(([id, n]) => [id, [n]]));
+  const byName = new Map(), byKey = new Map(), byPrefix = new Map(), keysOf = new Map();
+  const add = (m, k, id) => { if (!k) return; if (!m.has(k)) m.set(k, []); const arr = m.get(k); if (!arr.includes(id)) arr.push(id); };
+  for (const id of progs.keys()) {
+    const keys = [];
+    for (const n of [id, ...(names.get(id) || [])]) {
+      add(byName, normalizeName(n), id);
+      const k = channelKey(n); if (!k) continue;
+      keys.push(k); add(byKey, k, id); add(byPrefix, k.slice(0, 3), id);
+    }
+    keysOf.set(id, keys);
+  }
+  const match = (ch) => {
+    const key = epgMatchKey(ch);
+    if (key in overrides) return { id: overrides[key], how: "override" }; // "" = ingen EPG
+    if (ch.tvgId && progs.has(ch.tvgId)) return { id: ch.tvgId, how: "tvg-id" };
+    const tvgName = ch.rawAttrs?.["tvg-name"];
+    for (const n of [ch.title, tvgName]) { const ids = n && byName.get(normalizeName(n)); if (ids) return { id: ids[0], how: "name" }; }
+    for (const n of [ch.title, tvgName, ch.tvgId]) { const ids = n && byKey.get(channelKey(n)); if (ids) return { id: ids[0], how: "key" }; }
+    const k = channelKey(tvgName || ch.title);
+    let best = null;
+    for (const id of byPrefix.get(k.slice(0, 3)) || []) {
+      for (const other of keysOf.get(id)) { const score = similarity(k, other); if (!best || score > best.score) best = { id, score }; }
+    }
+    return best && best.score >= FUZZY_MIN_SCORE ? { id: best.id, how: "fuzzy", score: best.score } : { id: "", how: "none" };
+  };
+  for (const ch of channels) {
+    const key = epgMatchKey(ch);
+    if (mapping.has(key)) continue;
+    const m = match(ch);
+    mapping.set(key, m);
+    // Favoriter sparar bara titel/url, så kanalen nås även via namnet
+    const nameKey = "name:" + normalizeName(ch.title);
+    if (!mapping.has(nameKey)) mapping.set(nameKey, m);
+  }
+  return mapping;
+}
+function getEpgForChannel(ch, epg) {
+  if (!epg) return null;
+  const { progs } = epg;
+  const m = epg.mapping?.get(epgMatchKey(ch)) || epg.mapping?.get("name:" + normalizeName(ch.title));
+  if (m) return m.id && progs.has(m.id) ? { id: m.id, progs: progs.get(m.id) } : null;
+  if (ch.tvgId && progs.has(ch.tvgId)) return { id: ch.tvgId, progs: progs.get(ch.tvgId) };
+  return null;
+}
+
+// ------------------------ Catch-up / timeshift ------------------------
+// Stöder catchup-typerna från M3U (flussonic, shift, append, default) och Xtream tv_archive.
+function catchupInfo(ch) {
+  if (ch?.catchup) return { type: ch.catchup.type === "xc" ? "xtream" : ch.catchup.type, source: ch.catchup.source || "", days: ch.catchup.days || 7 };
+  if (ch?.xtream?.archive) return { type: "xtream", source: "", days: ch.xtream.archiveDays || 7 };
+  return null;
+}
+// Bara om arkivet täcker programmet och en arkiv-URL faktiskt kan byggas (annars vore det live-strömmen)
+function canCatchup(ch, prog, now = new Date()) {
+  const info = catchupInfo(ch);
+  return !!info && prog.start < now && now - prog.start <= info.days * 86400000 && !!catchupUrl(ch, prog, 0, new Date(now));
+}
+const pad2 = (n) => String(n).padStart(2, "0");
+function formatCatchupTime(sec, fmt) {
+  const d = new Date(sec * 1000);
+  const parts = { Y: d.getFullYear(), m: pad2(d.getMonth() + 1), d: pad2(d.getDate()), H: pad2(d.getHours()), M: pad2(d.getMinutes()), S: pad2(d.getSeconds()) };
+  return fmt.replace(/[YmdHMS]/g, (c) => parts[c]);
+}
+// {utc} {utcend} {lutc} {duration} {offset} {Y}..{S}, ${start}/${end}/${now}/${timestamp}, {utc:Y-m-d} {duration:60} ...
+function fillCatchupTemplate(tpl, start, end, now) {
+  const values = { utc: start, start, utcend: end, end, lutc: now, now, timestamp: now, duration: end - start, offset: now - start };
+  return tpl.replace(/\$?\{(\w+)(?::([^}]+))?\}/g, (all, key, arg) => {
+    if (/^[YmdHMS]$/.test(key)) return formatCatchupTime(start, key);
+    if (!(key in values)) return all;
+    if (arg && /^\d+$/.test(arg)) return String(Math.floor(values[key] / Number(arg)));
+    if (arg) return formatCatchupTime(key === "utcend" || key === "end" ? end : key === "lutc" || key === "now" || key === "timestamp" ? now : start, arg);
+    return String(values[key]);
+  });
+}
+// Arkiv-URL för `prog` med start `offsetSec` sekunder in i programmet
+function catchupUrl(ch, prog, offsetSec = 0, now = new Date()) {
+  const info = catchupInfo(ch); if (!info) return null;
+  const start = Math.floor(prog.start.getTime() / 1000) + Math.floor(offsetSec);
+  const end = Math.max(start + 60, Math.floor(prog.stop.getTime() / 1000));
+  const nowSec = Math.floor(now.getTime() / 1000);
+  const url = ch.url;
+  if (info.type === "xtream") {
+    const m = url.match(/^(https?:\/\/[^/]+)(?:\/live)?\/([^/]+)\/([^/]+)\/(\d+)(?:\.(\w+))?$/);
+    if (!m) return null;
+    const [, host, user, pass, id, ext] = m;
+    return `${host}/timeshift/${user}/${pass}/${Math.ceil((end - start) / 60)}/${formatCatchupTime(start, "Y-m-d:H-M")}/${id}.${ext || "ts"}`;
+  }
+  if (info.type === "append") return info.source ? url + fillCatchupTemplate(info.source, start, end, nowSec) : null;
+  if (info.type === "flussonic" || info.type === "flussonic-hls" || info.type === "flussonic-ts" || info.type === "fs") {
+    if (info.source) return fillCatchupTemplate(info.source, start, end, nowSec);
+    const m = url.match(/^(https?:\/\/[^/]+\/.*\/)([^/?]*?)(mpegts|\.m3u8)(\?.*)?$/);
+    if (!m) return null;
+    const [, base, name, kind, query = ""] = m;
+    if (kind === "mpegts") return `${base}timeshift_abs-${start}.ts${query}`;
+    return `${base}${name || "index"}-${start}-${end - start}.m3u8${query}`;
+  }
+  if (info.type === "shift" && !info.source) return url + (url.includes("?") ? "&" : "?") + `utc=${start}&lutc=${nowSec}`;
+  // "default" (och shift med egen mall): catchup-source är hela URL:en
+  return info.source ? fillCatchupTemplate(info.source, start, end, nowSec) : null;
+}
+
+// ------------------------ Nätverk ------------------------
+// I Electron går hämtningar via main-processen (electron/net.js: ingen CORS, headers per värd, proxy) och strömmar
+// via proxyschemat netiptv-stream://. I webbläsaren används vanlig fetch, som kräver att servern tillåter CORS.
+const netApi = typeof window !== "undefined" ? window.netiptv?.net : null;
+// { ok, status, url, contentType, body } – body är texten och saknas när ok är false
+async function netFetch(url, { onProgress } = {}) {
+  if (netApi) {
+    try { return await netApi.fetch(url, {}, onProgress); } catch (e) { throw new Error(ipcErrorMessage(e)); }
+  }
+  const res = await fetch(url);
+  const meta = { ok: res.ok, status: res.status, url: res.url, contentType: res.headers.get("content-type") || "" };
+  if (!res.ok) { res.body?.cancel().catch(() => {}); return meta; }
+  return { ...meta, body: await res.text() };
+}
+// Adress via strömproxyn för det som läses strömmande (spelarmotorerna och EPG-workern);
+// headers per värd och omdirigeringar sköts då av main. key = spelarens kanalheaders, se holdStreamHeaders.
+const proxiedUrl = (url, key) => (netApi ? netApi.streamUrl(url, key) : url);
+
+const PROXY_MODES = [["none", "Ingen proxy"], ["http", "HTTP"], ["socks5", "SOCKS5"]];
+const headersToText = (headers) => Object.entries(headers || {}).map(([k, v]) => `${k}: ${v}`).join("\n");
+const textToHeaders = (text) => Object.fromEntries(text.split("\n").map((l) => l.match(/^\s*([\w-]+)\s*:\s*(.*?)\s*$/)).filter(Boolean).map((m) => [m[1], m[2]]));
+const settingsToDraft = (s) => ({ proxy: s.proxy, hosts: s.hosts.map((r) => ({ host: r.host, cookies: r.cookies, headersText: headersToText(r.headers) })) });
+
+// Endast Electron: proxy och headers/cookies per värd (gäller hämtningar, uppspelning, strömkontroll och inspelning)
+function NetworkSettings({ onClose }) {
+  const [draft, setDraft] = useState(null);
+  const [error, setError] = useState("");
+  const [saved, setSaved] = useState(false);
+  useEffect(() => { netApi.settings().then((s) => setDraft(settingsToDraft(s))).catch((e) => setError(ipcErrorMessage(e))); }, []);
+  const change = (fn) => { setSaved(false); setDraft(fn); };
+  const setProxy = (fields) => change((d) => ({ ...d, proxy: { ...d.proxy, ...fields } }));
+  const setHost = (i, fields) => change((d) => ({ ...d, hosts: d.hosts.map((r, j) => (j === i ? { ...r, ...fields } : r)) }));
+  const save = async () => {
+    setError("");
+    try {
+      const s = await netApi.setSettings({ proxy: draft.proxy, hosts: draft.hosts.map((r) => ({ host: r.host, cookies: r.cookies, headers: textToHeaders(r.headersText) })) });
+      setDraft(settingsToDraft(s)); setSaved(true);
+    } catch (e) { setError(ipcErrorMessage(e)); }
+  };
+  const field = "rounded-xl px-2 py-1 outline-none";
+  const fieldStyle = { backgroundColor: 'var(--card-bg)', border: `1px solid var(--card-border)`, color: 'var(--fg)' };
+  return (
+    <div className="fixed inset-0 z-50 bg-black/80 backdrop-blur" data-nav-scope>
+      <div className="max-w-2xl mx-auto mt-10 rounded-2xl border shadow-2xl" style={{ color: 'var(--fg)', backgroundColor: 'var(--card-bg)', borderColor: 'var(--card-border)' }}>
+        <div className="flex items-center justify-between gap-3 p-4 border-b" style={{ borderColor: 'var(--card-border)' }}>
+          <div className="text-lg font-semibold">Nätverk</div>
+          <UIButton onClick={onClose} data-nav-close><X className="h-4 w-4"/></UIButton>
+        </div>
+        {draft && (
+          <div className="p-4 space-y-5 text-sm max-h-[75vh] overflow-auto">
+            <div className="space-y-2">
+              <div className="font-semibold">Proxy</div>
+              <div className="text-xs" style={{ color: 'var(--muted)' }}>Gäller all trafik: spellistor, EPG, uppspelning, logotyper, strömkontroll och inspelning. Inloggning stöds bara för HTTP-proxy.</div>
+              <div className="flex flex-wrap items-center gap-2">
+                <select value={draft.proxy.mode} onChange={(e) => setProxy({ mode: e.target.value })} className={field} style={fieldStyle}>
+                  {PROXY_MODES.map(([id, label]) => <option key={id} value={id}>{label}</option>)}
+                </select>
+                {draft.proxy.mode !== "none" && (<>
+                  <input value={draft.proxy.host} onChange={(e) => setProxy({ host: e.target.value.trim() })} placeholder="Värd" className={`${field} flex-1 min-w-[8rem]`} style={fieldStyle} />
+                  <input value={draft.proxy.port} onChange={(e) => setProxy({ port: e.target.value.replace(/\D/g, "") })} placeholder="Port" className={`${field} w-20`} style={fieldStyle} />
+                </>)}
+              </div>
+              {draft.proxy.mode === "http" && (
+                <div className="flex gap-2">
+                  <input value={draft.proxy.username} onChange={(e) => setProxy({ username: e.target.value })} placeholder="Användarnamn (valfritt)" className={`${field} flex-1`} style={fieldStyle} />
+                  <input type="password" value={draft.proxy.password} onChange={(e) => setProxy({ password: e.target.value })} placeholder="Lösenord" className={`${field} flex-1`} style={fieldStyle} />
+                </div>
+              )}
+            </div>
+            <div className="space-y-2">
+              <div className="font-semibold">Headers och cookies per värd</div>
+              <div className="text-xs" style={{ color: 'var(--muted)' }}>En rad per header, t.ex. <code>Referer: https://example.com/</code>. Värden gäller även underdomäner. Kanalens egna headers från spellistan går före.</div>
+              {draft.hosts.map((r, i) => (
+                <div key={i} className="space-y-2 rounded-xl border p-3" style={{ borderColor: 'var(--card-border)' }}>
+                  <div className="flex gap-2">
+                    <input value={r.host} onChange={(e) => setHost(i, { host: e.target.value })} placeholder="Värd, t.ex. example.com" className={`${field} flex-1`} style={fieldStyle} />
+                    <UIButton onClick={() => change((d) => ({ ...d, hosts: d.hosts.filter((_, j) => j !== i) }))} title="Ta bort"><Trash2 className="h-4 w-4"/></UIButton>
+                  </div>
+                  <textarea value={r.headersText} onChange={(e) => setHost(i, { headersText: e.target.value })} rows={2} placeholder="User-Agent: …" className={`${field} w-full font-mono text-xs`} style={fieldStyle} />
+                  <input value={r.cookies} onChange={(e) => setHost(i, { cookies: e.target.value })} placeholder="Cookies, t.ex. session=abc; lang=sv" className={`${field} w-full font-mono text-xs`} style={fieldStyle} />
+                </div>
+              ))}
+              <UIButton onClick={() => change((d) => ({ ...d, hosts: [...d.hosts, { host: "", headersText: "", cookies: "" }] }))}>Lägg till värd</UIButton>
+            </div>
+            {error && <div className="text-red-400 text-xs">{error}</div>}
+            <div className="flex items-center gap-3">
+              <UIButton onClick={save} className="bg-red-600 text-white border-transparent">Spara</UIButton>
+              {saved && <span className="text-xs" style={{ color: 'var(--muted)' }}>Sparat</span>}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// ------------------------ Xtream Codes API ------------------------
+// Källtyp "xtream": server + användarnamn + lösenord mot player_api.php.
+// Live-kanaler mappas till samma kanalobjekt som parseM3U ger, filmer/serier hålls separat.
+function xtreamBase(server) {
+  let s = (server || "").trim().replace(/\/+$/, "");
+  if (!/^https?:\/\//i.test(s)) s = "http://" + s;
+  return s.replace(/\/player_api\.php$/i, "");
+}
+async function xtreamApi(src, action, params = {}) {
+  const q = new URLSearchParams({ username: src.username, password: src.password, ...(action ? { action } : {}), ...params });
+  const res = await netFetch(`${xtreamBase(src.url)}/player_api.php?${q}`);
+  if (!res.ok) throw new Error("Xtream-fel: " + res.status);
+  try { return JSON.parse(res.body); } catch { throw new Error("Xtream-fel: ogiltigt svar"); }
+}
+function decodeBase64Utf8(s) {
+  try { return new TextDecoder().decode(Uint8Array.from(atob(s || ""), (c) => c.charCodeAt(0))); } catch { return s || ""; }
+}
+const asArray = (v) => (Array.isArray(v) ? v : v && typeof v === "object" ? Object.values(v) : []);
+function categoryLookup(cats) {
+  const m = new Map();
+  for (const c of asArray(cats)) m.set(String(c.category_id), c.category_name);
+  return (id) => m.get(String(id)) || "Other";
+}
+async function loadXtream(src) {
+  const auth = await xtreamApi(src);
+  const info = auth?.user_info;
+  if (!info || Number(info.auth) === 0) throw new Error("Xtream: fel användarnamn eller lösenord");
+  if (info.status && info.status !== "Active") throw new Error("Xtream: kontot är " + info.status);
+  const base = xtreamBase(src.url);
+  const creds = `${encodeURIComponent(src.username)}/${encodeURIComponent(src.password)}`;
+  const liveExt = asArray(info.allowed_output_formats).length && !asArray(info.allowed_output_formats).includes("m3u8") ? "ts" : "m3u8";
+  const [liveCats, live, vodCats, vod, seriesCats, series] = await Promise.all([
+    xtreamApi(src, "get_live_categories"), xtreamApi(src, "get_live_streams"),
+    xtreamApi(src, "get_vod_categories"), xtreamApi(src, "get_vod_streams"),
+    xtreamApi(src, "get_series_categories"), xtreamApi(src, "get_series"),
+  ]);
+  const tag = { sourceId: src.id, sourceName: src.name };
+  const liveCat = categoryLookup(liveCats), vodCat = categoryLookup(vodCats), seriesCat = categoryLookup(seriesCats);
+  const channels = asArray(live).map((s) => ({
+    title: s.name || "Unknown", group: liveCat(s.category_id), logo: s.stream_icon || "", tvgId: s.epg_channel_id || "", chno: s.num ? String(s.num) : "",
+    url: `${base}/live/${creds}/${s.stream_id}.${liveExt}`, rawAttrs: {}, ...tag,
+    xtream: { streamId: s.stream_id, archive: Number(s.tv_archive) === 1, archiveDays: Number(s.tv_archive_duration) || 0 },
+  }));
+  const movies = asArray(vod).map((s) => ({
+    kind: "movie", title: s.name || "Unknown", group: vodCat(s.category_id), logo: s.stream_icon || "", tvgId: "",
+    url: `${base}/movie/${creds}/${s.stream_id}.${s.container_extension || "mp4"}`, rating: s.rating || "", rawAttrs: {}, ...tag,
+    xtream: { streamId: s.stream_id },
+  }));
+  const seriesList = asArray(series).map((s) => ({
+    kind: "series", title: s.name || "Unknown", group: seriesCat(s.category_id), logo: s.cover || "", tvgId: "",
+    url: `xtream-series:${src.id}:${s.series_id}`, plot: s.plot || "", rating: s.rating || "", rawAttrs: {}, ...tag,
+    xtream: { seriesId: s.series_id },
+  }));
+  return { channels, movies, series: seriesList };
+}
+async function xtreamSeriesInfo(src, seriesId) {
+  const data = await xtreamApi(src, "get_series_info", { series_id: seriesId });
+  const base = xtreamBase(src.url);
+  const creds = `${encodeURIComponent(src.username)}/${encodeURIComponent(src.password)}`;
+  const seasons = Object.entries(data?.episodes || {}).map(([season, eps]) => ({
+    season: Number(season),
+    episodes: asArray(eps).map((e) => ({
+      title: e.title || `Avsnitt ${e.episode_num}`, episode: Number(e.episode_num) || 0, season: Number(season),
+      url: `${base}/series/${creds}/${e.id}.${e.container_extension || "mp4"}`,
+      logo: e.info?.movie_image || "", plot: e.info?.plot || "", duration: e.info?.duration || "",
+    })).sort((a, b) => a.episode - b.episode),
+  })).sort((a, b) => a.season - b.season);
+  return { info: data?.info || {}, seasons };
+}
+async function xtreamShortEpg(src, streamId, limit = 20) {
+  const data = await xtreamApi(src, "get_short_epg", { stream_id: streamId, limit });
+  return asArray(data?.epg_listings).map((p) => ({
+    start: new Date(Number(p.start_timestamp) * 1000), stop: new Date(Number(p.stop_timestamp) * 1000),
+    title: decodeBase64Utf8(p.title) || "(okänt)", desc: decodeBase64Utf8(p.description), category: "",
+  })).filter((p) => !isNaN(p.start) && !isNaN(p.stop)).sort((a, b) => a.start - b.start);
+}
+
+// ------------------------ Storage helpers ------------------------
+const LS_KEYS = {
+  FAVORITES: "iptv.favorites",
+  LAST: "iptv.last",
+  PLAYLIST_META: "iptv.playlist.meta", // äldre format, migreras till SOURCES
+  EPG_META: "iptv.epg.meta",           // äldre format, migreras till SOURCES
+  THEME: "iptv.theme",
+  SOURCES: "iptv.sources",
+  EPG_OVERRIDES: "iptv.epg.overrides", // epgMatchKey -> XMLTV-id ("" = ingen EPG)
+  PLAYER_PREFS: "iptv.player.prefs",
+  PLAYBACK_LOG: "iptv.playback.log",   // epgMatchKey -> [{ at, url, reason }]
+  REMINDERS: "iptv.reminders",         // { leadMinutes, items, rules }
+  CHANNEL_EDITS: "iptv.channel.edits", // se EMPTY_CHANNEL_EDITS
+  PROFILES: "iptv.profiles",           // { profiles: [...], pinHash }
+  HISTORY: "iptv.history",             // [{ id, key, title, url, at, watchedMs, position, duration, ... }], nyast först
+  GAMEPAD: "iptv.gamepad",             // action -> knappindex, gäller enheten (se DEFAULT_GAMEPAD_MAP)
+};
+// Nycklar som sparas per profil. Standardprofilen använder de ursprungliga nycklarna så att äldre data följer med.
+const PROFILE_KEYS = [LS_KEYS.FAVORITES, LS_KEYS.LAST, LS_KEYS.THEME, LS_KEYS.PLAYER_PREFS, LS_KEYS.CHANNEL_EDITS, LS_KEYS.REMINDERS, LS_KEYS.HISTORY];
+const profileKey = (key, profileId) => (profileId === DEFAULT_PROFILE_ID ? key : `${key}@${profileId}`);
+// initialValue kan vara en funktion (som i useState) och anropas då bara när nyckeln saknas
+function useLocalStorage(key, initialValue) {
+  const [value, setValue] = useState(() => {
+    const initial = () => (typeof initialValue === "function" ? initialValue() : initialValue);
+    try { const v = localStorage.getItem(key); return v ? JSON.parse(v) : initial(); } catch { return initial(); }
+  });
+  useEffect(() => { try { localStorage.setItem(key, JSON.stringify(value)); } catch {} }, [key, value]);
+  return [value, setValue];
+}
+// Sparar text som en fil via en tillfällig nedladdningslänk
+function downloadFile(name, text, type = "text/plain") {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement("a");
+  a.href = url; a.download = name;
+  document.body.appendChild(a); a.click(); a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// IndexedDB för sådant som är för stort för localStorage (importerade filer, parsad EPG)
+const IDB_NAME = "netiptv";
+const IDB_VERSION = 2;
+const IDB_STORES = { FILES: "files", EPG: "epg" };
+let idbPromise = null;
+function idbOpen() {
+  if (!idbPromise) idbPromise = new Promise((resolve, reject) => {
+    const req = indexedDB.open(IDB_NAME, IDB_VERSION);
+    req.onupgradeneeded = () => { const db = req.result; for (const name of Object.values(IDB_STORES)) if (!db.objectStoreNames.contains(name)) db.createObjectStore(name); };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => { idbPromise = null; reject(req.error); };
+  });
+  return idbPromise;
+}
+async function idbRequest(store, mode, fn) {
+  const db = await idbOpen();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(store, mode); const req = fn(tx.objectStore(store));
+    tx.oncomplete = () => resolve(req.result);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+const idbGet = (store, key) => idbRequest(store, "readonly", (s) => s.get(key));
+const idbSet = (store, key, value) => idbRequest(store, "readwrite", (s) => s.put(value, key));
+const idbDel = (store, key) => idbRequest(store, "readwrite", (s) => s.delete(key));
+const idbKeys = (store) => idbRequest(store, "readonly", (s) => s.getAllKeys());
+
+// ------------------------ Source library ------------------------
+// Spellistor och EPG-källor sparas i LS_KEYS.SOURCES och laddas om vid start.
+// Filkällor sparar innehållet i IndexedDB så de överlever omstart.
+const REFRESH_OPTIONS = [
+  { hours: 0, label: "Manuellt" },
+  { hours: 6, label: "Var 6:e timme" },
+  { hours: 12, label: "Var 12:e timme" },
+  { hours: 24, label: "Dagligen" },
+  { hours: 168, label: "Veckovis" },
+];
+const RETRY_AFTER_ERROR_MS = 15 * 60000;
+const newId = () => Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+function makeSource(kind, fields) {
+  return { id: newId(), kind, name: "", type: "url", url: "", enabled: true, refreshHours: 24, lastAttempt: 0, lastSuccess: 0, lastError: "", count: 0, ...fields };
+}
+function sourceNameFromUrl(url) {
+  try { const u = new URL(url); return u.hostname + (u.pathname.split("/").pop() ? " · " + u.pathname.split("/").pop() : ""); } catch { return url; }
+}
+function initialSources() {
+  // Migrera från äldre playlist/epg-meta där bara senaste URL sparades
+  const out = [];
+  for (const [key, kind] of [[LS_KEYS.PLAYLIST_META, "playlist"], [LS_KEYS.EPG_META, "epg"]]) {
+    try {
+      const meta = JSON.parse(localStorage.getItem(key) || "null");
+      if (meta?.sourceType === "url" && meta.sourceName) out.push(makeSource(kind, { name: sourceNameFromUrl(meta.sourceName), url: meta.sourceName }));
+    } catch {}
+  }
+  return out;
+}
+function isSourceDue(src, now = Date.now()) {
+  if (!src.enabled || !src.refreshHours) return false;
+  const interval = src.refreshHours * 3600000;
+  return now - (src.lastAttempt || 0) >= (src.lastError ? Math.min(interval, RETRY_AFTER_ERROR_MS) : interval);
+}
+async function readSourceFile(src) {
+  const file = await idbGet(IDB_STORES.FILES, src.id);
+  if (file == null) throw new Error("Filen finns inte sparad längre – importera den igen");
+  return typeof file === "string" ? new Blob([file]) : file;
+}
+async function readSourceText(src) {
+  if (src.type === "file") return (await readSourceFile(src)).text();
+  const res = await netFetch(src.url);
+  if (!res.ok) throw new Error((src.kind === "epg" ? "Kunde inte ladda EPG: " : "Kunde inte ladda playlist: ") + res.status);
+  return res.body;
+}
+function mergeEpg(list) {
+  if (list.length === 0) return null;
+  if (list.length === 1) return list[0];
+  const channelIdToName = new Map(); const channelNames = new Map(); const progs = new Map(); const merged = new Set();
+  for (const e of list) {
+    for (const [id, name] of e.channelIdToName) if (!channelIdToName.has(id)) channelIdToName.set(id, name);
+    for (const [id, names] of e.channelNames || []) if (!channelNames.has(id)) channelNames.set(id, names);
+    for (const [id, arr] of e.progs) {
+      if (!progs.has(id)) progs.set(id, arr);
+      else { progs.set(id, progs.get(id).concat(arr)); merged.add(id); }
+    }
+  }
+  // Samma program från flera källor: första källan vinner
+  for (const id of merged) {
+    const arr = progs.get(id).sort((a, b) => a.start - b.start);
+    progs.set(id, arr.filter((p, i) => i === 0 || p.start.getTime() !== arr[i - 1].start.getTime()));
+  }
+  return { channelIdToName, channelNames, progs };
+}
+
+// EPG lagras parsad i IndexedDB så guiden finns direkt vid nästa start
+const epgToCache = (epg) => ({ savedAt: Date.now(), channels: [...epg.channelIdToName], channelNames: [...(epg.channelNames || [])], progs: [...epg.progs] });
+const epgFromCache = (c) => ({ channelIdToName: new Map(c.channels), channelNames: new Map(c.channelNames || []), progs: new Map(c.progs) });
+// Id:n och channelKey() från spellistorna + manuella kopplingar – EPG-workern behåller bara matchande XMLTV-kanaler
+function epgKeepFilter(channels, overrides = {}) {
+  if (!channels.length) return {};
+  const keepIds = new Set(Object.values(overrides).filter(Boolean)), keepNames = new Set();
+  for (const c of channels) {
+    if (c.tvgId) { keepIds.add(c.tvgId); keepNames.add(channelKey(c.tvgId)); }
+    if (c.title) keepNames.add(channelKey(c.title));
+    if (c.rawAttrs?.["tvg-name"]) keepNames.add(channelKey(c.rawAttrs["tvg-name"]));
+  }
+  keepNames.delete("");
+  return { keepIds: [...keepIds], keepNames: [...keepNames] };
+}
+function readEpgOverrides() {
+  try { return JSON.parse(localStorage.getItem(LS_KEYS.EPG_OVERRIDES) || "{}") || {}; } catch { return {}; }
+}
+
+function useSourceLibrary() {
+  const [sources, setSources] = useLocalStorage(LS_KEYS.SOURCES, initialSources);
+  const [data, setData] = useState({}); // id -> { channels } | { epg } | { channels, movies, series }
+  const [busy, setBusy] = useState({}); // id -> true medan källan laddas
+  const [progress, setProgress] = useState({}); // id -> { loaded, total } för EPG som laddas
+  const sourcesRef = useRef(sources);
+  sourcesRef.current = sources;
+  const dataRef = useRef(data);
+  dataRef.current = data;
+  const busyRef = useRef(new Set());
+  // dataRef uppdateras direkt så att en efterföljande EPG-laddning ser nya kanaler före nästa render
+  const setSourceData = (id, value) => { dataRef.current = { ...dataRef.current, [id]: value }; setData((d) => ({ ...d, [id]: value })); };
+
+  const playlistChannels = () => {
+    const out = [];
+    for (const s of sourcesRef.current) if (s.enabled && s.kind !== "epg") for (const c of dataRef.current[s.id]?.channels || []) out.push(c);
+    return out;
+  };
+  // EPG filtreras mot spellistorna, så vänta tills de laddats klart. Väntande EPG:er släpps i refreshSource när
+  // den sista spellistan är färdig.
+  const playlistWaitersRef = useRef([]);
+  const loadingPlaylist = () => [...busyRef.current].some((id) => sourcesRef.current.find((s) => s.id === id)?.kind !== "epg");
+  const waitForPlaylists = () => (loadingPlaylist() ? new Promise((resolve) => playlistWaitersRef.current.push(resolve)) : Promise.resolve());
+
+  const patchSource = useCallback((id, fields) => setSources((prev) => prev.map((s) => (s.id === id ? { ...s, ...fields } : s))), [setSources]);
+
+  const refreshSource = useCallback(async (src) => {
+    if (busyRef.current.has(src.id)) return;
+    busyRef.current.add(src.id); setBusy((b) => ({ ...b, [src.id]: true }));
+    patchSource(src.id, { lastAttempt: Date.now() });
+    try {
+      if (src.kind === "xtream") {
+        const result = await loadXtream(src);
+        setSourceData(src.id, result);
+        patchSource(src.id, { lastSuccess: Date.now(), lastError: "", count: result.channels.length, movieCount: result.movies.length, seriesCount: result.series.length });
+        return;
+      }
+      if (src.kind === "epg") {
+        await waitForPlaylists();
+        // Workern hämtar och parsar strömmande; i Electron via strömproxyn så att stora guider aldrig buffras i sin helhet
+        const input = src.type === "file" ? { file: await readSourceFile(src) } : { url: proxiedUrl(src.url) };
+        const epg = await parseEpgInWorker({ ...input, ...epgKeepFilter(playlistChannels(), readEpgOverrides()) }, (loaded, total) => setProgress((p) => ({ ...p, [src.id]: { loaded, total } })));
+        setSourceData(src.id, { epg });
+        patchSource(src.id, { lastSuccess: Date.now(), lastError: "", count: epg.progs.size });
+        idbSet(IDB_STORES.EPG, src.id, epgToCache(epg)).catch(() => {});
+      } else {
+        const text = await readSourceText(src);
+        const parsed = parseM3U(text);
+        const channels = parsed.channels.map((c) => ({ ...c, sourceId: src.id, sourceName: src.name }));
+        setSourceData(src.id, { channels });
+        patchSource(src.id, { lastSuccess: Date.now(), lastError: "", count: channels.length });
+        // url-tvg i #EXTM3U-raden läggs till som EPG-källor, om de inte redan finns eller har tagits bort av användaren
+        const ignored = sourcesRef.current.find((s) => s.id === src.id)?.ignoredTvgUrls || [];
+        const known = new Set(sourcesRef.current.filter((s) => s.kind === "epg").map((s) => s.url));
+        const added = parsed.tvgUrls.filter((u) => !known.has(u) && !ignored.includes(u))
+          .map((u) => makeSource("epg", { name: "url-tvg · " + sourceNameFromUrl(u), url: u, origin: src.id }));
+        if (added.length) {
+          sourcesRef.current = [...sourcesRef.current, ...added];
+          setSources((prev) => [...prev, ...added]);
+          for (const epgSrc of added) refreshSource(epgSrc).catch(() => {});
+        }
+      }
+    } catch (e) {
+      patchSource(src.id, { lastError: String(e.message || e) });
+      throw e;
+    } finally {
+      busyRef.current.delete(src.id);
+      if (!loadingPlaylist()) { const waiters = playlistWaitersRef.current; playlistWaitersRef.current = []; for (const resolve of waiters) resolve(); }
+      setBusy((b) => { const n = { ...b }; delete n[src.id]; return n; });
+      setProgress((p) => { if (!p[src.id]) return p; const n = { ...p }; delete n[src.id]; return n; });
+    }
+  }, [patchSource, setSources]);
+
+  const addSource = useCallback(async (src, file) => {
+    if (file != null) await idbSet(IDB_STORES.FILES, src.id, file);
+    setSources((prev) => (prev.some((s) => s.id === src.id) ? prev.map((s) => (s.id === src.id ? src : s)) : [...prev, src]));
+    await refreshSource(src);
+    // Ny spellista: läs om EPG:erna så att de nya kanalerna kommer med i filtret
+    if (src.kind !== "epg") for (const s of sourcesRef.current) if (s.kind === "epg" && s.enabled) refreshSource(s).catch(() => {});
+  }, [setSources, refreshSource]);
+
+  const updateSource = useCallback((id, fields) => {
+    const src = sourcesRef.current.find((s) => s.id === id); if (!src) return;
+    patchSource(id, fields);
+    const next = { ...src, ...fields };
+    if (next.enabled && (!src.enabled || fields.url !== undefined) && !busyRef.current.has(id)) refreshSource(next).catch(() => {});
+  }, [patchSource, refreshSource]);
+
+  const removeSource = useCallback((id) => {
+    const src = sourcesRef.current.find((s) => s.id === id); if (!src) return;
+    // Automatiskt tillagda EPG:er följer med sin spellista; tas en bort manuellt läggs den inte till igen
+    const removed = new Set([id, ...sourcesRef.current.filter((s) => s.origin === id).map((s) => s.id)]);
+    setSources((prev) => prev.filter((s) => !removed.has(s.id)).map((s) => (s.id === src.origin ? { ...s, ignoredTvgUrls: [...(s.ignoredTvgUrls || []), src.url] } : s)));
+    setData((d) => { const n = { ...d }; for (const r of removed) delete n[r]; return n; });
+    for (const r of removed) { idbDel(IDB_STORES.FILES, r).catch(() => {}); idbDel(IDB_STORES.EPG, r).catch(() => {}); }
+  }, [setSources]);
+
+  // Ladda alla aktiva källor vid start och uppdatera i bakgrunden enligt intervall.
+  // EPG tas från IndexedDB-cachen och hämtas bara om den saknas eller är för gammal.
+  useEffect(() => {
+    for (const s of sourcesRef.current) {
+      if (!s.enabled) continue;
+      if (s.kind !== "epg") { refreshSource(s).catch(() => {}); continue; }
+      idbGet(IDB_STORES.EPG, s.id).catch(() => null).then((cached) => {
+        if (cached) setData((d) => (d[s.id] ? d : { ...d, [s.id]: { epg: epgFromCache(cached) } }));
+        if (!cached || isSourceDue(s)) refreshSource(s).catch(() => {});
+      });
+    }
+    const id = setInterval(() => {
+      for (const s of sourcesRef.current) if (isSourceDue(s)) refreshSource(s).catch(() => {});
+    }, 60000);
+    return () => clearInterval(id);
+  }, [refreshSource]);
+
+  const collect = (key) => {
+    const out = [];
+    for (const s of sources) if (s.enabled && s.kind !== "epg" && data[s.id]?.[key]) for (const c of data[s.id][key]) out.push(c);
+    return out;
+  };
+  const channels = useMemo(() => collect("channels"), [sources, data]);
+  const movies = useMemo(() => collect("movies"), [sources, data]);
+  const series = useMemo(() => collect("series"), [sources, data]);
+  const epg = useMemo(() => mergeEpg(sources.filter((s) => s.enabled && s.kind === "epg" && data[s.id]?.epg).map((s) => data[s.id].epg)), [sources, data]);
+
+  return { sources, busy, progress, channels, movies, series, epg, addSource, updateSource, removeSource, refreshSource };
+}
+
+// ------------------------ Inspelningar ------------------------
+// Inspelning sker i Electron (electron/recorder.js); i webbläsaren finns inget API och knapparna döljs
+const RECORDING_STATUS = { scheduled: "Schemalagd", recording: "Spelar in", done: "Klar", failed: "Misslyckades", cancelled: "Avbruten" };
+// "Error invoking remote method 'rec:schedule': Error: Krockar med ..." -> "Krockar med ..."
+function ipcErrorMessage(e) {
+  return String(e?.message || e).replace(/^Error invoking remote method '[^']+': (?:\w*Error: )?/, "");
+}
+function recordingSpec(ch, prog) {
+  return {
+    channel: { title: ch.title, url: ch.url, headers: ch.headers || null, logo: ch.logo || "", tvgId: ch.tvgId || "" },
+    title: prog?.title || ch.title, start: prog?.start.getTime(), stop: prog?.stop.getTime(),
+  };
+}
+function recordingForProg(jobs, ch, prog) {
+  const start = prog.start.getTime(), stop = prog.stop.getTime();
+  return jobs.find((j) => (j.status === "scheduled" || j.status === "recording") && j.channel.url === ch.url && j.startAt <= start && j.stopAt >= stop);
+}
+// Färdiga (och pågående) inspelningar som spelbara poster, t.ex. för raden "Inspelningar"
+function recordingItems(jobs) {
+  return jobs.filter((j) => j.fileUrl && (j.status === "done" || j.status === "recording")).map((j) => ({
+    title: j.title, url: j.fileUrl, logo: j.channel.logo, kind: "recording", recordingId: j.id,
+    group: `${j.channel.title} · ${new Date(j.start).toLocaleString([], { dateStyle: "short", timeStyle: "short" })}${j.status === "recording" ? " · pågår" : ""}`,
+  }));
+}
+function useRecordings() {
+  const api = typeof window !== "undefined" ? window.netiptv?.recordings : null;
+  const [jobs, setJobs] = useState([]);
+  useEffect(() => {
+    if (!api) return;
+    api.list().then(setJobs).catch(() => {});
+    return api.onChange(setJobs);
+  }, [api]);
+  return useMemo(() => {
+    if (!api) return null;
+    const call = (fn) => (...args) => fn(...args).catch((e) => { throw new Error(ipcErrorMessage(e)); });
+    return {
+      jobs,
+      schedule: call((ch, prog) => api.schedule(recordingSpec(ch, prog))),
+      recordNow: call((ch, prog) => api.recordNow(recordingSpec(ch, prog))),
+      stop: call((id) => api.stop(id)),
+      remove: call((id) => api.remove(id)),
+      openFolder: call(() => api.openFolder()),
+    };
+  }, [api, jobs]);
+}
+
+// ------------------------ Påminnelser ------------------------
+// Påminnelser och serieregler ("alla avsnitt av titeln på kanalen") sparas i LS_KEYS.REMINDERS (per profil).
+// Regler utvärderas mot varje ny EPG; notisen visas via Electron (window.netiptv.notify) eller webbläsarens Notification.
+const REMINDER_LEAD_OPTIONS = [1, 5, 10, 15, 30];
+const REMINDER_TICK_MS = 15000;
+const reminderKey = (ch, prog) => `${ch.url}|${prog.start.getTime()}`;
+function makeReminder(ch, prog, ruleId) {
+  return {
+    id: reminderKey(ch, prog), channelUrl: ch.url, channelTitle: ch.title, logo: ch.logo || "",
+    title: prog.title, start: prog.start.getTime(), stop: prog.stop.getTime(), ruleId: ruleId || null, firedAt: 0,
+  };
+}
+function showNotification({ id, title, body, icon }, onClick) {
+  if (window.netiptv?.notify) { window.netiptv.notify({ id, title, body }).catch(() => {}); return; } // klick kommer via onNotificationClick
+  if (typeof Notification === "undefined") return;
+  const show = () => { const n = new Notification(title, { body, icon, tag: id }); n.onclick = () => { window.focus(); onClick(); n.close(); }; };
+  if (Notification.permission === "granted") show();
+  else if (Notification.permission !== "denied") Notification.requestPermission().then((p) => p === "granted" && show());
+}
+// `onOpen(reminder)` byter till kanalen när notisen klickas
+function useReminders(channels, epg, onOpen, storageKey = LS_KEYS.REMINDERS) {
+  const [state, setState] = useLocalStorage(storageKey, { leadMinutes: 5, items: [], rules: [] });
+  const openRef = useRef(onOpen);
+  openRef.current = onOpen;
+  const stateRef = useRef(state);
+  stateRef.current = state;
+
+  // Serieregler: lägg till kommande avsnitt som dykt upp i den senaste EPG:n
+  useEffect(() => {
+    if (!epg || !state.rules.length) return;
+    const now = Date.now();
+    const known = new Set(state.items.map((r) => r.id));
+    const added = [];
+    for (const rule of state.rules) {
+      const ch = channels.find((c) => c.url === rule.channelUrl);
+      const hit = ch && getEpgForChannel(ch, epg);
+      if (!hit) continue;
+      for (const p of hit.progs) {
+        if (p.start.getTime() <= now || normalizeName(p.title) !== rule.titleKey) continue;
+        const r = makeReminder(ch, p, rule.id);
+        if (!known.has(r.id)) { known.add(r.id); added.push(r); }
+      }
+    }
+    if (added.length) setState((s) => ({ ...s, items: [...s.items, ...added] }));
+  }, [epg, channels, state.rules]);
+
+  useEffect(() => {
+    const tick = () => {
+      const { leadMinutes, items } = stateRef.current;
+      const now = Date.now();
+      const due = items.filter((r) => !r.firedAt && r.start - leadMinutes * 60000 <= now && r.stop > now);
+      for (const r of due) {
+        const mins = Math.max(0, Math.round((r.start - now) / 60000));
+        showNotification({ id: r.id, title: r.title, body: `${r.channelTitle} · ${mins > 0 ? `börjar om ${mins} min` : "börjar nu"} (${fmtTime(new Date(r.start))}). Klicka för att byta kanal.`, icon: r.logo }, () => openRef.current?.(r));
+      }
+      const stale = items.some((r) => r.stop < now);
+      if (due.length || stale) {
+        const fired = new Set(due.map((r) => r.id));
+        setState((s) => ({ ...s, items: s.items.filter((r) => r.stop >= now).map((r) => (fired.has(r.id) ? { ...r, firedAt: now } : r)) }));
+      }
+    };
+    tick();
+    const t = setInterval(tick, REMINDER_TICK_MS);
+    const off = window.netiptv?.onNotificationClick?.((id) => {
+      const r = stateRef.current.items.find((x) => x.id === id);
+      if (r) openRef.current?.(r);
+    });
+    return () => { clearInterval(t); off?.(); };
+  }, []);
+
+  const ruleFor = (ch, prog) => state.rules.find((r) => r.channelUrl === ch.url && r.titleKey === normalizeName(prog.title));
+  return {
+    leadMinutes: state.leadMinutes,
+    setLeadMinutes: (leadMinutes) => setState((s) => ({ ...s, leadMinutes })),
+    count: state.items.filter((r) => !r.firedAt).length,
+    has: (ch, prog) => state.items.some((r) => r.id === reminderKey(ch, prog)),
+    toggle: (ch, prog) => setState((s) => {
+      const id = reminderKey(ch, prog);
+      return s.items.some((r) => r.id === id) ? { ...s, items: s.items.filter((r) => r.id !== id) } : { ...s, items: [...s.items, makeReminder(ch, prog)] };
+    }),
+    hasRule: (ch, prog) => !!ruleFor(ch, prog),
+    toggleRule: (ch, prog) => setState((s) => {
+      const existing = s.rules.find((r) => r.channelUrl === ch.url && r.titleKey === normalizeName(prog.title));
+      if (existing) return { ...s, rules: s.rules.filter((r) => r !== existing), items: s.items.filter((r) => r.ruleId !== existing.id || r.firedAt) };
+      const rule = { id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`, channelUrl: ch.url, channelTitle: ch.title, title: prog.title, titleKey: normalizeName(prog.title) };
+      return { ...s, rules: [...s.rules, rule] };
+    }),
+  };
+}
+
+// ------------------------ Historik ------------------------
+// Tittarhistorik per profil (LS_KEYS.HISTORY): en post per visning med när, hur länge och position (VOD/catch-up).
+// Posten skrivs först när man tittat HISTORY_MIN_MS så att zappning inte fyller listan.
+const HISTORY_LIMIT = 300;
+const HISTORY_MIN_MS = 10000;
+const WATCH_TICK_MS = 5000;
+const CONTINUE_LIMIT = 20;
+const RESUME_MIN_SEC = 30;
+const RESUME_DONE_RATIO = 0.95; // tittat så här långt = klart, börjar om från början nästa gång
+// Samma film/avsnitt/arkivprogram får samma nyckel oavsett när det spelades
+const historyKey = (item) => (item.catchupProg ? `${item.url}|${item.catchupProg.start.getTime()}` : item.catchup ? `${item.url}|${item.catchup.start}` : item.url);
+const historyDone = (e) => !!e.duration && e.position >= e.duration * RESUME_DONE_RATIO;
+function fmtClock(sec) {
+  const s = Math.floor(sec), h = Math.floor(s / 3600), m = Math.floor((s % 3600) / 60);
+  return `${h ? h + ":" : ""}${String(m).padStart(h ? 2 : 1, "0")}:${String(s % 60).padStart(2, "0")}`;
+}
+function fmtWatched(ms) {
+  const min = Math.round(ms / 60000);
+  return min < 60 ? `${Math.max(1, min)} min` : `${Math.floor(min / 60)} h ${min % 60} min`;
+}
+function useWatchHistory(storageKey) {
+  const [entries, setEntries] = useLocalStorage(storageKey, []);
+  const sessionRef = useRef(null); // { entry, watchedMs, lastTick }
+  const begin = useCallback((item) => {
+    const prog = item.catchupProg;
+    const entry = {
+      id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`, key: historyKey(item),
+      title: item.title, url: item.url, logo: item.logo || "", group: item.group, at: Date.now(),
+      ...(item.kind ? { kind: item.kind, sourceId: item.sourceId, xtream: item.xtream } : {}),
+      ...(prog ? { catchup: { title: prog.title, start: prog.start.getTime(), stop: prog.stop.getTime() } } : {}),
+    };
+    sessionRef.current = { entry, watchedMs: 0, lastTick: Date.now() };
+  }, []);
+  // Anropas av spelaren var WATCH_TICK_MS medan den spelar
+  const progress = useCallback(({ position, duration }) => {
+    const s = sessionRef.current; if (!s) return;
+    const now = Date.now();
+    s.watchedMs += Math.min(now - s.lastTick, WATCH_TICK_MS * 2); s.lastTick = now;
+    if (s.watchedMs < HISTORY_MIN_MS) return;
+    const entry = { ...s.entry, watchedMs: s.watchedMs, position, duration };
+    setEntries((list) => [entry, ...list.filter((e) => e.id !== entry.id)].slice(0, HISTORY_LIMIT));
+  }, [setEntries]);
+  const end = useCallback(() => { sessionRef.current = null; }, []);
+  // Senaste posten per titel, nyast först, utan sådant som redan tittats klart
+  const continueItems = useMemo(() => {
+    const seen = new Set(), out = [];
+    for (const e of entries) {
+      if (seen.has(e.key)) continue;
+      seen.add(e.key);
+      if (!historyDone(e)) out.push(e);
+    }
+    return out;
+  }, [entries]);
+  return {
+    entries, continueItems, begin, progress, end,
+    resumeAt: (item) => { const e = entries.find((x) => x.key === historyKey(item)); return e && !historyDone(e) && e.position >= RESUME_MIN_SEC ? e.position : 0; },
+    remove: (id) => setEntries((list) => list.filter((e) => e.id !== id)),
+    removeKey: (key) => setEntries((list) => list.filter((e) => e.key !== key)),
+    clear: () => setEntries([]),
+  };
+}
+
+// ------------------------ Sök ------------------------
+// Global sökning i kanaler, grupper, EPG-program (titel, undertitel, kategori, beskrivning) och VOD.
+// Texten normaliseras utan diakritiska tecken ("Sjöwall" hittas med "sjowall"); ord med stavfel matchas
+// mot titlar med högst 1–2 fel. Indexet byggs bara medan man söker.
+const SEARCH_DEBOUNCE_MS = 250;
+const SEARCH_ROW_LIMIT = 40;
+const SEARCH_EPG_DAYS = 7;
+const SEARCH_TIMES = [["all", "Alla tider"], ["now", "På nu"], ["today", "Idag"], ["tomorrow", "Imorgon"], ["past", "Tidigare (arkiv)"]];
+const EMPTY_SEARCH_FILTERS = { group: "", category: "", time: "all" };
+function searchText(s) {
+  return (s || "").toLowerCase().replace(/æ/g, "ae").replace(/ø/g, "o").replace(/ß/g, "ss")
+    .normalize("NFD").replace(/[\u0300-\u036f]/g, "").replace(/[^a-z0-9]+/g, " ").trim();
+}
+// Levenshtein med tidigt avbrott när avståndet redan är större än `max`
+function withinEdits(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return false;
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i]; let best = i;
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      if (row[j] < best) best = row[j];
+    }
+    if (best > max) return false;
+    prev = row;
+  }
+  return prev[b.length] <= max;
+}
+// 0 = ingen träff. Alla ord i frågan måste finnas; ordbörjan väger mer än mitt i ett ord, stavfel minst.
+function matchScore(tokens, text, fuzzy = true) {
+  if (!text) return 0;
+  let score = 0, words = null;
+  for (const t of tokens) {
+    const i = text.indexOf(t);
+    if (i === 0 || (i > 0 && text[i - 1] === " ")) { score += 3; continue; }
+    if (i > 0) { score += 2; continue; }
+    const max = t.length >= 7 ? 2 : t.length >= 4 ? 1 : 0;
+    if (!fuzzy || !max) return 0;
+    words = words || text.split(" ");
+    if (!words.some((w) => withinEdits(t, w.length > t.length + max ? w.slice(0, t.length) : w, max))) return 0;
+    score += 1;
+  }
+  return score;
+}
+function useDebouncedValue(value, ms) {
+  const [debounced, setDebounced] = useState(value);
+  useEffect(() => {
+    const t = setTimeout(() => setDebounced(value), ms);
+    return () => clearTimeout(t);
+  }, [value, ms]);
+  return debounced;
+}
+function buildSearchIndex(channels, movies, series, epg) {
+  const now = Date.now();
+  const chans = channels.map((ch) => ({ ch, title: searchText(ch.title), group: searchText(ch.group) }));
+  const progs = [], categories = new Map(), seen = new Set();
+  for (const ch of epg ? channels : []) {
+    const hit = getEpgForChannel(ch, epg);
+    if (!hit || seen.has(hit.id)) continue; // HD/SD-varianter med samma EPG ger annars dubbletter
+    seen.add(hit.id);
+    const from = now - (ch.catchup ? ch.catchup.days || 1 : 0) * 86400000, to = now + SEARCH_EPG_DAYS * 86400000;
+    for (const p of progsInRange(hit.progs, new Date(from), new Date(to))) {
+      if (p.locked) continue;
+      progs.push({ ch, p, title: searchText(p.title), rest: searchText(`${p.subTitle || ""} ${p.category} ${p.desc}`) });
+      if (p.category) categories.set(p.category, (categories.get(p.category) || 0) + 1);
+    }
+  }
+  const vod = (list) => list.map((item) => ({ item, title: searchText(item.title), group: searchText(item.group) }));
+  return { chans, progs, movies: vod(movies), series: vod(series), categories: [...categories].sort((a, b) => b[1] - a[1]).slice(0, 60).map(([c]) => c).sort((a, b) => a.localeCompare(b)) };
+}
+// -> rader i samma form som startsidans ({ key, title, items, search }) så att Row och handkontrollen fungerar som vanligt
+function runSearch(index, query, { group, category, time }) {
+  const tokens = searchText(query).split(" ").filter(Boolean);
+  if (!tokens.length) return [];
+  const now = new Date();
+  const todayEnd = new Date(now); todayEnd.setHours(24, 0, 0, 0);
+  const tomorrowEnd = new Date(todayEnd); tomorrowEnd.setDate(tomorrowEnd.getDate() + 1);
+  const ranked = (list, scoreOf) => list.map((e) => [e, scoreOf(e)]).filter(([, s]) => s > 0).sort((a, b) => b[1] - a[1]).map(([e]) => e);
+  const byGroup = (e) => !group || (e.ch || e.item).group === group;
+  const rows = [];
+  const add = (key, title, items) => { if (items.length) rows.push({ key: "search:" + key, title: `${title} · ${items.length > SEARCH_ROW_LIMIT ? SEARCH_ROW_LIMIT + "+" : items.length}`, items: items.slice(0, SEARCH_ROW_LIMIT), search: true }); };
+  // Kanaler och VOD har ingen sändningstid eller kategori
+  if (time === "all" && !category) {
+    add("channels", "Kanaler", ranked(index.chans.filter(byGroup), (e) => matchScore(tokens, e.title) * 2 || matchScore(tokens, e.group, false)).map((e) => e.ch));
+  }
+  const progs = ranked(index.progs.filter((e) => byGroup(e) && (!category || e.p.category === category)), (e) => matchScore(tokens, e.title) * 2 || matchScore(tokens, `${e.title} ${e.rest}`, false));
+  const item = (e) => ({ ...e.ch, searchProg: e.p, searchChannel: e.ch });
+  const when = (from, to) => progs.filter((e) => e.p.start < to && e.p.stop > from).sort((a, b) => a.p.start - b.p.start).map(item);
+  if (time === "all" || time === "now") add("now", "På nu", progs.filter((e) => e.p.start <= now && now < e.p.stop).map(item));
+  if (time === "all" || time === "today") add("today", "Senare idag", when(now, todayEnd).filter((c) => c.searchProg.start > now));
+  if (time === "all" || time === "tomorrow") add("tomorrow", "Imorgon", when(todayEnd, tomorrowEnd));
+  if (time === "all") add("later", "Kommande", progs.filter((e) => e.p.start >= tomorrowEnd).sort((a, b) => a.p.start - b.p.start).map(item));
+  if (time === "all" || time === "past") add("past", "Tidigare (arkiv)", progs.filter((e) => e.p.stop <= now && canCatchup(e.ch, e.p, now)).sort((a, b) => b.p.start - a.p.start).map(item));
+  if (time === "all" && !category) {
+    add("movies", "Filmer", ranked(index.movies.filter(byGroup), (e) => matchScore(tokens, e.title) * 2 || matchScore(tokens, e.group, false)).map((e) => e.item));
+    add("series", "Serier", ranked(index.series.filter(byGroup), (e) => matchScore(tokens, e.title) * 2 || matchScore(tokens, e.group, false)).map((e) => e.item));
+  }
+  return rows;
+}
+
+// ------------------------ Navigering (tangentbord, handkontroll, fjärrkontroll) ------------------------
+// Rumslig fokusnavigering: pilar/D-pad flyttar fokus till närmaste fokuserbara element i den riktningen inom det
+// översta [data-nav-scope] (modaler och spelaren). data-nav-scope="custom" = komponenten navigerar själv (tablån,
+// multiview). [data-nav-close] är knappen som Tillbaka trycker på. [data-nav-group] (korten i raderna) är ett stopp;
+// knapparna inuti nås med Meny (X / ContextMenu).
+const NAV_ACTIONS = [
+  ["ok", "OK / Välj"], ["back", "Tillbaka"], ["menu", "Meny (kortets knappar)"], ["playPause", "Spela/Pausa"],
+  ["channelUp", "Nästa kanal"], ["channelDown", "Föregående kanal"], ["lastChannel", "Senaste kanal"], ["guide", "Tablå"], ["search", "Sök"],
+];
+const NAV_DIRECTIONS = ["up", "down", "left", "right"];
+// Standardlayout (Xbox-numrering): A, B, X, Start, RB, LB, Y, Select, höger spakklick
+const DEFAULT_GAMEPAD_MAP = { ok: 0, back: 1, menu: 2, playPause: 9, channelUp: 5, channelDown: 4, lastChannel: 3, guide: 8, search: 11 };
+// Mediatangenter och TV-fjärrkontroller (HDMI-CEC i TV-webbläsare ger samma key-värden; 461 = webOS Back, 10009 = Tizen Back)
+const REMOTE_KEYS = {
+  MediaPlayPause: "playPause", MediaPlay: "playPause", MediaPause: "playPause", MediaStop: "back",
+  MediaTrackNext: "channelUp", ChannelUp: "channelUp", MediaTrackPrevious: "channelDown", ChannelDown: "channelDown",
+  BrowserBack: "back", GoBack: "back", Guide: "guide", ContextMenu: "menu", BrowserSearch: "search",
+};
+const REMOTE_KEY_CODES = { 461: "back", 10009: "back" };
+const ARROW_KEYS = { ArrowUp: "up", ArrowDown: "down", ArrowLeft: "left", ArrowRight: "right" };
+const GAMEPAD_AXIS_THRESHOLD = 0.5;
+const GAMEPAD_REPEAT_MS = 180;
+const NAV_FOCUSABLE = 'button:not([disabled]), a[href], input:not([disabled]):not([type="hidden"]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+// Knappmappningen gäller enheten (inte profilen) och läses av pollningsloopen utan React
+let gamepadMap = (() => { try { return { ...DEFAULT_GAMEPAD_MAP, ...JSON.parse(localStorage.getItem(LS_KEYS.GAMEPAD) || "{}") }; } catch { return { ...DEFAULT_GAMEPAD_MAP }; } })();
+function saveGamepadMap(map) {
+  gamepadMap = map;
+  try { localStorage.setItem(LS_KEYS.GAMEPAD, JSON.stringify(map)); } catch {}
+}
+
+// En gemensam loop läser alla anslutna handkontroller och skickar actions till prenumeranterna.
+// Riktningar (D-pad/vänster spak) upprepas var GAMEPAD_REPEAT_MS, knappar triggar vid nedtryck.
+const gamepadListeners = new Set();
+let gamepadRaf = 0;
+let gamepadCapture = null; // (padIndex, button) => void medan en knapp mappas om
+function startGamepadLoop() {
+  const prev = new Map(); const lastMove = new Map();
+  const emit = (action) => { for (const fn of [...gamepadListeners]) fn(action); };
+  const step = () => {
+    const pads = navigator.getGamepads ? Array.from(navigator.getGamepads()).filter(Boolean) : [];
+    const now = performance.now();
+    for (const p of pads) {
+      const buttons = p.buttons || [], axes = p.axes || [], was = prev.get(p.index) || [];
+      const down = (i) => !!buttons[i]?.pressed;
+      prev.set(p.index, buttons.map((b) => !!b.pressed));
+      if (gamepadCapture) { const i = buttons.findIndex((b, i) => b.pressed && !was[i]); if (i !== -1) gamepadCapture(p.index, i); continue; }
+      const x = axes[0] || 0, y = axes[1] || 0, t = GAMEPAD_AXIS_THRESHOLD;
+      const dir = y < -t || down(12) ? "up" : y > t || down(13) ? "down" : x < -t || down(14) ? "left" : x > t || down(15) ? "right" : null;
+      if (dir && now - (lastMove.get(p.index) || 0) > GAMEPAD_REPEAT_MS) { lastMove.set(p.index, now); emit(dir); }
+      for (const [action, i] of Object.entries(gamepadMap)) if (down(i) && !was[i]) emit(action);
     }
+    gamepadRaf = requestAnimationFrame(step);
+  };
+  gamepadRaf = requestAnimationFrame(step);
+}
+function subscribeGamepad(fn) {
+  gamepadListeners.add(fn);
+  if (!gamepadRaf) startGamepadLoop();
+  return () => {
+    gamepadListeners.delete(fn);
+    if (!gamepadListeners.size) { cancelAnimationFrame(gamepadRaf); gamepadRaf = 0; }
+  };
+}
+// För komponenter med egen navigering: actions enligt NAV_ACTIONS plus up/down/left/right
+function useGamepadActions(onAction, enabled = true) {
+  const actionRef = useRef(onAction);
+  actionRef.current = onAction;
+  useEffect(() => (enabled ? subscribeGamepad((a) => actionRef.current(a)) : undefined), [enabled]);
+}
+
+function navScope() {
+  const scopes = document.querySelectorAll("[data-nav-scope]");
+  return scopes[scopes.length - 1] || document.body;
+}
+function focusNav(el) {
+  el.focus({ preventScroll: true });
+  el.scrollIntoView({ block: "nearest", inline: "nearest" });
+}
+// Senast fokuserade element per scope, så att fokus hittar tillbaka när en modal stängs
+const navLastFocus = new WeakMap();
+// Element inuti ett annat kort än det som har fokus hoppas över
+function navCandidates(scope, cur) {
+  return [...scope.querySelectorAll(NAV_FOCUSABLE)].filter((el) => {
+    if (el === cur || !el.getClientRects().length || (cur && cur.contains(el))) return false;
+    const group = el.parentElement?.closest("[data-nav-group]");
+    return !group || !scope.contains(group) || (cur && group !== cur && group.contains(cur));
+  });
+}
+// Poäng = avstånd i riktningen + tre gånger förskjutningen i sidled; kandidaten måste ligga framför mittpunkten
+function moveFocus(dir, scope = navScope()) {
+  const active = document.activeElement;
+  let cur = active && active !== scope && scope.contains(active) ? active : null;
+  if (!cur) {
+    const last = navLastFocus.get(scope);
+    const target = last?.isConnected && last.getClientRects().length ? last : navCandidates(scope, null)[0];
+    if (target) focusNav(target);
+    return !!target;
+  }
+  const a = cur.getBoundingClientRect();
+  const horizontal = dir === "left" || dir === "right", sign = dir === "right" || dir === "down" ? 1 : -1;
+  const gap = (a1, a2, b1, b2) => Math.max(0, Math.max(a1, b1) - Math.min(a2, b2));
+  let best = null, bestScore = Infinity;
+  for (const el of navCandidates(scope, cur)) {
+    const b = el.getBoundingClientRect();
+    const ahead = horizontal ? (b.left + b.width / 2 - (a.left + a.width / 2)) * sign : (b.top + b.height / 2 - (a.top + a.height / 2)) * sign;
+    if (ahead <= 1) continue;
+    const main = Math.max(0, horizontal ? (sign > 0 ? b.left - a.right : a.left - b.right) : (sign > 0 ? b.top - a.bottom : a.top - b.bottom));
+    const cross = horizontal ? gap(a.top, a.bottom, b.top, b.bottom) : gap(a.left, a.right, b.left, b.right);
+    const score = main + cross * 3 + ahead * 0.01;
+    if (score < bestScore) { best = el; bestScore = score; }
+  }
+  if (best) focusNav(best);
+  return !!best;
+}
+
+// Utför en action i det översta scopet; true om den hanterades. App-actions (kanalbyte, tablå, sök, senaste kanal)
+// skickas vidare som "netiptv:action" på window.
+function runNavAction(action) {
+  const scope = navScope(), custom = scope.dataset?.navScope === "custom";
+  const active = document.activeElement;
+  if (NAV_DIRECTIONS.includes(action)) return !custom && moveFocus(action, scope);
+  if (action === "ok") {
+    if (custom) return false;
+    if (!active || active === document.body || !scope.contains(active)) return moveFocus("down", scope);
+    if (active.matches("button, a[href], input[type=checkbox], input[type=radio]")) active.click();
+    else if (active.matches("input, textarea, select")) active.focus();
+    else active.dispatchEvent(new KeyboardEvent("keydown", { key: "Enter", bubbles: true }));
+    return true;
+  }
+  if (action === "back") {
+    if (custom) return false;
+    // Från en knapp i ett kort: tillbaka till kortet
+    const group = active?.parentElement?.closest("[data-nav-group]");
+    if (group && scope.contains(group)) { focusNav(group); return true; }
+    const close = scope.querySelector("[data-nav-close]");
+    if (!close) return false;
+    close.click();
+    return true;
+  }
+  if (action === "menu") {
+    const group = active?.closest?.("[data-nav-group]");
+    const inner = group && [...group.querySelectorAll(NAV_FOCUSABLE)].find((el) => el !== group && el.getClientRects().length);
+    if (!inner) return false;
+    focusNav(inner);
+    return true;
+  }
+  if (action === "playPause") {
+    const video = scope.querySelector("video") || document.querySelector("video");
+    if (!video) return false;
+    if (video.paused) video.play().catch(() => {}); else video.pause();
+    return true;
+  }
+  window.dispatchEvent(new CustomEvent("netiptv:action", { detail: action }));
+  return true;
+}
+
+// Global tangent-/handkontrollnavigering; monteras en gång i roten. Lyssnar i capture-fasen och konsumerar
+// hanterade tangenter så att spelarens egna genvägar (pilar = volym/spola) bara gäller när navigeringen avstår.
+function useSpatialNavigation() {
+  useEffect(() => {
+    const root = document.documentElement;
+    const mark = (mode) => { if (root.dataset.navInput !== mode) root.dataset.navInput = mode; };
+    const onKey = (e) => {
+      if (!e.isTrusted || e.defaultPrevented || e.altKey || e.ctrlKey || e.metaKey) return;
+      const t = e.target instanceof Element ? e.target : document.body;
+      const typing = t.matches("textarea, input:not([type=checkbox]):not([type=radio]):not([type=range]):not([type=button])") || t.isContentEditable;
+      const action = ARROW_KEYS[e.key] || REMOTE_KEYS[e.key] || REMOTE_KEY_CODES[e.keyCode] || (e.key === "Escape" || (e.key === "Backspace" && !typing) ? "back" : null);
+      if (!action) { if (e.key === "Tab" || e.key === "Enter") mark("keys"); return; }
+      mark("keys");
+      if (e.key === "ArrowLeft" || e.key === "ArrowRight") {
+        if (t.matches("input[type=range]")) return;
+        // Markören flyttas i textfältet; fokus lämnar fältet först vid kanten
+        if (typing && t.selectionStart != null) {
+          const atEdge = e.key === "ArrowLeft" ? t.selectionStart === 0 && t.selectionEnd === 0 : t.selectionEnd === t.value.length;
+          if (!atEdge) return;
+        }
+      }
+      if ((e.key === "ArrowUp" || e.key === "ArrowDown") && (t.matches("select, textarea") || t.matches("input[type=number]"))) return;
+      // I helskärmsspelaren styr vänster/höger spolning tills en kontroll har fokus
+      if ((e.key === "ArrowLeft" || e.key === "ArrowRight") && navScope().dataset.navPlayer != null && !navScope().contains(document.activeElement)) return;
+      if (!runNavAction(action)) return;
+      e.preventDefault(); e.stopPropagation();
+    };
+    const onPointer = () => mark("pointer");
+    const onFocus = (e) => { const scope = navScope(); if (scope.contains(e.target)) navLastFocus.set(scope, e.target); };
+    const unsubscribe = subscribeGamepad((action) => {
+      mark("keys");
+      const custom = navScope().dataset?.navScope === "custom";
+      if (custom && (NAV_DIRECTIONS.includes(action) || ["ok", "back", "menu"].includes(action))) return;
+      runNavAction(action);
+    });
+    window.addEventListener("keydown", onKey, true);
+    window.addEventListener("pointerdown", onPointer, true);
+    document.addEventListener("focusin", onFocus);
+    return () => {
+      unsubscribe();
+      window.removeEventListener("keydown", onKey, true);
+      window.removeEventListener("pointerdown", onPointer, true);
+      document.removeEventListener("focusin", onFocus);
+    };
+  }, []);
+}
+
+// Standardnamn enligt Gamepad-API:ts "standard"-layout
+const GAMEPAD_BUTTON_NAMES = ["A", "B", "X", "Y", "LB", "RB", "LT", "RT", "Select", "Start", "L3", "R3", "↑", "↓", "←", "→", "Hem"];
+const gamepadButtonName = (i) => GAMEPAD_BUTTON_NAMES[i] ?? `Knapp ${i}`;
+const KEYBOARD_HELP = [
+  ["Pilar", "Flytta fokus"], ["Enter", "Välj / spela"], ["Esc / Backsteg", "Tillbaka / stäng"], ["Kontextmeny", "Kortets knappar"],
+  ["L", "Senaste kanal"], ["Mediatangenter", "Spela/pausa, byt kanal"], ["Mellanslag, F, I", "Spelaren: paus, helskärm, statistik"],
+];
+
+// Knappmappning för handkontroller; "Ändra" väntar på nästa knapptryck på valfri ansluten kontroll
+function GamepadSettings({ onClose }) {
+  const [map, setMap] = useState(gamepadMap);
+  const [capturing, setCapturing] = useState(null);
+  const [pads, setPads] = useState([]);
+  useEffect(() => {
+    const update = () => setPads(navigator.getGamepads ? Array.from(navigator.getGamepads()).filter(Boolean).map((p) => ({ index: p.index, id: p.id })) : []);
+    update();
+    window.addEventListener("gamepadconnected", update);
+    window.addEventListener("gamepaddisconnected", update);
+    return () => { window.removeEventListener("gamepadconnected", update); window.removeEventListener("gamepaddisconnected", update); };
+  }, []);
+  useEffect(() => {
+    if (!capturing) return;
+    // Knappen byter plats med den action som hade den tidigare
+    gamepadCapture = (pad, button) => {
+      setMap((m) => {
+        const taken = Object.keys(m).find((a) => m[a] === button && a !== capturing);
+        const next = { ...m, [capturing]: button, ...(taken ? { [taken]: m[capturing] } : {}) };
+        saveGamepadMap(next);
+        return next;
+      });
+      setCapturing(null);
+    };
+    if (!gamepadRaf) startGamepadLoop();
+    return () => { gamepadCapture = null; };
+  }, [capturing]);
+  const reset = () => { saveGamepadMap({ ...DEFAULT_GAMEPAD_MAP }); setMap({ ...DEFAULT_GAMEPAD_MAP }); };
+  return (
+    <div className="fixed inset-0 z-50 bg-black/80 backdrop-blur" data-nav-scope>
+      <div className="max-w-2xl mx-auto mt-10 rounded-2xl border border-neutral-700 bg-neutral-900 text-white">
+        <div className="p-4 border-b border-neutral-800 flex items-center justify-between">
+          <div className="flex items-center gap-2 font-semibold"><Gamepad2 className="h-5 w-5"/> Kontroller</div>
+          <UIButton onClick={onClose} data-nav-close><X className="h-4 w-4"/></UIButton>
+        </div>
+        <div className="p-4 grid gap-6 md:grid-cols-2 max-h-[75vh] overflow-auto">
+          <div className="space-y-2">
+            <div className="text-sm font-semibold opacity-80">Handkontroll</div>
+            <div className="text-xs opacity-60">{pads.length ? pads.map((p) => `${p.index + 1}: ${p.id}`).join(" · ") : "Ingen handkontroll ansluten – tryck på en knapp för att väcka den."}</div>
+            {NAV_ACTIONS.map(([action, label]) => (
+              <div key={action} className="flex items-center justify-between gap-2 text-sm">
+                <span>{label}</span>
+                <UIButton onClick={() => setCapturing(capturing === action ? null : action)} className={`py-1 min-w-[7rem] ${capturing === action ? "bg-red-600 border-transparent" : "border-neutral-700"}`}>
+                  {capturing === action ? "Tryck en knapp…" : gamepadButtonName(map[action])}
+                </UIButton>
+              </div>
+            ))}
+            <div className="text-xs opacity-60">D-pad och vänster spak flyttar alltid fokus. Gäller alla anslutna kontroller.</div>
+            <UIButton onClick={reset} className="border-neutral-700">Återställ standard</UIButton>
+          </div>
+          <div className="space-y-2">
+            <div className="text-sm font-semibold opacity-80">Tangentbord och fjärrkontroll</div>
+            {KEYBOARD_HELP.map(([key, label]) => (
+              <div key={key} className="flex items-center justify-between gap-2 text-sm"><span className="px-2 py-0.5 rounded bg-neutral-800 text-xs">{key}</span><span className="opacity-80">{label}</span></div>
+            ))}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// ------------------------ Player ------------------------
+// audioLang/subtitleLang: språkkod ("" = strömmens standard resp. inga undertexter), bufferSeconds: framåtbuffert
+const DEFAULT_PLAYER_PREFS = { audioLang: "", subtitleLang: "", bufferSeconds: 30 };
+const BUFFER_OPTIONS = [15, 30, 60, 120];
+const LANG_OPTIONS = [["", "Standard"], ["sv", "Svenska"], ["en", "Engelska"], ["no", "Norska"], ["da", "Danska"], ["fi", "Finska"], ["de", "Tyska"], ["fr", "Franska"], ["es", "Spanska"]];
+// HLS anger språk som ISO 639-1 ("sv") eller 639-2 ("swe"/"sve")
+const LANG_ALIASES = { swe: "sv", sve: "sv", eng: "en", nor: "no", nob: "no", nno: "no", nb: "no", nn: "no", dan: "da", fin: "fi", deu: "de", ger: "de", fra: "fr", fre: "fr", spa: "es" };
+function langCode(lang) {
+  const l = (lang || "").toLowerCase().split(/[-_]/)[0];
+  return LANG_ALIASES[l] || l;
+}
+function findTrackByLang(tracks, lang) {
+  if (!lang) return -1;
+  return tracks.findIndex((t) => langCode(t.lang) === lang);
+}
+function trackLabel(t, i) {
+  return t.name || (t.lang ? t.lang.toUpperCase() : `Spår ${i + 1}`);
+}
+function levelLabel(l) {
+  return l.height ? `${l.height}p` : fmtBitrate(l.bitrate);
+}
+function fmtBitrate(bps) {
+  if (!bps) return "–";
+  return bps >= 1e6 ? `${(bps / 1e6).toFixed(1)} Mbit/s` : `${Math.round(bps / 1e3)} kbit/s`;
+}
+function bufferAhead(video) {
+  const b = video.buffered, t = video.currentTime;
+  for (let i = 0; i < b.length; i++) if (b.start(i) <= t + 0.5 && b.end(i) >= t) return b.end(i) - t;
+  return 0;
+}
+function readStreamStats(video, engine) {
+  const q = video.getVideoPlaybackQuality?.();
+  const extra = engine?.stats?.() || {};
+  return {
+    engine: ENGINE_LABELS[engine?.type] || "–",
+    resolution: video.videoWidth ? `${video.videoWidth}×${video.videoHeight}` : "–",
+    bitrate: extra.bitrate || 0,
+    bandwidth: extra.bandwidth || 0,
+    buffer: bufferAhead(video),
+    dropped: q ? `${q.droppedVideoFrames} / ${q.totalVideoFrames}` : "–",
+    codec: extra.codec || "–",
+  };
+}
+
+// Återhämtning: nätverksfel laddas om med exponentiell backoff, mediafel via recoverMediaError
+const MAX_NETWORK_RETRIES = 5;
+const MAX_MEDIA_RECOVERIES = 2;
+const STALL_TIMEOUT_MS = 12000;
+const PLAYBACK_LOG_LIMIT = 10; // sparade fel per kanal
+const retryDelay = (attempt) => Math.min(1000 * 2 ** attempt, 20000);
+function describeHlsError(data) {
+  const http = data.response?.code ? ` (HTTP ${data.response.code})` : "";
+  if (data.type === Hls.ErrorTypes.NETWORK_ERROR) return `Nätverksfel: ${data.details}${http}`;
+  if (data.type === Hls.ErrorTypes.MEDIA_ERROR) return `Avkodningsfel: ${data.details}`;
+  return `Uppspelningsfel: ${data.details}`;
+}
+// Samma kanal (tvg-id eller namn) kan finnas flera gånger i spellistorna – övriga URL:er blir reserver
+function streamAlternatives(ch, channels) {
+  const name = normalizeName(ch.title);
+  const out = [{ url: ch.url, headers: ch.headers, sourceName: ch.sourceName }];
+  const seen = new Set([ch.url]);
+  for (const c of channels) {
+    if (seen.has(c.url) || !((ch.tvgId && c.tvgId === ch.tvgId) || normalizeName(c.title) === name)) continue;
+    seen.add(c.url); out.push({ url: c.url, headers: c.headers, sourceName: c.sourceName });
   }
-  return channels;
+  return out;
+}
+
+// ------------------------ Uppspelningsmotorer ------------------------
+// Samma spelar-UI för alla format: hls.js för HLS, mpegts.js för rå MPEG-TS/FLV över HTTP,
+// dash.js för MPEG-DASH och <video> direkt för progressiva filer (mp4/mkv) samt HLS i Safari.
+// Varje motor returnerar { type, destroy, reconnect, setBuffer?, selectAudio?, selectSubtitle?, selectLevel?, stats? }
+// och rapporterar via on.tracks(spår), on.buffered() och on.error({ reason, network, recoverMedia? }).
+const EMPTY_TRACKS = { audio: [], subtitles: [], levels: [], audioIdx: -1, subtitleIdx: -1, levelIdx: -1, autoLevel: true };
+const ENGINE_LABELS = { hls: "HLS (hls.js)", mpegts: "MPEG-TS (mpegts.js)", flv: "FLV (mpegts.js)", dash: "DASH (dash.js)", native: "Direkt (<video>)" };
+const STREAM_EXTENSIONS = {
+  m3u8: "hls", m3u: "hls", mpd: "dash", ts: "mpegts", mts: "mpegts", m2ts: "mpegts", flv: "flv",
+  mp4: "native", m4v: "native", mkv: "native", webm: "native", mov: "native", mp3: "native", aac: "native", ogg: "native",
+};
+const PROBE_TIMEOUT_MS = 5000;
+const MEDIA_ERROR_NAMES = { 1: "avbruten", 2: "nätverksfel", 3: "avkodningsfel", 4: "formatet stöds inte" };
+
+function streamTypeFromUrl(url) {
+  let path = url; try { path = new URL(url).pathname; } catch {}
+  const ext = path.match(/\.([a-z0-9]+)$/i)?.[1].toLowerCase();
+  if (ext && STREAM_EXTENSIONS[ext]) return STREAM_EXTENSIONS[ext];
+  // Vissa paneler anger formatet i frågesträngen (…?extension=ts, …&output=m3u8)
+  const q = url.match(/[?&](?:extension|output|format)=(\w+)/i)?.[1].toLowerCase();
+  return (q && STREAM_EXTENSIONS[q]) || null;
+}
+function streamTypeFromContentType(ct) {
+  ct = (ct || "").toLowerCase();
+  if (ct.includes("mpegurl")) return "hls";
+  if (ct.includes("dash+xml")) return "dash";
+  if (ct.includes("mp2t") || ct.includes("octet-stream")) return "mpegts"; // IPTV-servrar skickar ofta TS som octet-stream
+  if (ct.includes("x-flv")) return "flv";
+  if (/^(video|audio)\//.test(ct)) return "native";
+  return null;
+}
+// Okänd ändelse: fråga med HEAD så att ingen ström öppnas bredvid motorns (många leverantörer tillåter bara en
+// anslutning per konto). Servrar utan HEAD får en GET för första byten som avbryts efter svarshuvudena.
+// Gissar HLS som tidigare om inget hjälper.
+async function probeStream(url, init) {
+  const ctrl = new AbortController();
+  const timer = setTimeout(() => ctrl.abort(), PROBE_TIMEOUT_MS);
+  try {
+    const res = await fetch(url, { ...init, signal: ctrl.signal });
+    ctrl.abort();
+    return res;
+  } finally { clearTimeout(timer); }
+}
+async function detectStreamType(url) {
+  const byUrl = streamTypeFromUrl(url);
+  if (byUrl) return byUrl;
+  try {
+    let res = await probeStream(url, { method: "HEAD" });
+    if (res.status === 405 || res.status === 501) res = await probeStream(url, { headers: { Range: "bytes=0-0" } });
+    return streamTypeFromUrl(res.url) || streamTypeFromContentType(res.headers.get("content-type")) || "hls";
+  } catch { return "hls"; }
+}
+function shortCodec(c) {
+  return (c || "").replace(/^.*codecs="?([^"]+)"?.*$/, "$1");
+}
+
+// `small` = en av flera samtidiga spelare (multiview): kvaliteten begränsas till rutans storlek
+function createHlsEngine(video, url, { prefs, catchup, live, small }, on) {
+  const { bufferSeconds, audioLang, subtitleLang } = prefs;
+  const hls = new Hls({ maxBufferLength: bufferSeconds, backBufferLength: 30, subtitleDisplay: !!subtitleLang, capLevelToPlayerSize: !!small, ...(catchup ? { startPosition: 0 } : {}) });
+  const sync = () => on.tracks({
+    audio: hls.audioTracks, subtitles: hls.subtitleTracks, levels: hls.levels,
+    audioIdx: hls.audioTrack, subtitleIdx: hls.subtitleDisplay ? hls.subtitleTrack : -1, levelIdx: hls.currentLevel, autoLevel: hls.autoLevelEnabled,
+  });
+  hls.on(Hls.Events.MANIFEST_PARSED, sync);
+  hls.on(Hls.Events.AUDIO_TRACKS_UPDATED, () => {
+    const i = findTrackByLang(hls.audioTracks, audioLang);
+    if (i >= 0 && i !== hls.audioTrack) hls.audioTrack = i;
+    sync();
+  });
+  hls.on(Hls.Events.SUBTITLE_TRACKS_UPDATED, () => {
+    const i = findTrackByLang(hls.subtitleTracks, subtitleLang);
+    if (i >= 0) hls.subtitleTrack = i;
+    sync();
+  });
+  hls.on(Hls.Events.AUDIO_TRACK_SWITCHED, sync);
+  hls.on(Hls.Events.SUBTITLE_TRACK_SWITCH, sync);
+  hls.on(Hls.Events.LEVEL_SWITCHED, sync);
+  hls.on(Hls.Events.ERROR, (_, data) => {
+    if (!data.fatal) return;
+    on.error({
+      reason: describeHlsError(data),
+      network: data.type === Hls.ErrorTypes.NETWORK_ERROR,
+      // Andra försöket byter även ljudcodec (vanligt fel med AAC/HE-AAC i TS-strömmar)
+      recoverMedia: data.type === Hls.ErrorTypes.MEDIA_ERROR ? (attempt) => { if (attempt > 0) hls.swapAudioCodec(); hls.recoverMediaError(); } : null,
+    });
+  });
+  hls.on(Hls.Events.FRAG_BUFFERED, on.buffered);
+  hls.loadSource(url); hls.attachMedia(video);
+  return {
+    type: "hls",
+    destroy: () => hls.destroy(),
+    reconnect: () => {
+      if (!hls.levels?.length) return hls.loadSource(url); // manifestet kom aldrig
+      hls.stopLoad();
+      if (live && hls.liveSyncPosition) video.currentTime = hls.liveSyncPosition;
+      hls.startLoad();
+    },
+    setBuffer: (sec) => { hls.config.maxBufferLength = sec; },
+    selectAudio: (i) => { hls.audioTrack = i; sync(); },
+    selectSubtitle: (i) => { hls.subtitleDisplay = i >= 0; hls.subtitleTrack = i; sync(); },
+    selectLevel: (i) => { hls.currentLevel = i; sync(); },
+    stats: () => {
+      const level = hls.currentLevel >= 0 ? hls.levels[hls.currentLevel] : null;
+      return { bitrate: level?.bitrate || 0, bandwidth: hls.bandwidthEstimate || 0, codec: level ? [level.videoCodec, level.audioCodec].filter(Boolean).join(", ") : "" };
+    },
+  };
+}
+
+async function createMpegtsEngine(video, url, { live, format }, on) {
+  const { default: mpegts } = await import("mpegts.js");
+  if (!mpegts.isSupported()) throw new Error("MPEG-TS kan inte spelas här (Media Source Extensions saknas)");
+  mpegts.LoggingControl.enableVerbose = false;
+  let player = null, info = {};
+  const open = () => {
+    player = mpegts.createPlayer({ type: format === "flv" ? "flv" : "mpegts", isLive: live, url }, { enableStashBuffer: !live, liveBufferLatencyChasing: live, lazyLoad: !live });
+    player.on(mpegts.Events.ERROR, (type, detail, data) => {
+      const network = type === mpegts.ErrorTypes.NETWORK_ERROR;
+      const http = data?.code > 0 ? ` (HTTP ${data.code})` : "";
+      on.error({ reason: `${network ? "Nätverksfel" : "Avkodningsfel"}: ${detail}${http}`, network, recoverMedia: network ? null : () => reconnect() });
+    });
+    player.on(mpegts.Events.STATISTICS_INFO, (s) => { info = s; if (s.speed > 0) on.buffered(); });
+    player.attachMediaElement(video); player.load();
+    Promise.resolve(player.play()).catch(() => {});
+  };
+  const close = () => { if (!player) return; player.destroy(); player = null; };
+  const reconnect = () => { close(); open(); };
+  open();
+  return {
+    type: format,
+    destroy: close,
+    reconnect,
+    stats: () => {
+      const m = player?.mediaInfo || {};
+      return { bitrate: ((m.videoDataRate || 0) + (m.audioDataRate || 0)) * 1000, bandwidth: (info.speed || 0) * 8000, codec: [m.videoCodec, m.audioCodec].filter(Boolean).join(", ") };
+    },
+  };
+}
+
+async function createDashEngine(video, url, { prefs }, on) {
+  const { default: dashjs } = await import("dashjs");
+  const E = dashjs.MediaPlayer.events;
+  const player = dashjs.MediaPlayer().create();
+  const bufferSettings = (sec) => ({ streaming: { buffer: { stableBufferTime: sec, bufferTimeAtTopQuality: sec } } });
+  player.updateSettings({ debug: { logLevel: dashjs.Debug.LOG_LEVEL_WARNING }, ...bufferSettings(prefs.bufferSeconds) });
+  let subtitleIdx = -1;
+  const trackInfo = (t) => ({ name: t.labels?.[0]?.text || "", lang: t.lang || "" });
+  const sync = () => {
+    const audio = player.getTracksFor("audio"), cur = player.getCurrentTrackFor("audio");
+    on.tracks({
+      audio: audio.map(trackInfo), subtitles: player.getTracksFor("text").map(trackInfo), levels: player.getBitrateInfoListFor("video"),
+      audioIdx: audio.findIndex((t) => t === cur || (cur && t.id === cur.id && t.index === cur.index)), subtitleIdx,
+      levelIdx: player.getQualityFor("video"), autoLevel: player.getSettings().streaming.abr.autoSwitchBitrate.video !== false,
+    });
+  };
+  player.on(E.STREAM_INITIALIZED, () => {
+    const audio = player.getTracksFor("audio");
+    const a = findTrackByLang(audio, prefs.audioLang);
+    if (a >= 0) player.setCurrentTrack(audio[a]);
+    subtitleIdx = findTrackByLang(player.getTracksFor("text"), prefs.subtitleLang);
+    player.setTextTrack(subtitleIdx);
+    sync();
+  });
+  player.on(E.QUALITY_CHANGE_RENDERED, sync);
+  player.on(E.TRACK_CHANGE_RENDERED, sync);
+  player.on(E.FRAGMENT_LOADING_COMPLETED, on.buffered);
+  player.on(E.ERROR, (e) => {
+    const msg = e.error?.message || `kod ${e.error?.code ?? "okänd"}`;
+    on.error({ reason: `DASH-fel: ${msg}`, network: !/mediasource|capabilit|codec|key/i.test(msg) });
+  });
+  player.initialize(video, url, true);
+  return {
+    type: "dash",
+    destroy: () => player.reset(),
+    reconnect: () => player.attachSource(url),
+    setBuffer: (sec) => player.updateSettings(bufferSettings(sec)),
+    selectAudio: (i) => { const t = player.getTracksFor("audio")[i]; if (t) player.setCurrentTrack(t); sync(); },
+    selectSubtitle: (i) => { subtitleIdx = i; player.setTextTrack(i); sync(); },
+    selectLevel: (i) => {
+      player.updateSettings({ streaming: { abr: { autoSwitchBitrate: { video: i < 0 } } } });
+      if (i >= 0) player.setQualityFor("video", i);
+      sync();
+    },
+    stats: () => {
+      const level = player.getBitrateInfoListFor("video")[player.getQualityFor("video")];
+      const v = player.getCurrentTrackFor("video"), a = player.getCurrentTrackFor("audio");
+      return { bitrate: level?.bitrate || 0, bandwidth: (player.getAverageThroughput("video") || 0) * 1000, codec: [shortCodec(v?.codec), shortCodec(a?.codec)].filter(Boolean).join(", ") };
+    },
+  };
+}
+
+function createNativeEngine(video, url, on) {
+  const onError = () => {
+    const code = video.error?.code;
+    on.error({ reason: `Mediafel: ${MEDIA_ERROR_NAMES[code] || "okänt"}`, network: code === 2 });
+  };
+  video.addEventListener("error", onError);
+  video.src = url;
+  return {
+    type: "native",
+    destroy: () => { video.removeEventListener("error", onError); video.removeAttribute("src"); video.load(); },
+    reconnect: () => {
+      const t = video.currentTime;
+      video.load();
+      if (t > 0 && Number.isFinite(video.duration || Infinity)) video.addEventListener("loadedmetadata", () => { video.currentTime = t; }, { once: true });
+      video.play().catch(() => {});
+    },
+  };
+}
+
+async function createEngine(type, video, url, opts, on) {
+  if (type === "hls" && Hls.isSupported()) return createHlsEngine(video, url, opts, on);
+  if (type === "mpegts" || type === "flv") return createMpegtsEngine(video, url, { ...opts, format: type }, on);
+  if (type === "dash") return createDashEngine(video, url, opts, on);
+  if (type === "hls" && !video.canPlayType("application/vnd.apple.mpegurl")) throw new Error("HLS kan inte spelas här");
+  return createNativeEngine(video, url, on); // progressiva filer och HLS i Safari
+}
+
+function PlayerMenuSection({ title, children }) {
+  return (
+    <div className="py-2 border-b border-white/10 last:border-0">
+      <div className="px-3 pb-1 text-xs uppercase tracking-wide opacity-60">{title}</div>
+      {children}
+    </div>
+  );
+}
+function PlayerMenuItem({ active, onClick, children }) {
+  return <button onClick={onClick} className={`w-full text-left px-3 py-1.5 text-sm hover:bg-white/10 ${active ? "text-red-400 font-semibold" : ""}`}>{children}</button>;
+}
+function PlayerMenu({ tracks, prefs, setPrefs, onAudio, onSubtitle, onLevel }) {
+  const { audio, subtitles, levels, audioIdx, subtitleIdx, levelIdx, autoLevel } = tracks;
+  const selectStyle = "w-full rounded-lg bg-white/10 px-2 py-1 text-sm outline-none";
+  return (
+    <div className="absolute top-16 right-3 z-10 w-72 max-h-[75vh] overflow-y-auto rounded-2xl bg-black/90 border border-white/15 text-white shadow-2xl">
+      {levels.length > 1 && (
+        <PlayerMenuSection title="Kvalitet">
+          <PlayerMenuItem active={autoLevel} onClick={() => onLevel(-1)}>Auto{autoLevel && levels[levelIdx] ? ` (${levelLabel(levels[levelIdx])})` : ""}</PlayerMenuItem>
+          {levels.map((l, i) => ({ l, i })).sort((a, b) => (b.l.height || 0) - (a.l.height || 0) || b.l.bitrate - a.l.bitrate).map(({ l, i }) => (
+            <PlayerMenuItem key={i} active={!autoLevel && levelIdx === i} onClick={() => onLevel(i)}>{levelLabel(l)} <span className="opacity-60 text-xs">{fmtBitrate(l.bitrate)}</span></PlayerMenuItem>
+          ))}
+        </PlayerMenuSection>
+      )}
+      {audio.length > 1 && (
+        <PlayerMenuSection title="Ljud">
+          {audio.map((t, i) => <PlayerMenuItem key={i} active={audioIdx === i} onClick={() => onAudio(i)}>{trackLabel(t, i)}</PlayerMenuItem>)}
+        </PlayerMenuSection>
+      )}
+      {subtitles.length > 0 && (
+        <PlayerMenuSection title="Undertexter">
+          <PlayerMenuItem active={subtitleIdx === -1} onClick={() => onSubtitle(-1)}>Av</PlayerMenuItem>
+          {subtitles.map((t, i) => <PlayerMenuItem key={i} active={subtitleIdx === i} onClick={() => onSubtitle(i)}>{trackLabel(t, i)}</PlayerMenuItem>)}
+        </PlayerMenuSection>
+      )}
+      <PlayerMenuSection title="Inställningar">
+        <label className="block px-3 py-1 text-xs opacity-80">Föredraget ljudspråk
+          <select value={prefs.audioLang} onChange={(e) => setPrefs((p) => ({ ...p, audioLang: e.target.value }))} className={selectStyle}>
+            {LANG_OPTIONS.map(([v, l]) => <option key={v} value={v} className="text-black">{l}</option>)}
+          </select>
+        </label>
+        <label className="block px-3 py-1 text-xs opacity-80">Undertexter som standard
+          <select value={prefs.subtitleLang} onChange={(e) => setPrefs((p) => ({ ...p, subtitleLang: e.target.value }))} className={selectStyle}>
+            {LANG_OPTIONS.map(([v, l]) => <option key={v} value={v} className="text-black">{v ? l : "Av"}</option>)}
+          </select>
+        </label>
+        <label className="block px-3 py-1 text-xs opacity-80">Buffert
+          <select value={prefs.bufferSeconds} onChange={(e) => setPrefs((p) => ({ ...p, bufferSeconds: Number(e.target.value) }))} className={selectStyle}>
+            {BUFFER_OPTIONS.map((s) => <option key={s} value={s} className="text-black">{s} sekunder</option>)}
+          </select>
+        </label>
+      </PlayerMenuSection>
+    </div>
+  );
+}
+function StatsOverlay({ stats, failures }) {
+  const rows = [["Motor", stats.engine], ["Upplösning", stats.resolution], ["Bitrate", fmtBitrate(stats.bitrate)], ["Bandbredd", fmtBitrate(stats.bandwidth)], ["Buffert", `${stats.buffer.toFixed(1)} s`], ["Tappade bilder", stats.dropped], ["Codec", stats.codec]];
+  return (
+    <div className="absolute top-16 left-4 z-10 rounded-xl bg-black/75 border border-white/15 px-3 py-2 text-xs text-white font-mono">
+      {rows.map(([k, v]) => <div key={k} className="flex gap-3"><span className="w-28 opacity-60">{k}</span><span>{v}</span></div>)}
+      {failures?.length > 0 && (
+        <div className="mt-2 pt-2 border-t border-white/15 max-w-md">
+          <div className="opacity-60 mb-1">Senaste fel för kanalen</div>
+          {failures.slice(0, 3).map((f, i) => <div key={i} className="truncate" title={f.url}>{new Date(f.at).toLocaleString()} · {f.reason}</div>)}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// `catchup` = { prog, urlAt(offsetSec) } spelar ett arkiverat program; sökfältet räknas från programmets start
+// I Electron registreras kanalens headers i main-processen innan första requesten och släpps när spelaren stängs.
+// `ready` ger nyckeln till proxiedUrl(url, key) så att headers bara följer med den här spelarens requests (se electron/net.js).
+function holdStreamHeaders(headers) {
+  const api = window.netiptv;
+  if (!api?.setStreamHeaders || !headers || !Object.keys(headers).length) return { ready: Promise.resolve(null), release: () => {} };
+  const ready = api.setStreamHeaders(headers).catch((e) => { throw new Error(ipcErrorMessage(e)); });
+  return { ready, release: () => { ready.then((key) => key && api.releaseStreamHeaders?.(key), () => {}).catch(() => {}); } };
+}
+// mode: full = överlägg över appen, docked = litet i hörnet medan man bläddrar, window = fyller minispelarens fönster
+const PLAYER_FRAMES = {
+  full: "fixed inset-0 z-50 bg-black/90 backdrop-blur",
+  docked: "group fixed bottom-4 right-4 z-40 w-96 aspect-video rounded-2xl overflow-hidden border border-white/10 shadow-2xl bg-black",
+  window: "group fixed inset-0 bg-black",
+};
+// `prefs`/`setPrefs` = spelarinställningar (LS_KEYS.PLAYER_PREFS); I visar strömstatistik
+// `alternatives` = [{ url, headers }] provas i tur och ordning när en ström inte går att återställa; `onFailure` loggar felet
+// `vod` = filmer/avsnitt (inte live); formatet avgör motor, se createEngine
+// `recording` = { job, start, stop } för "Spela in nu" på live-kanaler (bara i Electron)
+// `mode` se PLAYER_FRAMES; onDock/onExpand växlar mellan stort och minimerat, onPopOut öppnar minispelarfönstret
+function HlsPlayer({ src, headers, onClose, title, logo, catchup, vod, prefs = DEFAULT_PLAYER_PREFS, setPrefs, alternatives, failures, onFailure, recording, startAt = 0, onProgress, mode = "full", onDock, onExpand, onPopOut, onMultiview }) {
+  const videoRef = useRef(null);
+  const engineRef = useRef(null);
+  const closeRef = useRef(onClose);
+  closeRef.current = onClose;
+  const prefsRef = useRef(prefs);
+  prefsRef.current = prefs;
+  const [tracks, setTracks] = useState(EMPTY_TRACKS);
+  const [menuOpen, setMenuOpen] = useState(false);
+  const [showStats, setShowStats] = useState(false);
+  const [stats, setStats] = useState(null);
+  const [status, setStatus] = useState({ state: "loading" }); // loading | playing | reconnecting | failed
+  const [recError, setRecError] = useState("");
+  const [altIdx, setAltIdx] = useState(0);
+  const [reloadKey, setReloadKey] = useState(0);
+  const failureRef = useRef(onFailure);
+  failureRef.current = onFailure;
+  const sources = !catchup && alternatives?.length ? alternatives : [{ url: src, headers }];
+  const current = sources[Math.min(altIdx, sources.length - 1)];
+  const [seekBase, setSeekBase] = useState(catchup ? Math.floor(startAt) : 0); // sekunder in i programmet där nuvarande arkiv-URL börjar
+  const [position, setPosition] = useState(catchup ? Math.floor(startAt) : 0); // sekunder in i programmet
+  const zeroRef = useRef(0);
+  // Återuppta: arkivet startar på rätt URL direkt, VOD hoppar fram när längden är känd
+  const resumeRef = useRef(vod ? startAt : 0);
+  const positionRef = useRef(startAt);
+  const progressRef = useRef(onProgress);
+  progressRef.current = onProgress;
+  const [resumeNotice, setResumeNotice] = useState(startAt > 0);
+  const compact = mode !== "full";
+  // Minimerad i appens hörn: tangenterna hör till appen (raderna, sökrutan) och inte spelaren
+  const dockedRef = useRef(false);
+  dockedRef.current = mode === "docked";
+  const streamUrl = useMemo(() => (catchup ? catchup.urlAt(seekBase) : current.url), [catchup, seekBase, current.url]);
+  const streamHeaders = current.headers;
+  const progLength = catchup ? (catchup.prog.stop - catchup.prog.start) / 1000 : 0;
+  const seekTo = (sec) => {
+    const video = videoRef.current; if (!video || !catchup) return;
+    sec = Math.max(0, Math.min(progLength - 1, sec));
+    const local = zeroRef.current + sec - seekBase;
+    // Inom den laddade arkivspellistan räcker vanlig seek, annars ny URL från önskad tid
+    if (sec >= seekBase && Number.isFinite(video.duration) && local <= video.duration) video.currentTime = local;
+    else { setSeekBase(Math.floor(sec)); setPosition(Math.floor(sec)); }
+  };
+  const seekRef = useRef(seekTo);
+  seekRef.current = seekTo;
+  useEffect(() => {
+    const video = videoRef.current; if (!video) return;
+    const onClose = () => closeRef.current?.();
+    let cancelled = false, retryTimer = null, networkRetries = 0, mediaRecoveries = 0;
+    setStatus({ state: "loading" }); setTracks(EMPTY_TRACKS);
+    const destroyEngine = () => { if (engineRef.current) { engineRef.current.destroy(); engineRef.current = null; } };
+    // Ger upp med denna URL: logga och gå vidare till nästa reserv om det finns någon
+    const fail = (reason) => {
+      if (cancelled) return;
+      destroyEngine();
+      failureRef.current?.({ url: streamUrl, reason });
+      if (altIdx < sources.length - 1) { setStatus({ state: "reconnecting", reason: `${reason} – byter till reservström` }); setAltIdx(altIdx + 1); }
+      else setStatus({ state: "failed", reason });
+    };
+    const retryNetwork = (reason) => {
+      if (networkRetries >= MAX_NETWORK_RETRIES) return fail(reason);
+      const delay = retryDelay(networkRetries++);
+      setStatus({ state: "reconnecting", reason, attempt: networkRetries, delay });
+      clearTimeout(retryTimer);
+      retryTimer = setTimeout(() => { if (!cancelled) engineRef.current?.reconnect(); }, delay);
+    };
+    const handlers = {
+      tracks: (t) => { if (!cancelled) setTracks(t); },
+      buffered: () => { networkRetries = 0; mediaRecoveries = 0; },
+      error: ({ reason, network, recoverMedia }) => {
+        if (cancelled) return;
+        if (recoverMedia && mediaRecoveries < MAX_MEDIA_RECOVERIES) {
+          setStatus({ state: "reconnecting", reason, attempt: mediaRecoveries + 1 });
+          recoverMedia(mediaRecoveries++);
+        } else if (network) retryNetwork(reason);
+        else fail(reason);
+      },
+    };
+    const start = async (key) => {
+      if (cancelled) return;
+      const url = proxiedUrl(streamUrl, key);
+      const type = await detectStreamType(url);
+      if (cancelled) return;
+      try {
+        const engine = await createEngine(type, video, url, { prefs: prefsRef.current, catchup: !!catchup, live: !catchup && !vod }, handlers);
+        if (cancelled) engine.destroy(); else engineRef.current = engine;
+      } catch (err) { fail(String(err?.message || err)); }
+    };
+    const held = holdStreamHeaders(streamHeaders);
+    held.ready.then(start, (err) => fail(err.message));
+    // Vakthund: står bilden still trots att videon spelar laddas strömmen om (vid live från live-kanten)
+    let lastTime = -1, stalledSince = 0;
+    const watchdog = setInterval(() => {
+      if (video.paused || video.ended || video.readyState === 0) { stalledSince = 0; return; }
+      if (video.currentTime !== lastTime) { lastTime = video.currentTime; stalledSince = 0; return; }
+      if (!stalledSince) { stalledSince = Date.now(); return; }
+      if (Date.now() - stalledSince < STALL_TIMEOUT_MS) return;
+      stalledSince = 0;
+      if (engineRef.current) retryNetwork("Strömmen har stannat");
+    }, 2000);
+    const onPlaying = () => setStatus({ state: "playing" });
+    video.addEventListener("playing", onPlaying);
+    const onMeta = () => {
+      zeroRef.current = video.seekable.length ? video.seekable.start(0) : 0;
+      if (resumeRef.current && Number.isFinite(video.duration) && resumeRef.current < video.duration) video.currentTime = resumeRef.current;
+      resumeRef.current = 0;
+    };
+    const onTime = () => {
+      positionRef.current = catchup ? seekBase + video.currentTime - zeroRef.current : video.currentTime;
+      if (catchup) setPosition(positionRef.current);
+    };
+    video.addEventListener("loadedmetadata", onMeta);
+    video.addEventListener("timeupdate", onTime);
+    const onKey = (e) => {
+      if (dockedRef.current || e.defaultPrevented) return;
+      if (e.key === "Escape") onClose();
+      if (e.key.toLowerCase() === "f") video.requestFullscreen?.();
+      if (e.key.toLowerCase() === "i") setShowStats((v) => !v);
+      if (e.key === " ") { e.preventDefault(); video.paused ? video.play() : video.pause(); }
+      if (e.key === "ArrowRight") { if (catchup) seekRef.current(seekBase + video.currentTime - zeroRef.current + 30); else video.currentTime += 10; }
+      if (e.key === "ArrowLeft") { if (catchup) seekRef.current(seekBase + video.currentTime - zeroRef.current - 30); else video.currentTime -= 10; }
+    };
+    window.addEventListener("keydown", onKey);
+    return () => {
+      cancelled = true; window.removeEventListener("keydown", onKey);
+      clearTimeout(retryTimer); clearInterval(watchdog);
+      video.removeEventListener("loadedmetadata", onMeta); video.removeEventListener("timeupdate", onTime);
+      video.removeEventListener("playing", onPlaying);
+      destroyEngine();
+      held.release();
+    };
+  }, [streamUrl, streamHeaders, reloadKey]);
+  const retry = () => { setAltIdx(0); setReloadKey((k) => k + 1); };
+  // Tittartid och position till historiken; live rapporterar bara att något spelas
+  useEffect(() => {
+    const t = setInterval(() => {
+      const v = videoRef.current;
+      if (!v || v.paused || v.readyState < 3) return;
+      const duration = catchup ? progLength : vod && Number.isFinite(v.duration) ? v.duration : 0;
+      progressRef.current?.({ position: duration ? Math.floor(positionRef.current) : 0, duration: Math.floor(duration) });
+    }, WATCH_TICK_MS);
+    return () => clearInterval(t);
+  }, []);
+  useEffect(() => {
+    if (!resumeNotice) return;
+    const t = setTimeout(() => setResumeNotice(false), 8000);
+    return () => clearTimeout(t);
+  }, [resumeNotice]);
+  const togglePip = () => {
+    if (document.pictureInPictureElement) document.exitPictureInPicture().catch(() => {});
+    else videoRef.current?.requestPictureInPicture?.().catch(() => {});
+  };
+  const restart = () => { setResumeNotice(false); if (catchup) seekTo(0); else if (videoRef.current) videoRef.current.currentTime = 0; };
+  // Bufferstorleken kan ändras under uppspelning
+  useEffect(() => { engineRef.current?.setBuffer?.(prefs.bufferSeconds); }, [prefs.bufferSeconds]);
+  useEffect(() => {
+    if (!showStats) return;
+    const tick = () => { if (videoRef.current) setStats(readStreamStats(videoRef.current, engineRef.current)); };
+    tick();
+    const t = setInterval(tick, 1000);
+    return () => clearInterval(t);
+  }, [showStats]);
+  const selectAudio = (i) => engineRef.current?.selectAudio?.(i);
+  const selectSubtitle = (i) => engineRef.current?.selectSubtitle?.(i);
+  const selectLevel = (i) => engineRef.current?.selectLevel?.(i);
+  const toggleRecording = () => {
+    setRecError("");
+    (recording.job ? recording.stop() : recording.start()).catch((e) => setRecError(e.message));
+  };
+  return (
+    <div className={PLAYER_FRAMES[mode]} data-main-player data-nav-scope={mode === "full" ? "" : undefined} data-nav-player={mode === "full" ? "" : undefined}>
+      {compact ? (
+        <div className="absolute inset-x-0 top-0 z-10 flex items-center gap-2 px-2 py-1 text-white bg-gradient-to-b from-black/80 to-transparent opacity-0 group-hover:opacity-100 transition-opacity" style={mode === "window" ? { WebkitAppRegion: "drag" } : undefined}>
+          <div className="flex-1 min-w-0 truncate text-sm font-semibold">{title}</div>
+          <div className="flex items-center gap-1" style={{ WebkitAppRegion: "no-drag" }}>
+            {document.pictureInPictureEnabled && <button onClick={togglePip} title="Bild-i-bild" className="p-1 opacity-80 hover:opacity-100"><PictureInPicture2 className="h-4 w-4"/></button>}
+            {onExpand && <button onClick={onExpand} title="Öppna i stort läge" className="p-1 opacity-80 hover:opacity-100"><Maximize2 className="h-4 w-4"/></button>}
+            <button onClick={onClose} title="Stäng" className="p-1 opacity-80 hover:opacity-100"><X className="h-4 w-4"/></button>
+          </div>
+        </div>
+      ) : (<>
+      <div className="absolute top-4 left-4 flex items-center gap-3 text-white opacity-90">
+        {logo ? <img src={logo} alt="logo" className="h-8 w-8 rounded"/> : <Tv2 className="h-8 w-8"/>}
+        <div className="text-xl font-semibold">{title}</div>
+      </div>
+      <div className="absolute top-3 right-3 flex items-center gap-2">
+        {recording && (
+          <UIButton onClick={toggleRecording} title={recError || (recording.job ? "Stoppa inspelningen" : "Spela in nu")} className={`text-white border-transparent hover:border-white/20 ${recording.job ? "bg-red-600" : "bg-white/10"}`}>
+            {recording.job ? <><Square className="h-4 w-4 mr-1 fill-current"/> Spelar in</> : <><Circle className="h-4 w-4 mr-1 text-red-500 fill-current"/> Spela in</>}
+          </UIButton>
+        )}
+        <UIButton onClick={() => setShowStats((v) => !v)} title="Strömstatistik (I)" className={`text-white border-transparent hover:border-white/20 ${showStats ? "bg-red-600" : "bg-white/10"}`}><Info className="h-5 w-5"/></UIButton>
+        {setPrefs && <UIButton onClick={() => setMenuOpen((v) => !v)} title="Ljud, undertexter och kvalitet" className={`text-white border-transparent hover:border-white/20 ${menuOpen ? "bg-red-600" : "bg-white/10"}`}><Settings className="h-5 w-5"/></UIButton>}
+        {onMultiview && <UIButton onClick={onMultiview} title="Lägg till i multiview" className="text-white border-transparent hover:border-white/20 bg-white/10"><LayoutGrid className="h-5 w-5"/></UIButton>}
+        {document.pictureInPictureEnabled && <UIButton onClick={togglePip} title="Bild-i-bild" className="text-white border-transparent hover:border-white/20 bg-white/10"><PictureInPicture2 className="h-5 w-5"/></UIButton>}
+        {onPopOut && <UIButton onClick={onPopOut} title="Minispelare i eget fönster (alltid överst)" className="text-white border-transparent hover:border-white/20 bg-white/10"><AppWindow className="h-5 w-5"/></UIButton>}
+        {onDock && <UIButton onClick={onDock} title="Minimera – fortsätt titta medan du bläddrar" className="text-white border-transparent hover:border-white/20 bg-white/10"><Minimize2 className="h-5 w-5"/></UIButton>}
+        <UIButton onClick={onClose} data-nav-close className="text-white border-transparent hover:border-white/20 bg-white/10"><X className="h-5 w-5"/></UIButton>
+      </div>
+      </>)}
+      {recError && !compact && <div className="absolute top-16 right-3 z-10 max-w-sm rounded-xl bg-red-600/90 px-3 py-2 text-xs text-white">{recError}</div>}
+      {menuOpen && setPrefs && !compact && <PlayerMenu tracks={tracks} prefs={prefs} setPrefs={setPrefs} onAudio={selectAudio} onSubtitle={selectSubtitle} onLevel={selectLevel} />}
+      {showStats && stats && !compact && <StatsOverlay stats={stats} failures={failures} />}
+      {resumeNotice && !compact && (
+        <div className="absolute top-16 left-4 z-10 flex items-center gap-3 rounded-xl bg-black/80 border border-white/15 px-3 py-2 text-sm text-white">
+          Fortsätter från {fmtClock(startAt)}
+          <UIButton onClick={restart} className="text-white border-white/20 bg-white/10 py-1">Från början</UIButton>
+        </div>
+      )}
+      <div className={"h-full w-full relative " + (compact ? "" : "flex items-center justify-center p-4")}>
+        <video ref={videoRef} controls={!catchup && !compact} autoPlay className={compact ? "w-full h-full object-contain bg-black" : "w-full h-full max-w-[1200px] max-h-[70vh] rounded-2xl shadow-2xl bg-black"} />
+        {(status.state === "reconnecting" || status.state === "failed") && (
+          <div className="absolute inset-0 flex items-center justify-center pointer-events-none">
+            <div className="pointer-events-auto max-w-md rounded-2xl bg-black/80 border border-white/15 px-5 py-4 text-white text-center">
+              {status.state === "reconnecting" ? (
+                <div className="flex items-center justify-center gap-2 font-semibold"><RefreshCw className="h-4 w-4 animate-spin"/> Återansluter{status.attempt ? ` (försök ${status.attempt})` : ""}…</div>
+              ) : <div className="font-semibold">Strömmen kunde inte spelas</div>}
+              <div className="text-sm opacity-80 mt-1 break-words">{status.reason}</div>
+              {sources.length > 1 && <div className="text-xs opacity-60 mt-1">Ström {Math.min(altIdx, sources.length - 1) + 1} av {sources.length}{current.sourceName ? ` · ${current.sourceName}` : ""}</div>}
+              {status.state === "failed" && <UIButton onClick={retry} className="mt-3 text-white border-white/20 bg-white/10"><RefreshCw className="h-4 w-4 mr-1"/> Försök igen</UIButton>}
+            </div>
+          </div>
+        )}
+      </div>
+      {catchup && !compact && (
+        <div className="absolute bottom-6 left-1/2 -translate-x-1/2 w-full max-w-[1200px] px-4 text-white">
+          <div className="text-sm opacity-80 mb-1 flex items-center gap-2">
+            <History className="h-4 w-4"/> {catchup.prog.title} · {catchup.prog.start.toLocaleDateString()} {fmtTime(catchup.prog.start)} – {fmtTime(catchup.prog.stop)}
+          </div>
+          <div className="flex items-center gap-3">
+            <UIButton onClick={() => { const v = videoRef.current; if (v) v.paused ? v.play() : v.pause(); }} className="text-white border-transparent bg-white/10"><Play className="h-4 w-4"/></UIButton>
+            <span className="text-xs tabular-nums w-12">{fmtTime(new Date(catchup.prog.start.getTime() + position * 1000))}</span>
+            <input type="range" min={0} max={Math.max(1, Math.floor(progLength))} value={Math.max(0, Math.floor(position))} onChange={(e) => seekTo(Number(e.target.value))} className="flex-1 accent-red-600" />
+            <span className="text-xs tabular-nums w-12 text-right">{fmtTime(catchup.prog.stop)}</span>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ------------------------ Multiview ------------------------
+// Upp till fyra live-kanaler samtidigt, 2×2 eller en stor + tre små. Bara kanalen med ljudfokus hörs.
+// Rutorna renderas alltid i samma DOM-ordning och placeras med CSS `order` – att flytta ett <video>-element pausar det.
+const MULTIVIEW_MAX = 4;
+const MULTIVIEW_LAYOUTS = { grid: "2×2", main: "1+3" };
+
+function MultiTile({ channel, slot, layout, count, focused, prefs, onFocus, onSwap, onRemove }) {
+  const videoRef = useRef(null);
+  const [status, setStatus] = useState({ state: "loading" });
+  useEffect(() => {
+    const video = videoRef.current; if (!video) return;
+    let cancelled = false, engine = null, retryTimer = null, networkRetries = 0, mediaRecoveries = 0;
+    const handlers = {
+      tracks: () => {},
+      buffered: () => { networkRetries = 0; mediaRecoveries = 0; },
+      error: ({ reason, network, recoverMedia }) => {
+        if (cancelled) return;
+        if (recoverMedia && mediaRecoveries < MAX_MEDIA_RECOVERIES) { recoverMedia(mediaRecoveries++); return; }
+        if (network && networkRetries < MAX_NETWORK_RETRIES) {
+          setStatus({ state: "reconnecting", reason });
+          clearTimeout(retryTimer);
+          retryTimer = setTimeout(() => { if (!cancelled) engine?.reconnect(); }, retryDelay(networkRetries++));
+          return;
+        }
+        setStatus({ state: "failed", reason });
+      },
+    };
+    const held = holdStreamHeaders(channel.headers);
+    held.ready.then(async (key) => {
+      if (cancelled) return;
+      const url = proxiedUrl(channel.url, key);
+      const type = await detectStreamType(url);
+      if (cancelled) return;
+      try {
+        const e = await createEngine(type, video, url, { prefs, live: true, small: true }, handlers);
+        if (cancelled) e.destroy(); else engine = e;
+      } catch (err) { setStatus({ state: "failed", reason: String(err?.message || err) }); }
+    }, (err) => { if (!cancelled) setStatus({ state: "failed", reason: err.message }); });
+    const onPlaying = () => setStatus({ state: "playing" });
+    video.addEventListener("playing", onPlaying);
+    return () => {
+      cancelled = true; clearTimeout(retryTimer);
+      video.removeEventListener("playing", onPlaying);
+      engine?.destroy(); held.release();
+    };
+  }, [channel.url]);
+  useEffect(() => { if (videoRef.current) videoRef.current.muted = !focused; }, [focused]);
+  const big = layout === "main" && slot === 0 && count > 1;
+  return (
+    <div onClick={onFocus} style={{ order: slot }} className={"relative min-h-0 min-w-0 rounded-xl overflow-hidden bg-black cursor-pointer " + (focused ? "ring-2 ring-red-500 " : "") + (big ? "col-span-3 row-span-3" : "")}>
+      <video ref={videoRef} autoPlay muted className="w-full h-full object-contain" />
+      <div className="absolute inset-x-0 top-0 flex items-center gap-2 px-2 py-1 text-white text-sm bg-gradient-to-b from-black/80 to-transparent">
+        <span className="text-xs opacity-60 tabular-nums">{slot + 1}</span>
+        {focused ? <Volume2 className="h-4 w-4 text-red-400"/> : <VolumeX className="h-4 w-4 opacity-60"/>}
+        <span className="flex-1 min-w-0 truncate font-medium">{channel.title}</span>
+        {layout === "main" && slot > 0 && <button onClick={(e) => { e.stopPropagation(); onSwap(); }} title="Till huvudbilden (Enter)" className="p-1 opacity-80 hover:opacity-100"><ArrowLeftRight className="h-4 w-4"/></button>}
+        <button onClick={(e) => { e.stopPropagation(); onRemove(); }} title="Ta bort (Delete)" className="p-1 opacity-80 hover:opacity-100"><X className="h-4 w-4"/></button>
+      </div>
+      {status.state !== "playing" && (
+        <div className="absolute inset-0 flex flex-col items-center justify-center gap-1 text-white text-xs text-center px-4 pointer-events-none">
+          {status.state === "failed" ? <div className="font-semibold">Kunde inte spelas</div> : <RefreshCw className="h-5 w-5 animate-spin opacity-70"/>}
+          {status.reason && <div className="opacity-70 break-words">{status.reason}</div>}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// `tiles` = kanaler i den ordning de lades till; visningsordningen (vilken som är huvudbild) hålls här
+function MultiView({ tiles, setTiles, channels, prefs, onClose }) {
+  const [layout, setLayout] = useState("grid");
+  const [slots, setSlots] = useState([]);
+  const [focusUrl, setFocusUrl] = useState(tiles[0]?.url);
+  const [query, setQuery] = useState("");
+  const urls = tiles.map((t) => t.url);
+  const order = [...slots.filter((u) => urls.includes(u)), ...urls.filter((u) => !slots.includes(u))];
+  const focused = order.includes(focusUrl) ? focusUrl : order[0];
+  const toMain = (url) => setSlots([url, ...order.filter((u) => u !== url)]);
+  const remove = (url) => setTiles((list) => list.filter((c) => c.url !== url));
+  const moveFocus = (delta) => { const i = order.indexOf(focused); const next = order[Math.max(0, Math.min(order.length - 1, i + delta))]; if (next) setFocusUrl(next); };
+  const action = (a) => {
+    if (a === "left") moveFocus(-1);
+    else if (a === "right") moveFocus(1);
+    else if (a === "up") moveFocus(layout === "grid" ? -2 : -1);
+    else if (a === "down") moveFocus(layout === "grid" ? 2 : 1);
+    else if (a === "ok" && focused) toMain(focused);
+    else if (a === "back") onClose();
+  };
+  const actionRef = useRef(action);
+  actionRef.current = action;
+  const orderRef = useRef(order);
+  orderRef.current = order;
+  const focusedRef = useRef(focused);
+  focusedRef.current = focused;
+  useGamepadActions((a) => actionRef.current(a));
+  useEffect(() => {
+    const onKey = (e) => {
+      if (/^(INPUT|TEXTAREA|SELECT)$/.test(e.target.tagName)) return;
+      const keys = { ArrowLeft: "left", ArrowRight: "right", ArrowUp: "up", ArrowDown: "down", Enter: "ok", Escape: "back" };
+      if (keys[e.key]) { e.preventDefault(); actionRef.current(keys[e.key]); return; }
+      if (/^[1-4]$/.test(e.key)) { const url = orderRef.current[Number(e.key) - 1]; if (url) setFocusUrl(url); }
+      if (e.key.toLowerCase() === "m") setLayout((l) => (l === "grid" ? "main" : "grid"));
+      if (e.key === "Delete" && focusedRef.current) remove(focusedRef.current);
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, []);
+  useEffect(() => { if (!tiles.length) onClose(); }, [tiles.length]);
+  const q = query.trim().toLowerCase();
+  const matches = q ? channels.filter((c) => !urls.includes(c.url) && c.title.toLowerCase().includes(q)).slice(0, 8) : [];
+  const n = tiles.length;
+  const grid = layout === "main" && n > 1 ? "grid-cols-4 grid-rows-3" : `${n > 1 ? "grid-cols-2" : "grid-cols-1"} ${n > 2 ? "grid-rows-2" : "grid-rows-1"}`;
+  return (
+    <div className="fixed inset-0 z-50 bg-black flex flex-col text-white" data-nav-scope="custom">
+      <div className="flex items-center gap-2 px-4 py-2 border-b border-white/10">
+        <LayoutGrid className="h-5 w-5"/>
+        <span className="font-semibold mr-2">Multiview</span>
+        {Object.entries(MULTIVIEW_LAYOUTS).map(([id, label]) => (
+          <UIButton key={id} onClick={() => setLayout(id)} className={"py-1 text-white " + (layout === id ? "bg-red-600 border-transparent" : "border-white/20 bg-white/10")}>{label}</UIButton>
+        ))}
+        <div className="relative ml-2">
+          <input value={query} onChange={(e) => setQuery(e.target.value)} disabled={n >= MULTIVIEW_MAX} placeholder={n >= MULTIVIEW_MAX ? "Max fyra kanaler" : "Lägg till kanal..."} className="w-56 rounded-lg px-2 py-1 text-sm outline-none bg-white/10 border border-white/20 text-white" />
+          {matches.length > 0 && (
+            <div className="absolute left-0 top-full mt-1 w-72 z-10 rounded-lg border border-white/20 bg-neutral-900 shadow-xl">
+              {matches.map((c) => <button key={c.url} onClick={() => { setTiles((list) => (list.length < MULTIVIEW_MAX ? [...list, c] : list)); setQuery(""); }} className="block w-full text-left px-3 py-1.5 text-sm truncate hover:bg-white/10">{c.title}</button>)}
+            </div>
+          )}
+        </div>
+        <span className="flex-1 text-xs opacity-60 text-right hidden lg:block">1–4 ljudfokus · pilar flyttar · Enter till huvudbild · M byter layout · Delete tar bort · Esc stänger</span>
+        <UIButton onClick={onClose} className="text-white border-transparent bg-white/10"><X className="h-5 w-5"/></UIButton>
+      </div>
+      <div className={"flex-1 min-h-0 grid gap-2 p-2 " + grid}>
+        {tiles.map((ch) => (
+          <MultiTile key={ch.url} channel={ch} slot={order.indexOf(ch.url)} layout={layout} count={n} focused={ch.url === focused} prefs={prefs}
+            onFocus={() => setFocusUrl(ch.url)} onSwap={() => toMain(ch.url)} onRemove={() => remove(ch.url)} />
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// ------------------------ EPG Modal ------------------------
+// `recorder` = useRecordings() (bara i Electron): kommande program kan schemaläggas för inspelning
+// `reminders` = useReminders(): påminnelse per program eller för alla avsnitt med samma titel
+function EpgModal({ channel, epg, source, onClose, onPlayCatchup, recorder, reminders }) {
+  const [recError, setRecError] = useState("");
+  const [dayOffset, setDayOffset] = useState(0);
+  const [shortEpg, setShortEpg] = useState(null);
+  const baseDate = new Date(); baseDate.setHours(0,0,0,0);
+  const dayStart = new Date(baseDate.getTime() + dayOffset * 86400000);
+  const dayEnd = new Date(dayStart.getTime() + 86400000);
+  const hit = getEpgForChannel(channel, epg);
+  // Xtream-kanaler utan XMLTV-träff: hämta kort EPG direkt från leverantören
+  useEffect(() => {
+    if (hit || source?.kind !== "xtream" || !channel.xtream?.streamId) return;
+    let cancelled = false;
+    xtreamShortEpg(source, channel.xtream.streamId).then((progs) => { if (!cancelled) setShortEpg(progs); }).catch(() => {});
+    return () => { cancelled = true; };
+  }, [channel, source, !!hit]);
+  const progs = hit ? hit.progs : shortEpg;
+  const items = useMemo(() => progs ? progs.filter(p => p.stop > dayStart && p.start < dayEnd) : [], [progs, dayStart, dayEnd]);
+  const now = new Date();
+  return (
+    <div className="fixed inset-0 z-50 bg-black/80 backdrop-blur" data-nav-scope>
+      <div className="absolute top-4 left-4 right-4 mx-auto max-w-3xl" style={{ color: 'var(--fg)' }}>
+        <div className="rounded-2xl border shadow-2xl" style={{ backgroundColor: 'var(--card-bg)', borderColor: 'var(--card-border)' }}>
+          <div className="flex items-center justify-between p-4 border-b" style={{ borderColor: 'var(--card-border)' }}>
+            <div className="flex items-center gap-3">
+              {channel.logo ? <img src={channel.logo} className="h-8 w-8 rounded"/> : <Tv2 className="h-6 w-6"/>}
+              <div className="text-lg font-semibold">Programguide · {channel.title}</div>
+            </div>
+            <div className="flex items-center gap-2">
+              <UIButton onClick={() => setDayOffset(o => o - 1)}><ChevronLeft className="h-4 w-4"/></UIButton>
+              <div className="text-sm opacity-80 w-40 text-center">
+                {dayStart.toLocaleDateString()} – {new Intl.DateTimeFormat(undefined, { weekday: 'short' }).format(dayStart)}
+              </div>
+              <UIButton onClick={() => setDayOffset(o => o + 1)}><ChevronRight className="h-4 w-4"/></UIButton>
+              <UIButton onClick={onClose} data-nav-close><X className="h-4 w-4"/></UIButton>
+            </div>
+          </div>
+          {reminders && (
+            <div className="px-4 py-2 text-xs flex items-center gap-2 border-b" style={{ borderColor: 'var(--card-border)', color: 'var(--muted)' }}>
+              <Bell className="h-3 w-3"/> Påminn
+              <select value={reminders.leadMinutes} onChange={(e) => reminders.setLeadMinutes(Number(e.target.value))} className="rounded-md px-1 py-0.5 outline-none" style={{ backgroundColor: 'var(--card-bg)', border: `1px solid var(--card-border)`, color: 'var(--fg)' }}>
+                {REMINDER_LEAD_OPTIONS.map((m) => <option key={m} value={m}>{m} min</option>)}
+              </select>
+              före start{reminders.count ? ` · ${reminders.count} aktiva påminnelser` : ""}
+            </div>
+          )}
+          {recError && <div className="px-4 py-2 text-xs text-red-400 border-b" style={{ borderColor: 'var(--card-border)' }}>{recError}</div>}
+          <div className="max-h-[60vh] overflow-y-auto divide-y" style={{ borderColor: 'var(--card-border)' }}>
+            {items.length === 0 && <div className="p-6 text-sm opacity-80">Ingen EPG-data för vald dag.</div>}
+            {items.map((p, i) => {
+              const archived = canCatchup(channel, p, now);
+              const rec = recorder && p.stop > now ? recordingForProg(recorder.jobs, channel, p) : null;
+              const toggleRec = (e) => {
+                e.stopPropagation(); setRecError("");
+                (rec ? (rec.status === "recording" ? recorder.stop(rec.id) : recorder.remove(rec.id)) : recorder.schedule(channel, p)).catch((err) => setRecError(err.message));
+              };
+              return (
+              <div key={i} className={"p-4 hover:bg-black/20 " + (archived ? 'cursor-pointer' : '')} onClick={archived ? () => onPlayCatchup?.(channel, p) : undefined} title={archived ? "Spela från början" : undefined}>
+                <div className="text-sm opacity-80 flex items-center gap-2">
+                  {p.start.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })} – {p.stop.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                  {archived && <button onClick={(e) => { e.stopPropagation(); onPlayCatchup?.(channel, p); }} className="inline-flex items-center gap-1 text-[10px] px-2 py-0.5 rounded-full bg-red-600 text-white" title="Spela från början"><History className="h-3 w-3"/> Arkiv · Spela från början</button>}
+                  {reminders && p.start > now && (
+                    <span className="ml-auto inline-flex items-center gap-1">
+                      <button onClick={(e) => { e.stopPropagation(); reminders.toggle(channel, p); }} className={"inline-flex items-center gap-1 text-[10px] px-2 py-0.5 rounded-full border " + (reminders.has(channel, p) ? "bg-yellow-400 text-black border-transparent" : "opacity-80 hover:opacity-100")} style={reminders.has(channel, p) ? undefined : { borderColor: 'var(--card-border)' }} title="Påminn mig">
+                        <Bell className="h-3 w-3"/> {reminders.has(channel, p) ? "Påminner" : "Påminn"}
+                      </button>
+                      <button onClick={(e) => { e.stopPropagation(); reminders.toggleRule(channel, p); }} className={"inline-flex items-center gap-1 text-[10px] px-2 py-0.5 rounded-full border " + (reminders.hasRule(channel, p) ? "bg-yellow-400 text-black border-transparent" : "opacity-80 hover:opacity-100")} style={reminders.hasRule(channel, p) ? undefined : { borderColor: 'var(--card-border)' }} title={`Påminn om alla avsnitt av "${p.title}" på ${channel.title}`}>
+                        <Repeat className="h-3 w-3"/> Alla avsnitt
+                      </button>
+                    </span>
+                  )}
+                  {recorder && p.stop > now && (
+                    <button onClick={toggleRec} className={(reminders && p.start > now ? "" : "ml-auto ") + "inline-flex items-center gap-1 text-[10px] px-2 py-0.5 rounded-full border " + (rec ? "bg-red-600 text-white border-transparent" : "opacity-80 hover:opacity-100")} style={rec ? undefined : { borderColor: 'var(--card-border)' }} title={rec ? (rec.status === "recording" ? "Stoppa inspelningen" : "Avboka inspelningen") : "Spela in programmet"}>
+                      <Circle className="h-3 w-3 fill-current"/> {rec ? RECORDING_STATUS[rec.status] : "Spela in"}
+                    </button>
+                  )}
+                </div>
+                <div className="font-medium">{p.title}</div>
+                {p.desc && <div className="text-sm opacity-80 mt-1 line-clamp-2">{p.desc}</div>}
+                {p.category && <div className="text-xs opacity-60 mt-1">{p.category}</div>}
+              </div>
+              );
+            })}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// ------------------------ Series Modal (Xtream) ------------------------
+function SeriesModal({ series, source, onPlay, onClose }) {
+  const [state, setState] = useState({ loading: true, error: "", info: {}, seasons: [] });
+  const [season, setSeason] = useState(null);
+  useEffect(() => {
+    if (!source) { setState({ loading: false, error: "Källan för serien finns inte längre", info: {}, seasons: [] }); return; }
+    let cancelled = false;
+    setState((s) => ({ ...s, loading: true, error: "" }));
+    xtreamSeriesInfo(source, series.xtream?.seriesId)
+      .then((res) => { if (cancelled) return; setState({ loading: false, error: "", ...res }); setSeason(res.seasons[0]?.season ?? null); })
+      .catch((e) => { if (!cancelled) setState({ loading: false, error: String(e.message || e), info: {}, seasons: [] }); });
+    return () => { cancelled = true; };
+  }, [series, source]);
+  const current = state.seasons.find((s) => s.season === season);
+  const pad = (n) => String(n).padStart(2, "0");
+  return (
+    <div className="fixed inset-0 z-50 bg-black/80 backdrop-blur" data-nav-scope>
+      <div className="absolute top-4 left-4 right-4 mx-auto max-w-3xl" style={{ color: 'var(--fg)' }}>
+        <div className="rounded-2xl border shadow-2xl" style={{ backgroundColor: 'var(--card-bg)', borderColor: 'var(--card-border)' }}>
+          <div className="flex items-center justify-between p-4 border-b" style={{ borderColor: 'var(--card-border)' }}>
+            <div className="flex items-center gap-3">
+              {series.logo ? <img src={series.logo} className="h-12 w-9 rounded object-cover"/> : <Tv2 className="h-6 w-6"/>}
+              <div>
+                <div className="text-lg font-semibold">{series.title}</div>
+                <div className="text-xs opacity-70">{series.group}{series.rating ? ` · ★ ${series.rating}` : ""}</div>
+              </div>
+            </div>
+            <UIButton onClick={onClose} data-nav-close><X className="h-4 w-4"/></UIButton>
+          </div>
+          {(state.info.plot || series.plot) && <div className="px-4 pt-3 text-sm opacity-80 line-clamp-3">{state.info.plot || series.plot}</div>}
+          {state.seasons.length > 0 && (
+            <div className="px-4 pt-3 flex gap-2 flex-wrap">
+              {state.seasons.map((s) => (
+                <UIButton key={s.season} onClick={() => setSeason(s.season)} className={s.season === season ? 'bg-red-600 text-white border-transparent' : ''}>Säsong {s.season}</UIButton>
+              ))}
+            </div>
+          )}
+          <div className="max-h-[55vh] overflow-y-auto divide-y mt-3" style={{ borderColor: 'var(--card-border)' }}>
+            {state.loading && <div className="p-6 text-sm opacity-80">Laddar avsnitt...</div>}
+            {state.error && <div className="p-6 text-sm text-red-400">{state.error}</div>}
+            {!state.loading && !state.error && !current && <div className="p-6 text-sm opacity-80">Inga avsnitt hittades.</div>}
+            {current?.episodes.map((ep) => (
+              <div key={ep.url} className="p-4 flex items-center gap-3 hover:bg-black/20">
+                <button className="bg-white/90 hover:bg-white text-black rounded-full p-2 shadow shrink-0" title="Spela"
+                  onClick={() => onPlay({ title: `${series.title} · S${pad(ep.season)}E${pad(ep.episode)} ${ep.title}`, url: ep.url, logo: ep.logo || series.logo, group: series.group, kind: "episode", sourceId: series.sourceId })}>
+                  <Play className="h-4 w-4" />
+                </button>
+                <div className="min-w-0">
+                  <div className="font-medium truncate">{pad(ep.episode)}. {ep.title}</div>
+                  {ep.plot && <div className="text-sm opacity-80 mt-1 line-clamp-2">{ep.plot}</div>}
+                  {ep.duration && <div className="text-xs opacity-60 mt-1">{ep.duration}</div>}
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// ------------------------ EPG Grid (tablå för alla kanaler) ------------------------
+const GRID_ROW_H = 56;      // px per kanalrad
+const GRID_HEADER_H = 32;   // px för tidsaxeln
+const GRID_CH_W = 192;      // px för kanalkolumnen
+const GRID_PX_PER_MIN = 4;  // 1 timme = 240 px
+const GRID_OVERSCAN = 4;    // extra rader över/under synligt område
+
+function EpgGrid({ channels, epg, onPlay, onPlayCatchup, onClose, active = true }) {
+  const scrollRef = useRef(null);
+  const [onlyWithEpg, setOnlyWithEpg] = useState(true);
+  const [view, setView] = useState({ top: 0, left: 0, width: 1200, height: 800 });
+  const [now, setNow] = useState(() => new Date());
+  const [cursor, setCursor] = useState(() => ({ row: 0, time: Date.now() }));
+  const [details, setDetails] = useState(null);
+
+  const rows = useMemo(() => {
+    if (!epg) return [];
+    const out = [];
+    for (const ch of channels) {
+      const hit = getEpgForChannel(ch, epg);
+      if (onlyWithEpg && !hit) continue;
+      out.push({ ch, progs: hit ? hit.progs : [] });
+    }
+    return out;
+  }, [channels, epg, onlyWithEpg]);
+  const range = useMemo(() => epgTimeRange(epg), [epg]);
+  const totalMin = (range.to - range.from) / 60000;
+  const xOf = (t) => GRID_CH_W + ((t - range.from) / 60000) * GRID_PX_PER_MIN;
+  const timeAtX = (x) => range.from.getTime() + ((x - GRID_CH_W) / GRID_PX_PER_MIN) * 60000;
+
+  useEffect(() => { const id = setInterval(() => setNow(new Date()), 30000); return () => clearInterval(id); }, []);
+
+  // Mät viewport och scrolla till "nu" vid start
+  useEffect(() => {
+    const el = scrollRef.current; if (!el) return;
+    const measure = () => setView((v) => ({ ...v, width: el.clientWidth, height: el.clientHeight }));
+    measure();
+    el.scrollLeft = Math.max(0, xOf(Date.now()) - GRID_CH_W - el.clientWidth / 4);
+    window.addEventListener("resize", measure);
+    return () => window.removeEventListener("resize", measure);
+  }, [range]);
+
+  const onScroll = () => {
+    const el = scrollRef.current; if (!el) return;
+    setView((v) => (v.top === el.scrollTop && v.left === el.scrollLeft ? v : { ...v, top: el.scrollTop, left: el.scrollLeft }));
+  };
+
+  const progAt = (row, time) => {
+    const arr = rows[row]?.progs || [];
+    const i = firstProgAfter(arr, time);
+    return arr[i] && arr[i].start <= time ? arr[i] : null;
+  };
+  const selectedProg = progAt(cursor.row, cursor.time);
+
+  const move = (dir) => {
+    setCursor((c) => {
+      const clampT = (t) => Math.min(range.to.getTime() - 60000, Math.max(range.from.getTime(), t));
+      if (dir === "up") return { ...c, row: Math.max(0, c.row - 1) };
+      if (dir === "down") return { ...c, row: Math.min(rows.length - 1, c.row + 1) };
+      const arr = rows[c.row]?.progs || [];
+      const i = firstProgAfter(arr, c.time);
+      const inside = arr[i] && arr[i].start <= c.time;
+      if (dir === "left") {
+        const target = arr[i - 1];
+        if (target && target.stop > range.from) return { ...c, time: clampT(target.start.getTime()) };
+        return { ...c, time: clampT(c.time - 30 * 60000) };
+      }
+      const target = inside ? arr[i + 1] : arr[i];
+      if (target && target.start < range.to) return { ...c, time: clampT(target.start.getTime()) };
+      return { ...c, time: clampT(c.time + 30 * 60000) };
+    });
+  };
+  const activate = () => {
+    const row = rows[cursor.row]; if (!row) return;
+    const p = selectedProg;
+    if (!p || (p.start <= now && now < p.stop)) onPlay(row.ch);
+    else setDetails({ ch: row.ch, prog: p });
+  };
+  const back = () => { if (details) setDetails(null); else onClose?.(); };
+  const handleAction = (a) => {
+    if (a === "back") return back();
+    if (details) { if (a === "ok") { onPlay(details.ch); setDetails(null); } return; }
+    if (a === "ok") return activate();
+    if (NAV_DIRECTIONS.includes(a)) move(a);
+  };
+
+  useEffect(() => {
+    if (!active) return;
+    const onKey = (e) => {
+      const map = { ArrowUp: "up", ArrowDown: "down", ArrowLeft: "left", ArrowRight: "right", Enter: "ok", Escape: "back", Backspace: "back" };
+      const a = map[e.key]; if (!a) return;
+      e.preventDefault(); handleAction(a);
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  });
+  useGamepadActions(handleAction, active);
+
+  // Håll markerad cell inom synligt område
+  useEffect(() => {
+    const el = scrollRef.current; if (!el) return;
+    const top = GRID_HEADER_H + cursor.row * GRID_ROW_H;
+    if (top - GRID_HEADER_H < el.scrollTop) el.scrollTop = top - GRID_HEADER_H;
+    else if (top + GRID_ROW_H > el.scrollTop + el.clientHeight) el.scrollTop = top + GRID_ROW_H - el.clientHeight;
+    const p = progAt(cursor.row, cursor.time);
+    const left = p ? Math.max(GRID_CH_W, xOf(p.start)) : xOf(cursor.time);
+    const right = p ? Math.min(xOf(p.stop), left + el.clientWidth - GRID_CH_W) : left + 60 * GRID_PX_PER_MIN;
+    if (left - GRID_CH_W < el.scrollLeft) el.scrollLeft = left - GRID_CH_W;
+    else if (right > el.scrollLeft + el.clientWidth) el.scrollLeft = right - el.clientWidth;
+  }, [cursor, rows]);
+
+  useEffect(() => { setCursor((c) => ({ ...c, row: Math.max(0, Math.min(c.row, rows.length - 1)) })); }, [rows]);
+
+  const jumpTo = (t) => {
+    const el = scrollRef.current; if (!el) return;
+    el.scrollLeft = Math.max(0, xOf(t) - GRID_CH_W - el.clientWidth / 4);
+    setCursor((c) => ({ ...c, time: t }));
+  };
+
+  // Virtualisering: bara synliga rader och program inom synligt tidsfönster renderas
+  const firstRow = Math.max(0, Math.floor(view.top / GRID_ROW_H) - GRID_OVERSCAN);
+  const lastRow = Math.min(rows.length, Math.ceil((view.top + view.height) / GRID_ROW_H) + GRID_OVERSCAN);
+  const visFrom = new Date(timeAtX(view.left + GRID_CH_W) - 60 * 60000);
+  const visTo = new Date(timeAtX(view.left + view.width) + 60 * 60000);
+  const ticks = [];
+  for (let t = Math.ceil(visFrom / 1800000) * 1800000; t < visTo; t += 1800000) ticks.push(new Date(t));
+  const days = [];
+  for (let d = new Date(range.from); d < range.to; d = new Date(d.getFullYear(), d.getMonth(), d.getDate() + 1)) days.push(d);
+  const totalW = GRID_CH_W + totalMin * GRID_PX_PER_MIN;
+  const totalH = GRID_HEADER_H + rows.length * GRID_ROW_H;
+  const viewDay = new Date(timeAtX(view.left + GRID_CH_W + view.width / 4)); viewDay.setHours(0,0,0,0);
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black/80 backdrop-blur" data-nav-scope={active ? "custom" : undefined}>
+      <div className="absolute inset-4 flex flex-col rounded-2xl border shadow-2xl overflow-hidden" style={{ backgroundColor: 'var(--card-bg)', borderColor: 'var(--card-border)', color: 'var(--fg)' }}>
+        <div className="flex items-center justify-between gap-3 p-4 border-b" style={{ borderColor: 'var(--card-border)' }}>
+          <div className="flex items-center gap-3">
+            <CalendarClock className="h-6 w-6"/>
+            <div className="text-lg font-semibold">Tablå · {rows.length} kanaler</div>
+          </div>
+          <div className="flex items-center gap-2 flex-wrap">
+            <label className="text-xs flex items-center gap-1 mr-2 opacity-80">
+              <input type="checkbox" checked={onlyWithEpg} onChange={(e) => setOnlyWithEpg(e.target.checked)} /> Endast kanaler med EPG
+            </label>
+            {days.map((d) => (
+              <UIButton key={d.getTime()} onClick={() => jumpTo(now >= d && now - d < 86400000 ? now.getTime() : d.getTime() + 18 * 3600000)} className={d.getTime() === viewDay.getTime() ? 'bg-red-600 text-white border-transparent' : ''}>
+                {new Intl.DateTimeFormat(undefined, { weekday: 'short', day: 'numeric' }).format(d)}
+              </UIButton>
+            ))}
+            <UIButton onClick={() => jumpTo(Date.now())}>Nu</UIButton>
+            <UIButton onClick={onClose}><X className="h-4 w-4"/></UIButton>
+          </div>
+        </div>
+        {!epg && <div className="p-6 text-sm opacity-80">Ingen EPG inläst.</div>}
+        <div ref={scrollRef} onScroll={onScroll} className="relative flex-1 overflow-auto">
+          <div className="relative" style={{ width: totalW, height: totalH }}>
+            {/* Tidsaxel */}
+            <div className="sticky top-0 z-20 border-b" style={{ height: GRID_HEADER_H, width: totalW, backgroundColor: 'var(--card-bg)', borderColor: 'var(--card-border)' }}>
+              <div className="sticky left-0 z-30 h-full text-xs flex items-center px-3 border-r" style={{ width: GRID_CH_W, backgroundColor: 'var(--card-bg)', borderColor: 'var(--card-border)' }}>
+                {viewDay.toLocaleDateString()}
+              </div>
+              {ticks.map((t) => (
+                <div key={t.getTime()} className="absolute top-0 h-full text-xs opacity-70 pl-1 border-l" style={{ left: xOf(t), borderColor: 'var(--card-border)' }}>
+                  {fmtTime(t)}
+                </div>
+              ))}
+            </div>
+            {/* Kanalrader */}
+            {rows.slice(firstRow, lastRow).map(({ ch, progs }, i) => {
+              const rowIndex = firstRow + i;
+              const isRowSel = rowIndex === cursor.row;
+              return (
+                <div key={ch.url + rowIndex} className="absolute left-0 border-b" style={{ top: GRID_HEADER_H + rowIndex * GRID_ROW_H, height: GRID_ROW_H, width: totalW, borderColor: 'var(--card-border)' }}>
+                  <button onClick={() => onPlay(ch)} className={"sticky left-0 z-10 h-full flex items-center gap-2 px-3 border-r text-left " + (isRowSel ? 'ring-2 ring-inset ring-red-500' : '')} style={{ width: GRID_CH_W, backgroundColor: 'var(--card-bg)', borderColor: 'var(--card-border)' }} title={ch.title}>
+                    {ch.logo ? <img src={ch.logo} alt="" className="h-8 w-8 rounded object-contain bg-black" loading="lazy"/> : <Tv2 className="h-6 w-6 opacity-60"/>}
+                    <span className="text-sm font-medium truncate">{ch.title}</span>
+                  </button>
+                  {progsInRange(progs, visFrom, visTo).map((p) => {
+                    const left = Math.max(GRID_CH_W, xOf(p.start));
+                    const width = Math.max(2, xOf(p.stop) - left);
+                    const isNow = p.start <= now && now < p.stop;
+                    const isPast = p.stop <= now;
+                    const isSel = p === selectedProg && isRowSel;
+                    return (
+                      <button key={p.start.getTime()} onClick={() => { setCursor({ row: rowIndex, time: Math.max(p.start.getTime(), range.from.getTime()) }); setDetails({ ch, prog: p }); }}
+                        className={"absolute top-1 bottom-1 rounded-lg border px-2 text-left overflow-hidden " + (isSel ? 'ring-2 ring-red-500 ' : '') + (isNow ? 'bg-red-600/20 ' : 'hover:bg-black/20 ') + (isPast ? 'opacity-50' : '')}
+                        style={{ left: left + 1, width: width - 2, borderColor: 'var(--card-border)' }} title={p.title}>
+                        <div className="text-sm font-medium truncate">{p.title}</div>
+                        <div className="text-[10px] opacity-70 truncate">{fmtTime(p.start)} – {fmtTime(p.stop)}</div>
+                      </button>
+                    );
+                  })}
+                  {progs.length === 0 && <div className="absolute top-0 h-full flex items-center text-xs opacity-50 pl-2" style={{ left: Math.max(GRID_CH_W, view.left + GRID_CH_W) }}>Ingen EPG-data</div>}
+                </div>
+              );
+            })}
+            {/* Nu-linje */}
+            {now >= range.from && now < range.to && (
+              <div className="absolute w-0.5 bg-red-500 pointer-events-none" style={{ left: xOf(now), top: 0, height: totalH, zIndex: 5 }} />
+            )}
+          </div>
+        </div>
+      </div>
+
+      {details && (
+        <div className="absolute inset-0 z-10 flex items-center justify-center bg-black/60" onClick={() => setDetails(null)}>
+          <div className="max-w-lg w-full rounded-2xl border p-5 shadow-2xl" style={{ backgroundColor: 'var(--card-bg)', borderColor: 'var(--card-border)', color: 'var(--fg)' }} onClick={(e) => e.stopPropagation()}>
+            <div className="flex items-center gap-3 mb-3">
+              {details.ch.logo ? <img src={details.ch.logo} alt="" className="h-8 w-8 rounded"/> : <Tv2 className="h-6 w-6"/>}
+              <div className="text-sm opacity-80">{details.ch.title}</div>
+            </div>
+            <div className="text-xl font-semibold">{details.prog.title}</div>
+            <div className="text-sm opacity-80 mt-1">
+              {details.prog.start.toLocaleDateString()} · {fmtTime(details.prog.start)} – {fmtTime(details.prog.stop)}
+            </div>
+            {details.prog.category && <div className="text-xs opacity-60 mt-1">{details.prog.category}</div>}
+            {details.prog.desc && <div className="text-sm mt-3 max-h-60 overflow-y-auto">{details.prog.desc}</div>}
+            <div className="mt-4 flex gap-2 justify-end">
+              {details.prog.start < now && canCatchup(details.ch, details.prog, now) && (
+                <UIButton onClick={() => { onPlayCatchup(details.ch, details.prog); setDetails(null); }}><History className="h-4 w-4 mr-1"/> Spela från början</UIButton>
+              )}
+              <UIButton onClick={() => { onPlay(details.ch); setDetails(null); }} className="bg-red-600 text-white border-transparent"><Play className="h-4 w-4 mr-1"/> Spela kanal</UIButton>
+              <UIButton onClick={() => setDetails(null)}>Stäng</UIButton>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ------------------------ EPG Match Modal ------------------------
+const MATCH_LABELS = { override: "Manuell", "tvg-id": "tvg-id", name: "Namn", key: "Namn (utan suffix)", fuzzy: "Ungefärlig", none: "Ingen" };
+const MATCH_LIST_LIMIT = 300;
+function EpgMatchModal({ channels, epg, overrides, setOverrides, onReloadEpg, onClose }) {
+  const [filter, setFilter] = useState("unmatched"); // unmatched | fuzzy | override | all
+  const [query, setQuery] = useState("");
+  const xmltvChannels = useMemo(() => {
+    const names = epg?.channelNames || new Map([...(epg?.channelIdToName || [])].map(([id, n]) => [id, [n]]));
+    return [...names].map(([id, n]) => ({ id, name: n[0] || id })).sort((a, b) => a.name.localeCompare(b.name));
+  }, [epg]);
+  const nameOf = useMemo(() => new Map(xmltvChannels.map((c) => [c.id, c.name])), [xmltvChannels]);
+  const rows = useMemo(() => {
+    const seen = new Set(); const out = [];
+    for (const ch of channels) {
+      const key = epgMatchKey(ch); if (seen.has(key)) continue; seen.add(key);
+      out.push({ ch, key, match: epg?.mapping?.get(key) || { id: "", how: "none" } });
+    }
+    return out;
+  }, [channels, epg]);
+  const counts = useMemo(() => rows.reduce((acc, r) => { acc[r.match.how] = (acc[r.match.how] || 0) + 1; return acc; }, {}), [rows]);
+  const q = query.trim().toLowerCase();
+  const visible = rows.filter((r) => {
+    if (filter === "unmatched" && r.match.id) return false;
+    if (filter === "fuzzy" && r.match.how !== "fuzzy") return false;
+    if (filter === "override" && r.match.how !== "override") return false;
+    return !q || r.ch.title.toLowerCase().includes(q) || r.match.id.toLowerCase().includes(q);
+  });
+  const missingProgs = Object.values(overrides).some((id) => id && !epg?.progs.has(id));
+  const pin = (key, id) => setOverrides((o) => ({ ...o, [key]: id }));
+  const unpin = (key) => setOverrides((o) => { const n = { ...o }; delete n[key]; return n; });
+  const inputStyle = { backgroundColor: 'var(--card-bg)', border: `1px solid var(--card-border)`, color: 'var(--fg)' };
+  return (
+    <div className="fixed inset-0 z-50 bg-black/80 backdrop-blur" data-nav-scope>
+      <div className="absolute top-4 left-4 right-4 bottom-4 mx-auto max-w-5xl flex flex-col rounded-2xl border shadow-2xl" style={{ color: 'var(--fg)', backgroundColor: 'var(--card-bg)', borderColor: 'var(--card-border)' }}>
+        <div className="flex items-center justify-between gap-3 p-4 border-b" style={{ borderColor: 'var(--card-border)' }}>
+          <div className="text-lg font-semibold">EPG-matchning</div>
+          <div className="flex items-center gap-2 flex-wrap">
+            {[["unmatched", `Omatchade · ${(counts.none || 0) + rows.filter((r) => r.match.how === "override" && !r.match.id).length}`], ["fuzzy", `Ungefärliga · ${counts.fuzzy || 0}`], ["override", `Manuella · ${counts.override || 0}`], ["all", `Alla · ${rows.length}`]].map(([id, label]) => (
+              <UIButton key={id} onClick={() => setFilter(id)} className={filter === id ? 'bg-red-600 text-white border-transparent' : ''}>{label}</UIButton>
+            ))}
+            <UIButton onClick={onClose} data-nav-close><X className="h-4 w-4"/></UIButton>
+          </div>
+        </div>
+        <div className="p-4 flex items-center gap-3 border-b" style={{ borderColor: 'var(--card-border)' }}>
+          <input value={query} onChange={(e) => setQuery(e.target.value)} placeholder="Filtrera kanaler..." className="flex-1 rounded-xl px-3 py-2 outline-none" style={inputStyle} />
+          {missingProgs && <UIButton onClick={onReloadEpg} title="Manuellt kopplade kanaler saknar program – läs om EPG:n"><RefreshCw className="h-4 w-4 mr-1"/> Läs om EPG</UIButton>}
+        </div>
+        <datalist id="xmltv-channels">
+          {xmltvChannels.map((c) => <option key={c.id} value={c.id}>{c.name}</option>)}
+        </datalist>
+        <div className="flex-1 overflow-y-auto divide-y" style={{ borderColor: 'var(--card-border)' }}>
+          {visible.length === 0 && <div className="p-6 text-sm opacity-80">Inga kanaler att visa.</div>}
+          {visible.slice(0, MATCH_LIST_LIMIT).map(({ ch, key, match }) => (
+            <div key={key} className="p-3 flex flex-wrap items-center gap-3">
+              {ch.logo ? <img src={ch.logo} alt="" className="h-8 w-8 rounded object-contain bg-black" loading="lazy"/> : <Tv2 className="h-6 w-6 opacity-60"/>}
+              <div className="min-w-[12rem] flex-1">
+                <div className="font-medium truncate">{ch.title}</div>
+                <div className="text-xs truncate" style={{ color: 'var(--muted)' }}>{ch.group}{ch.tvgId ? ` · tvg-id ${ch.tvgId}` : ""}</div>
+              </div>
+              <div className="text-xs w-56">
+                {match.id ? <div className="truncate" title={match.id}>{nameOf.get(match.id) || match.id} <span className="opacity-60">({match.id})</span></div> : <div className="opacity-60">Ingen EPG</div>}
+                <div className="opacity-60">{MATCH_LABELS[match.how]}{match.score ? ` · ${Math.round(match.score * 100)}%` : ""}{match.id && !epg?.progs.has(match.id) ? " · program saknas" : ""}</div>
+              </div>
+              <input list="xmltv-channels" placeholder="Koppla till XMLTV-id..." className="rounded-lg px-2 py-1 text-xs outline-none w-56" style={inputStyle}
+                onKeyDown={(e) => { if (e.key === "Enter" && nameOf.has(e.currentTarget.value)) pin(key, e.currentTarget.value); }}
+                onChange={(e) => { if (nameOf.has(e.target.value)) pin(key, e.target.value); }} />
+              <UIButton onClick={() => pin(key, "")} title="Visa ingen EPG för kanalen">Ingen</UIButton>
+              {key in overrides && <UIButton onClick={() => unpin(key)} title="Ta bort manuell koppling">Återställ</UIButton>}
+            </div>
+          ))}
+          {visible.length > MATCH_LIST_LIMIT && <div className="p-4 text-xs opacity-70">Visar {MATCH_LIST_LIMIT} av {visible.length} – filtrera för att hitta fler.</div>}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// ------------------------ Kanalhanterare ------------------------
+// Användarens ändringar av spellistan (LS_KEYS.CHANNEL_EDITS). Kanaler nycklas på tvg-id eller URL så att
+// ändringarna tillämpas igen när spellistan uppdateras; grupper nycklas på originalnamnet.
+const EMPTY_CHANNEL_EDITS = {
+  groupOrder: [],   // gruppnycklar i visningsordning
+  groups: {},       // gruppnyckel -> { name?, hidden? }
+  customGroups: [], // egna grupper (nycklar)
+  channels: {},     // channelEditKey -> { title?, group?, hidden? }
+  channelOrder: {}, // gruppnyckel -> [channelEditKey, ...]
+  hideDead: false,  // dölj kanaler som strömkontrollen markerat som döda
+};
+const MANAGER_LIST_LIMIT = 500;
+const channelEditKey = (ch) => (ch.tvgId ? "id:" + ch.tvgId : "url:" + ch.url);
+function moveItem(list, from, to) {
+  const next = [...list];
+  const [item] = next.splice(from, 1);
+  next.splice(to, 0, item);
+  return next;
+}
+// Poster med nyckel i `order` först i den ordningen, övriga behåller sin inbördes ordning efteråt
+function orderBy(items, order, keyOf) {
+  if (!order?.length) return items;
+  const rank = new Map(order.map((k, i) => [k, i]));
+  return items.map((x, i) => [x, rank.get(keyOf(x)) ?? order.length + i]).sort((a, b) => a[1] - b[1]).map(([x]) => x);
+}
+// -> [{ key, name, hidden, custom, items }]. Utan includeHidden tas dolda kanaler/grupper och tomma grupper bort.
+function applyChannelEdits(channels, edits, includeHidden = false) {
+  const byGroup = new Map(edits.customGroups.map((g) => [g, []]));
+  for (const ch of channels) {
+    const e = edits.channels[channelEditKey(ch)];
+    const groupKey = e?.group || ch.group || "Other";
+    const group = edits.groups[groupKey];
+    if (!includeHidden && (e?.hidden || group?.hidden)) continue;
+    // Kopiera bara ändrade kanaler; origTitle behövs för EPG-matchningen (epgMatchKey)
+    const item = e?.title || group?.name || groupKey !== ch.group ? { ...ch, ...(e?.title ? { title: e.title, origTitle: ch.title } : {}), group: group?.name || groupKey } : ch;
+    if (!byGroup.has(groupKey)) byGroup.set(groupKey, []);
+    byGroup.get(groupKey).push(item);
+  }
+  let groups = [...byGroup].map(([key, items]) => ({
+    key, name: edits.groups[key]?.name || key, hidden: !!edits.groups[key]?.hidden, custom: edits.customGroups.includes(key),
+    items: orderBy(items, edits.channelOrder[key], channelEditKey),
+  }));
+  groups.sort((a, b) => b.items.length - a.items.length); // standard: störst först
+  groups = orderBy(groups, edits.groupOrder, (g) => g.key);
+  return includeHidden ? groups : groups.filter((g) => !g.hidden && g.items.length);
+}
+
+function ChannelManager({ channels, edits, setEdits, onClose }) {
+  const groups = useMemo(() => applyChannelEdits(channels, edits, true), [channels, edits]);
+  const originals = useMemo(() => new Map(channels.map((c) => [c.url, c])), [channels]);
+  const [selectedKey, setSelectedKey] = useState(null);
+  const [drag, setDrag] = useState(null); // { type: "group" | "channel", index }
+  const [newGroup, setNewGroup] = useState("");
+  const [filter, setFilter] = useState("");
+  const group = groups.find((g) => g.key === selectedKey) || groups[0];
+  const patch = (fn) => setEdits((e) => fn({ ...EMPTY_CHANNEL_EDITS, ...e }));
+  // Tomma fält tas bort så att "återställ" blir samma sak som att aldrig ha ändrat
+  const compact = (obj) => Object.fromEntries(Object.entries(obj).filter(([, v]) => v !== undefined && v !== "" && v !== false));
+  const setGroup = (key, fields) => patch((e) => {
+    const next = compact({ ...e.groups[key], ...fields }); const all = { ...e.groups };
+    if (Object.keys(next).length) all[key] = next; else delete all[key];
+    return { ...e, groups: all };
+  });
+  const setChannel = (ch, fields) => patch((e) => {
+    const k = channelEditKey(ch); const next = compact({ ...e.channels[k], ...fields }); const all = { ...e.channels };
+    if (Object.keys(next).length) all[k] = next; else delete all[k];
+    return { ...e, channels: all };
+  });
+  const dropGroup = (to) => {
+    if (drag?.type === "group" && drag.index !== to) patch((e) => ({ ...e, groupOrder: moveItem(groups.map((g) => g.key), drag.index, to) }));
+    setDrag(null);
+  };
+  const dropChannel = (to) => {
+    if (drag?.type === "channel" && drag.index !== to && group) patch((e) => ({ ...e, channelOrder: { ...e.channelOrder, [group.key]: moveItem(group.items.map(channelEditKey), drag.index, to) } }));
+    setDrag(null);
+  };
+  const addGroup = () => {
+    const name = newGroup.trim();
+    if (!name || groups.some((g) => g.key === name)) return;
+    patch((e) => ({ ...e, customGroups: [...e.customGroups, name], groupOrder: [name, ...groups.map((g) => g.key)] }));
+    setSelectedKey(name); setNewGroup("");
+  };
+  // Kanaler i en borttagen egen grupp flyttas tillbaka till sin ursprungliga grupp
+  const removeGroup = (key) => patch((e) => ({
+    ...e, customGroups: e.customGroups.filter((g) => g !== key), groupOrder: e.groupOrder.filter((g) => g !== key),
+    channels: Object.fromEntries(Object.entries(e.channels).map(([k, v]) => [k, v.group === key ? compact({ ...v, group: undefined }) : v]).filter(([, v]) => Object.keys(v).length)),
+  }));
+  const reset = () => { if (window.confirm("Återställ alla ändringar av kanaler och grupper?")) setEdits(EMPTY_CHANNEL_EDITS); };
+  const inputStyle = { backgroundColor: 'var(--card-bg)', border: `1px solid var(--card-border)`, color: 'var(--fg)' };
+  const q = filter.trim().toLowerCase();
+  const items = group ? group.items.map((ch, index) => ({ ch, index })).filter(({ ch }) => !q || ch.title.toLowerCase().includes(q)) : [];
+  return (
+    <div className="fixed inset-0 z-50 bg-black/80 backdrop-blur" data-nav-scope>
+      <div className="absolute top-4 left-4 right-4 bottom-4 mx-auto max-w-6xl flex flex-col rounded-2xl border shadow-2xl" style={{ color: 'var(--fg)', backgroundColor: 'var(--card-bg)', borderColor: 'var(--card-border)' }}>
+        <div className="flex items-center justify-between gap-3 p-4 border-b" style={{ borderColor: 'var(--card-border)' }}>
+          <div>
+            <div className="text-lg font-semibold">Kanalhanterare</div>
+            <div className="text-xs" style={{ color: 'var(--muted)' }}>Dra för att ändra ordning. Ändringarna sparas och används igen när spellistan uppdateras.</div>
+          </div>
+          <div className="flex items-center gap-2">
+            <UIButton onClick={reset}>Återställ allt</UIButton>
+            <UIButton onClick={onClose} data-nav-close><X className="h-4 w-4"/></UIButton>
+          </div>
+        </div>
+        <div className="flex-1 min-h-0 grid grid-cols-[minmax(16rem,1fr)_2fr]">
+          <div className="flex flex-col min-h-0 border-r" style={{ borderColor: 'var(--card-border)' }}>
+            <div className="p-3 flex gap-2 border-b" style={{ borderColor: 'var(--card-border)' }}>
+              <input value={newGroup} onChange={(e) => setNewGroup(e.target.value)} onKeyDown={(e) => e.key === "Enter" && addGroup()} placeholder="Ny egen grupp..." className="flex-1 min-w-0 rounded-lg px-2 py-1 text-sm outline-none" style={inputStyle} />
+              <UIButton onClick={addGroup} disabled={!newGroup.trim()} title="Skapa grupp"><FolderPlus className="h-4 w-4"/></UIButton>
+            </div>
+            <div className="flex-1 overflow-y-auto">
+              {groups.map((g, i) => (
+                <div key={g.key} draggable onDragStart={() => setDrag({ type: "group", index: i })} onDragOver={(e) => e.preventDefault()} onDrop={() => dropGroup(i)}
+                  onClick={() => setSelectedKey(g.key)}
+                  className={"flex items-center gap-2 px-3 py-2 cursor-pointer border-b " + (group?.key === g.key ? "bg-red-600/20 " : "hover:bg-black/20 ") + (g.hidden ? "opacity-50" : "")} style={{ borderColor: 'var(--card-border)' }}>
+                  <GripVertical className="h-4 w-4 opacity-50 cursor-grab shrink-0"/>
+                  <div className="flex-1 min-w-0">
+                    <div className="truncate text-sm font-medium">{g.name}{g.custom && <span className="ml-1 text-[10px] opacity-60">(egen)</span>}</div>
+                    <div className="text-xs" style={{ color: 'var(--muted)' }}>{g.items.length} kanaler{g.name !== g.key ? ` · ${g.key}` : ""}</div>
+                  </div>
+                  <button onClick={(e) => { e.stopPropagation(); setGroup(g.key, { hidden: !g.hidden }); }} title={g.hidden ? "Visa gruppen" : "Dölj gruppen"} className="opacity-70 hover:opacity-100">{g.hidden ? <EyeOff className="h-4 w-4"/> : <Eye className="h-4 w-4"/>}</button>
+                </div>
+              ))}
+            </div>
+          </div>
+          <div className="flex flex-col min-h-0">
+            {group && (
+              <div className="p-3 flex flex-wrap items-center gap-2 border-b" style={{ borderColor: 'var(--card-border)' }}>
+                <input key={group.key + group.name} defaultValue={group.name} onBlur={(e) => { const v = e.target.value.trim(); setGroup(group.key, { name: v && v !== group.key ? v : undefined }); }} className="flex-1 min-w-[10rem] rounded-lg px-2 py-1 font-semibold outline-none" style={inputStyle} title="Byt namn på gruppen" />
+                <input value={filter} onChange={(e) => setFilter(e.target.value)} placeholder="Filtrera kanaler..." className="w-48 rounded-lg px-2 py-1 text-sm outline-none" style={inputStyle} />
+                {group.custom && <UIButton onClick={() => removeGroup(group.key)} title="Ta bort gruppen"><Trash2 className="h-4 w-4"/></UIButton>}
+              </div>
+            )}
+            <div className="flex-1 overflow-y-auto">
+              {group && group.items.length === 0 && <div className="p-6 text-sm opacity-80">Gruppen är tom. Flytta hit kanaler från andra grupper med "Flytta till".</div>}
+              {items.slice(0, MANAGER_LIST_LIMIT).map(({ ch, index }) => {
+                const orig = originals.get(ch.url) || ch;
+                const e = edits.channels[channelEditKey(ch)] || {};
+                return (
+                  <div key={ch.url} draggable={!q} onDragStart={() => setDrag({ type: "channel", index })} onDragOver={(ev) => ev.preventDefault()} onDrop={() => dropChannel(index)}
+                    className={"flex items-center gap-2 px-3 py-2 border-b " + (e.hidden ? "opacity-50" : "")} style={{ borderColor: 'var(--card-border)' }}>
+                    <GripVertical className={"h-4 w-4 shrink-0 " + (q ? "opacity-20" : "opacity-50 cursor-grab")}/>
+                    {ch.logo ? <img src={ch.logo} alt="" className="h-7 w-7 rounded object-contain bg-black shrink-0" loading="lazy"/> : <Tv2 className="h-5 w-5 opacity-60 shrink-0"/>}
+                    <input key={ch.title} defaultValue={ch.title} onBlur={(ev) => { const v = ev.target.value.trim(); setChannel(ch, { title: v && v !== orig.title ? v : undefined }); }} className="flex-1 min-w-0 bg-transparent outline-none text-sm" title={e.title ? `Original: ${orig.title}` : "Byt namn"} />
+                    <select value={e.group || orig.group || "Other"} onChange={(ev) => setChannel(ch, { group: ev.target.value === (orig.group || "Other") ? undefined : ev.target.value })} className="w-40 rounded-lg px-1 py-1 text-xs outline-none" style={inputStyle} title="Flytta till grupp">
+                      {groups.map((g) => <option key={g.key} value={g.key}>{g.name}</option>)}
+                    </select>
+                    <button onClick={() => setChannel(ch, { hidden: !e.hidden })} title={e.hidden ? "Visa kanalen" : "Dölj kanalen"} className="opacity-70 hover:opacity-100">{e.hidden ? <EyeOff className="h-4 w-4"/> : <Eye className="h-4 w-4"/>}</button>
+                  </div>
+                );
+              })}
+              {items.length > MANAGER_LIST_LIMIT && <div className="p-4 text-xs opacity-70">Visar {MANAGER_LIST_LIMIT} av {items.length} – filtrera för att hitta fler.</div>}
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
 }
 
-// ------------------------ XMLTV (EPG) Parser ------------------------
-function parseXmltvDate(s) {
-  if (!s) return null;
-  const m = s.match(/(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})(?:\s?([+-]\d{4}))?/);
-  if (!m) return null;
-  const [_, Y, Mo, D, H, Mi, S, tz] = m;
-  const iso = `${Y}-${Mo}-${D}T${H}:${Mi}:${S}` + (tz ? tz.replace(/(\d{2})(\d{2})/, "$1:$2") : "Z");
-  return new Date(iso);
-}
-function parseXMLTV(xmlText) {
-  const dom = new DOMParser().parseFromString(xmlText, "application/xml");
-  const channelIdToName = new Map();
-  dom.querySelectorAll("channel").forEach((ch) => {
-    const id = ch.getAttribute("id") || "";
-    const name = ch.querySelector("display-name")?.textContent?.trim() || id;
-    channelIdToName.set(id, name);
-  });
-  const progs = new Map();
-  dom.querySelectorAll("programme").forEach((p) => {
-    const channel = p.getAttribute("channel") || "";
-    const start = parseXmltvDate(p.getAttribute("start"));
-    const stop = parseXmltvDate(p.getAttribute("stop"));
-    if (!start || !stop) return;
-    const title = p.querySelector("title")?.textContent?.trim() || "(okänt)";
-    const desc = p.querySelector("desc")?.textContent?.trim() || "";
-    const category = p.querySelector("category")?.textContent?.trim() || "";
-    const ep = { start, stop, title, desc, category };
-    if (!progs.has(channel)) progs.set(channel, []);
-    progs.get(channel).push(ep);
+// ------------------------ Strömkontroll ------------------------
+// Provningen körs i Electron main (electron/health.js, ingen CORS); resultaten nycklas på URL och delas av alla profiler.
+// Döda kanaler kan döljas i listorna (EMPTY_CHANNEL_EDITS.hideDead) eller döljas permanent via kanalhanteraren.
+const HEALTH_LABELS = { ok: "OK", slow: "Långsam", dead: "Död", unchecked: "Ej kontrollerad" };
+const HEALTH_COLORS = { ok: "bg-green-500", slow: "bg-amber-400", dead: "bg-red-600", unchecked: "bg-neutral-500" };
+const HEALTH_LIST_LIMIT = 300;
+function healthDetails(h) {
+  if (h.status === "dead") return h.error || "Svarar inte";
+  return [h.resolution && `${h.resolution.split("x")[1]}p`, h.bandwidth && `${(h.bandwidth / 1e6).toFixed(1)} Mbit/s`, `${(h.latency / 1000).toFixed(1)} s`].filter(Boolean).join(" · ");
+}
+function HealthBadge({ result }) {
+  if (!result) return null;
+  return (
+    <div className="text-[10px] flex items-center gap-1 truncate" style={{ color: 'var(--muted)' }} title={`Kontrollerad ${new Date(result.checkedAt).toLocaleString()}`}>
+      <span className={`h-2 w-2 rounded-full shrink-0 ${HEALTH_COLORS[result.status]}`}/> {HEALTH_LABELS[result.status]} · {healthDetails(result)}
+    </div>
+  );
+}
+// null utanför Electron
+function useStreamHealth() {
+  const api = typeof window !== "undefined" ? window.netiptv?.health : null;
+  const [state, setState] = useState({ results: {}, progress: null });
+  useEffect(() => {
+    if (!api) return;
+    api.results().then(setState).catch(() => {});
+    return api.onUpdate(({ reset, results, progress }) => setState((s) => ({ results: reset ? {} : { ...s.results, ...results }, progress })));
+  }, [api]);
+  return useMemo(() => {
+    if (!api) return null;
+    return {
+      ...state,
+      start: (channels) => api.start(channels.map((c) => ({ url: c.url, headers: c.headers || null }))).catch(() => {}),
+      cancel: () => api.cancel().catch(() => {}),
+      clear: () => api.clear().catch(() => {}),
+    };
+  }, [api, state]);
+}
+
+function StreamHealthModal({ channels, edits, setEdits, health, onClose }) {
+  const listed = useMemo(() => applyChannelEdits(channels, edits).flatMap((g) => g.items), [channels, edits]);
+  const { results, progress } = health;
+  const statusOf = (ch) => results[ch.url]?.status || "unchecked";
+  const counts = { ok: 0, slow: 0, dead: 0, unchecked: 0 };
+  for (const ch of listed) counts[statusOf(ch)]++;
+  const [filter, setFilter] = useState("dead");
+  const shown = listed.filter((ch) => statusOf(ch) === filter);
+  const dead = listed.filter((ch) => statusOf(ch) === "dead");
+  const hide = (list) => setEdits((e) => {
+    const next = { ...EMPTY_CHANNEL_EDITS, ...e, channels: { ...e.channels } };
+    for (const ch of list) { const key = channelEditKey(ch); next.channels[key] = { ...next.channels[key], hidden: true }; }
+    return next;
   });
-  for (const arr of progs.values()) arr.sort((a, b) => a.start - b.start);
-  return { channelIdToName, progs };
+  const hideAllDead = () => { if (window.confirm(`Dölj ${dead.length} döda kanaler? De kan visas igen i kanalhanteraren.`)) hide(dead); };
+  const exportClean = () => downloadFile("netiptv-rensad.m3u", buildM3U(listed.filter((ch) => statusOf(ch) !== "dead")), "audio/x-mpegurl");
+  const running = !!progress?.running;
+  return (
+    <div className="fixed inset-0 z-50 bg-black/80 backdrop-blur" data-nav-scope>
+      <div className="absolute top-4 left-4 right-4 bottom-4 mx-auto max-w-4xl flex flex-col rounded-2xl border shadow-2xl" style={{ color: 'var(--fg)', backgroundColor: 'var(--card-bg)', borderColor: 'var(--card-border)' }}>
+        <div className="flex items-center justify-between gap-3 p-4 border-b" style={{ borderColor: 'var(--card-border)' }}>
+          <div>
+            <div className="text-lg font-semibold">Strömkontroll</div>
+            <div className="text-xs" style={{ color: 'var(--muted)' }}>Provar varje kanal i bakgrunden. Svarstid över 3 s räknas som långsam; upplösning och bitrate läses från HLS-spellistan.</div>
+          </div>
+          <UIButton onClick={onClose} data-nav-close><X className="h-4 w-4"/></UIButton>
+        </div>
+        <div className="p-4 space-y-3 border-b" style={{ borderColor: 'var(--card-border)' }}>
+          <div className="flex flex-wrap items-center gap-2">
+            {running ? <UIButton onClick={health.cancel}><Square className="h-4 w-4 mr-1"/> Avbryt</UIButton> : <UIButton onClick={() => health.start(listed)} disabled={!listed.length} className="bg-red-600 text-white border-transparent"><Activity className="h-4 w-4 mr-1"/> Kontrollera alla ({listed.length})</UIButton>}
+            <UIButton onClick={() => health.start([...dead, ...listed.filter((ch) => statusOf(ch) === "unchecked")])} disabled={running || !(counts.dead + counts.unchecked)}>Kontrollera döda och okontrollerade</UIButton>
+            <UIButton onClick={hideAllDead} disabled={!dead.length}><EyeOff className="h-4 w-4 mr-1"/> Dölj döda permanent</UIButton>
+            <UIButton onClick={exportClean} disabled={!listed.length} title="Synliga kanaler i nuvarande ordning, utan döda"><Download className="h-4 w-4 mr-1"/> Exportera rensad M3U</UIButton>
+            <UIButton onClick={() => window.confirm("Glöm alla kontrollresultat?") && health.clear()} disabled={running}>Rensa resultat</UIButton>
+          </div>
+          <label className="flex items-center gap-2 text-sm">
+            <input type="checkbox" checked={!!edits.hideDead} onChange={(e) => setEdits((x) => ({ ...EMPTY_CHANNEL_EDITS, ...x, hideDead: e.target.checked }))} />
+            Dölj döda kanaler i listorna (gäller profilen)
+          </label>
+          {progress?.total > 0 && (
+            <div className="space-y-1">
+              <div className="h-1.5 rounded-full bg-black/30"><div className="h-1.5 rounded-full bg-red-600 transition-all" style={{ width: `${(progress.done / progress.total) * 100}%` }}/></div>
+              <div className="text-xs" style={{ color: 'var(--muted)' }}>{running ? "Kontrollerar" : "Senaste körningen"}: {progress.done} av {progress.total}</div>
+            </div>
+          )}
+          <div className="flex flex-wrap gap-2">
+            {Object.keys(counts).map((status) => (
+              <UIButton key={status} onClick={() => setFilter(status)} className={filter === status ? "bg-red-600 text-white border-transparent" : ""}>
+                <span className={`h-2 w-2 rounded-full mr-2 ${HEALTH_COLORS[status]}`}/> {HEALTH_LABELS[status]} · {counts[status]}
+              </UIButton>
+            ))}
+          </div>
+        </div>
+        <div className="flex-1 overflow-y-auto">
+          {!shown.length && <div className="p-6 text-sm opacity-80">Inga kanaler här.</div>}
+          {shown.slice(0, HEALTH_LIST_LIMIT).map((ch) => (
+            <div key={ch.url} className="flex items-center gap-3 px-4 py-2 border-b" style={{ borderColor: 'var(--card-border)' }}>
+              {ch.logo ? <img src={ch.logo} alt="" className="h-8 w-8 rounded object-contain bg-black shrink-0" loading="lazy"/> : <Tv2 className="h-6 w-6 opacity-60 shrink-0"/>}
+              <div className="flex-1 min-w-0">
+                <div className="truncate text-sm font-medium" title={ch.title}>{ch.title}</div>
+                <div className="text-xs truncate" style={{ color: 'var(--muted)' }}>{ch.group}{results[ch.url] ? ` · ${healthDetails(results[ch.url])}` : ""}</div>
+              </div>
+              <UIButton onClick={() => health.start([ch])} disabled={running} title="Kontrollera igen"><RefreshCw className="h-4 w-4"/></UIButton>
+              <UIButton onClick={() => hide([ch])} title="Dölj kanalen (kan visas igen i kanalhanteraren)"><EyeOff className="h-4 w-4"/></UIButton>
+            </div>
+          ))}
+          {shown.length > HEALTH_LIST_LIMIT && <div className="p-4 text-xs opacity-70">Visar {HEALTH_LIST_LIMIT} av {shown.length}.</div>}
+        </div>
+      </div>
+    </div>
+  );
 }
-function normalizeName(s) {
-  return (s || "").toLowerCase().replace(/[^a-z0-9]+/g, " ").trim();
+
+// ------------------------ Säkerhetskopiering ------------------------
+// Versionerad JSON med allt användaren ställt in. Globala nycklar delas av profilerna, övriga sparas per profil-id.
+// Filkällor följer inte med (innehållet ligger i IndexedDB), bara källor med URL/Xtream.
+const BACKUP_FORMAT = "netiptv-backup";
+const BACKUP_VERSION = 1;
+const BACKUP_GLOBAL_KEYS = { profiles: LS_KEYS.PROFILES, sources: LS_KEYS.SOURCES, epgOverrides: LS_KEYS.EPG_OVERRIDES, gamepad: LS_KEYS.GAMEPAD };
+const BACKUP_PROFILE_KEYS = {
+  favorites: LS_KEYS.FAVORITES, last: LS_KEYS.LAST, theme: LS_KEYS.THEME, playerPrefs: LS_KEYS.PLAYER_PREFS,
+  channelEdits: LS_KEYS.CHANNEL_EDITS, reminders: LS_KEYS.REMINDERS, history: LS_KEYS.HISTORY,
+};
+const readStored = (key) => { try { const v = localStorage.getItem(key); return v ? JSON.parse(v) : undefined; } catch { return undefined; } };
+const writeStored = (key, value) => (value === undefined ? localStorage.removeItem(key) : localStorage.setItem(key, JSON.stringify(value)));
+const unionBy = (current = [], incoming = [], keyOf) => {
+  const seen = new Set(current.map(keyOf));
+  return [...current, ...incoming.filter((x) => !seen.has(keyOf(x)))];
+};
+const sourceIdentity = (s) => `${s.kind}|${s.type}|${s.url}|${s.username || ""}`;
+// Sammanslagning: det som redan finns i appen vinner, listor och nycklade inställningar fylls på från filen
+const BACKUP_MERGE = {
+  profiles: (cur, inc) => ({ ...inc, ...cur, profiles: unionBy(cur.profiles, inc.profiles, (p) => p.id), pinHash: cur.pinHash || inc.pinHash || "" }),
+  sources: (cur, inc) => unionBy(cur, inc, sourceIdentity),
+  epgOverrides: (cur, inc) => ({ ...inc, ...cur }),
+  favorites: (cur, inc) => unionBy(cur, inc, (f) => f.url),
+  history: (cur, inc) => unionBy(cur, inc, (e) => e.id).sort((a, b) => b.at - a.at).slice(0, HISTORY_LIMIT),
+  reminders: (cur, inc) => ({ ...inc, ...cur, items: unionBy(cur.items, inc.items, (r) => r.id), rules: unionBy(cur.rules, inc.rules, (r) => r.id) }),
+  channelEdits: (cur, inc) => {
+    const c = { ...EMPTY_CHANNEL_EDITS, ...cur }, i = { ...EMPTY_CHANNEL_EDITS, ...inc };
+    return {
+      ...c, groupOrder: unionBy(c.groupOrder, i.groupOrder, (k) => k), customGroups: unionBy(c.customGroups, i.customGroups, (k) => k),
+      groups: { ...i.groups, ...c.groups }, channels: { ...i.channels, ...c.channels }, channelOrder: { ...i.channelOrder, ...c.channelOrder },
+    };
+  },
+};
+const mergeStored = (name, cur, inc) => (inc === undefined ? cur : cur === undefined ? inc : BACKUP_MERGE[name] ? BACKUP_MERGE[name](cur, inc) : cur);
+
+function buildBackup() {
+  const store = readStored(LS_KEYS.PROFILES) || DEFAULT_PROFILES;
+  const global = Object.fromEntries(Object.entries(BACKUP_GLOBAL_KEYS).map(([name, key]) => [name, readStored(key)]));
+  if (global.sources) global.sources = global.sources.filter((s) => s.type !== "file");
+  const profiles = Object.fromEntries(store.profiles.map((p) => [p.id, Object.fromEntries(Object.entries(BACKUP_PROFILE_KEYS).map(([name, key]) => [name, readStored(profileKey(key, p.id))]))]));
+  return { format: BACKUP_FORMAT, version: BACKUP_VERSION, exportedAt: new Date().toISOString(), global, profiles };
 }
-function buildNameIndex(channelIdToName) {
-  const byName = new Map();
-  for (const [id, name] of channelIdToName.entries()) {
-    const key = normalizeName(name);
-    if (!byName.has(key)) byName.set(key, []);
-    byName.get(key).push(id);
-  }
-  return byName;
+function parseBackup(text) {
+  let data;
+  try { data = JSON.parse(text); } catch { throw new Error("Filen är inte giltig JSON"); }
+  if (data?.format !== BACKUP_FORMAT || typeof data.version !== "number") throw new Error("Filen är ingen säkerhetskopia från NetIPTV");
+  if (data.version > BACKUP_VERSION) throw new Error("Säkerhetskopian kommer från en nyare version av appen");
+  return data;
 }
-function getEpgForChannel(ch, epg) {
-  if (!epg) return null;
-  const { channelIdToName, progs } = epg;
-  if (ch.tvgId && progs.has(ch.tvgId)) return { id: ch.tvgId, progs: progs.get(ch.tvgId) };
-  const nameIndex = buildNameIndex(channelIdToName);
-  const key = normalizeName(ch.title || ch.rawAttrs?.["tvg-name"]);
-  const ids = nameIndex.get(key);
-  if (ids) {
-    for (const id of ids) if (progs.has(id)) return { id, progs: progs.get(id) };
+// Tar bort importerade filer och EPG-cache för källor som inte längre finns
+async function pruneSourceCache(sources) {
+  const keep = new Set((sources || []).map((s) => s.id));
+  for (const store of Object.values(IDB_STORES)) {
+    for (const key of await idbKeys(store)) if (!keep.has(key)) await idbDel(store, key);
   }
-  return null;
 }
-function nowNextForChannel(ch, epg, now = new Date()) {
-  const hit = getEpgForChannel(ch, epg);
-  if (!hit) return { now: null, next: null };
-  const arr = hit.progs;
-  let current = null, next = null;
-  for (let i = 0; i < arr.length; i++) {
-    const p = arr[i];
-    if (p.start <= now && now < p.stop) { current = p; next = arr[i + 1] || null; break; }
-    if (p.start > now) { next = p; break; }
+// mode: "merge" | "replace". Appen laddas om efteråt eftersom useLocalStorage bara läser vid start.
+async function applyBackup(backup, mode) {
+  if (mode === "replace") {
+    const store = readStored(LS_KEYS.PROFILES) || DEFAULT_PROFILES;
+    for (const p of store.profiles) for (const key of PROFILE_KEYS) localStorage.removeItem(profileKey(key, p.id));
+    for (const key of Object.values(BACKUP_GLOBAL_KEYS)) localStorage.removeItem(key);
   }
-  return { now: current, next };
-}
-
-// ------------------------ Storage helpers ------------------------
-const LS_KEYS = {
-  FAVORITES: "iptv.favorites",
-  LAST: "iptv.last",
-  PLAYLIST_META: "iptv.playlist.meta",
-  EPG_META: "iptv.epg.meta",
-  THEME: "iptv.theme",
-};
-function useLocalStorage(key, initialValue) {
-  const [value, setValue] = useState(() => {
-    try { const v = localStorage.getItem(key); return v ? JSON.parse(v) : initialValue; } catch { return initialValue; }
-  });
-  useEffect(() => { try { localStorage.setItem(key, JSON.stringify(value)); } catch {} }, [key, value]);
-  return [value, setValue];
+  for (const [name, key] of Object.entries(BACKUP_GLOBAL_KEYS)) writeStored(key, mergeStored(name, readStored(key), backup.global?.[name]));
+  for (const [id, data] of Object.entries(backup.profiles || {})) {
+    for (const [name, key] of Object.entries(BACKUP_PROFILE_KEYS)) writeStored(profileKey(key, id), mergeStored(name, readStored(profileKey(key, id)), data?.[name]));
+  }
+  if (mode === "replace") await pruneSourceCache(readStored(LS_KEYS.SOURCES)).catch(() => {});
 }
 
-// ------------------------ Player ------------------------
-function HlsPlayer({ src, onClose, title, logo }) {
-  const videoRef = useRef(null);
-  const hlsRef = useRef(null);
-  useEffect(() => {
-    const video = videoRef.current; if (!video) return;
-    if (Hls.isSupported()) {
-      const hls = new Hls({ maxBufferLength: 30, backBufferLength: 30 });
-      hlsRef.current = hls; hls.loadSource(src); hls.attachMedia(video);
-    } else if (video.canPlayType("application/vnd.apple.mpegurl")) {
-      video.src = src; // Safari
-    }
-    const onKey = (e) => {
-      if (e.key === "Escape") onClose?.();
-      if (e.key.toLowerCase() === "f") video.requestFullscreen?.();
-      if (e.key === " ") { e.preventDefault(); video.paused ? video.play() : video.pause(); }
-      if (e.key === "ArrowRight") video.currentTime += 10;
-      if (e.key === "ArrowLeft") video.currentTime -= 10;
-    };
-    window.addEventListener("keydown", onKey);
-    return () => { window.removeEventListener("keydown", onKey); if (hlsRef.current) { hlsRef.current.destroy(); hlsRef.current = null; } };
-  }, [src, onClose]);
+// channels = kanallistan som den visas (filtrerad och ordnad), epgUrls hamnar som url-tvg i M3U:n
+function BackupModal({ channels, epgUrls, onClose }) {
+  const [pending, setPending] = useState(null); // { backup, fileName }
+  const [mode, setMode] = useState("merge");
+  const [error, setError] = useState("");
+  const fileRef = useRef(null);
+  const day = new Date().toISOString().slice(0, 10);
+  const exportBackup = () => downloadFile(`netiptv-backup-${day}.json`, JSON.stringify(buildBackup(), null, 2), "application/json");
+  const exportM3U = () => downloadFile(`netiptv-${day}.m3u`, buildM3U(channels, epgUrls.length ? { "url-tvg": epgUrls.join(",") } : {}), "audio/x-mpegurl");
+  const pickFile = async (file) => {
+    setError(""); setPending(null);
+    try { setPending({ backup: parseBackup(await file.text()), fileName: file.name }); } catch (e) { setError(e.message); }
+  };
+  const runImport = async () => {
+    if (mode === "replace" && !window.confirm("Ersätta alla profiler, källor och inställningar med säkerhetskopian?")) return;
+    try { await applyBackup(pending.backup, mode); } catch (e) { setError("Kunde inte spara: " + e.message); return; }
+    window.location.reload();
+  };
+  const summary = pending && [
+    `Exporterad ${new Date(pending.backup.exportedAt).toLocaleString()}`,
+    `${Object.keys(pending.backup.profiles || {}).length} profiler`,
+    `${pending.backup.global?.sources?.length || 0} källor`,
+  ].join(" · ");
   return (
-    <div className="fixed inset-0 z-50 bg-black/90 backdrop-blur">
-      <div className="absolute top-4 left-4 flex items-center gap-3 text-white opacity-90">
-        {logo ? <img src={logo} alt="logo" className="h-8 w-8 rounded"/> : <Tv2 className="h-8 w-8"/>}
-        <div className="text-xl font-semibold">{title}</div>
-      </div>
-      <UIButton onClick={onClose} className="absolute top-3 right-3 text-white border-transparent hover:border-white/20 bg-white/10"><X className="h-5 w-5"/></UIButton>
-      <div className="h-full w-full flex items-center justify-center p-4">
-        <video ref={videoRef} controls autoPlay className="w-full h-full max-w-[1200px] max-h-[70vh] rounded-2xl shadow-2xl bg-black" />
+    <div className="fixed inset-0 z-50 bg-black/80 backdrop-blur" data-nav-scope>
+      <div className="max-w-2xl mx-auto mt-10 rounded-2xl border shadow-2xl" style={{ color: 'var(--fg)', backgroundColor: 'var(--card-bg)', borderColor: 'var(--card-border)' }}>
+        <div className="flex items-center justify-between gap-3 p-4 border-b" style={{ borderColor: 'var(--card-border)' }}>
+          <div className="text-lg font-semibold">Säkerhetskopiering och export</div>
+          <UIButton onClick={onClose} data-nav-close><X className="h-4 w-4"/></UIButton>
+        </div>
+        <div className="p-4 space-y-5 text-sm">
+          <div className="space-y-2">
+            <div className="font-semibold">Säkerhetskopia</div>
+            <div className="text-xs" style={{ color: 'var(--muted)' }}>Profiler, favoriter, källor, kanalhanterarens ändringar, EPG-kopplingar, påminnelser, historik och knappmappning. Filen innehåller Xtream-lösenord. Importerade filer följer inte med – bara källor med URL.</div>
+            <UIButton onClick={exportBackup}><DatabaseBackup className="h-4 w-4 mr-1"/> Exportera säkerhetskopia</UIButton>
+          </div>
+          <div className="space-y-2">
+            <div className="font-semibold">Återställ</div>
+            <input ref={fileRef} type="file" accept=".json,application/json" className="hidden" onChange={(e) => { const f = e.target.files?.[0]; e.target.value = ""; if (f) pickFile(f); }} />
+            <UIButton onClick={() => fileRef.current?.click()}><Upload className="h-4 w-4 mr-1"/> Välj fil…</UIButton>
+            {error && <div className="text-red-400 text-xs">{error}</div>}
+            {pending && (
+              <div className="space-y-2 rounded-xl border p-3" style={{ borderColor: 'var(--card-border)' }}>
+                <div className="text-xs" style={{ color: 'var(--muted)' }}>{pending.fileName} · {summary}</div>
+                <label className="flex items-center gap-2"><input type="radio" checked={mode === "merge"} onChange={() => setMode("merge")} /> Slå ihop – behåll det som finns och lägg till det som saknas</label>
+                <label className="flex items-center gap-2"><input type="radio" checked={mode === "replace"} onChange={() => setMode("replace")} /> Ersätt allt med säkerhetskopian</label>
+                <UIButton onClick={runImport} className="bg-red-600 text-white border-transparent">Importera och starta om</UIButton>
+              </div>
+            )}
+          </div>
+          <div className="space-y-2">
+            <div className="font-semibold">Kanallista som M3U</div>
+            <div className="text-xs" style={{ color: 'var(--muted)' }}>De kanaler som visas just nu, i din ordning och med dina namn och grupper. Övriga #EXTINF-attribut, headers och catch-up följer med.</div>
+            <UIButton onClick={exportM3U} disabled={!channels.length}><Download className="h-4 w-4 mr-1"/> Exportera som M3U ({channels.length})</UIButton>
+          </div>
+        </div>
       </div>
     </div>
   );
 }
 
-// ------------------------ EPG Modal ------------------------
-function EpgModal({ channel, epg, onClose }) {
-  const [dayOffset, setDayOffset] = useState(0);
-  const baseDate = new Date(); baseDate.setHours(0,0,0,0);
-  const dayStart = new Date(baseDate.getTime() + dayOffset * 86400000);
-  const dayEnd = new Date(dayStart.getTime() + 86400000);
-  const hit = getEpgForChannel(channel, epg);
-  const items = useMemo(() => hit ? hit.progs.filter(p => p.stop > dayStart && p.start < dayEnd) : [], [hit, dayStart, dayEnd]);
+// ------------------------ Fjärrstyrning ------------------------
+// HTTP/WebSocket-servern finns i Electron main (electron/remote.js); här besvaras kommandona mot huvudfönstrets
+// kanallista och spelare. Kanaler anges med ett kort id från URL:en eller med nummer (tvg-chno, annars plats i listan).
+const REMOTE_STATE_DEBOUNCE_MS = 150;
+const REMOTE_MEDIA_EVENTS = ["play", "pause", "volumechange", "emptied"];
+const remoteError = (status, message) => Object.assign(new Error(message), { status });
+function remoteChannelId(url) {
+  let h = 0x811c9dc5; // FNV-1a
+  for (let i = 0; i < url.length; i++) h = Math.imul(h ^ url.charCodeAt(i), 0x01000193);
+  return (h >>> 0).toString(36);
+}
+const remoteProg = (p) => (p ? { title: p.title, start: p.start.getTime(), stop: p.stop.getTime() } : null);
+const publicRemoteChannel = ({ channel, ...c }) => c;
+const mainPlayerVideo = () => document.querySelector("[data-main-player] video");
+function remoteNumber(v) {
+  const n = Number(v);
+  if (v === "" || !Number.isFinite(n)) throw remoteError(400, `Ogiltigt värde: ${v}`);
+  return n;
+}
+function findRemoteChannel(list, { id, number }) {
+  if (id == null && number == null) throw remoteError(400, "Ange id eller number");
+  const entry = id != null ? list.find((c) => c.id === String(id)) : list.find((c) => c.number === remoteNumber(number));
+  if (!entry) throw remoteError(404, "Kanalen finns inte");
+  return entry;
+}
+function remoteState({ list, nowNext, playing }) {
+  const video = mainPlayerVideo();
+  const entry = playing && list.find((c) => c.channel.url === playing.url);
+  return {
+    playing: playing ? {
+      id: entry?.id || remoteChannelId(playing.url), number: entry?.number ?? null, title: playing.title, group: playing.group || "", logo: playing.logo || "",
+      kind: playing.kind || (playing.catchupProg ? "catchup" : "live"),
+      now: entry && !playing.catchupProg ? remoteProg(nowNext?.get(entry.channel).now) : null,
+    } : null,
+    volume: video ? Math.round(video.volume * 100) : null, muted: !!video?.muted, paused: video ? video.paused : true,
+  };
+}
+async function runRemoteCommand(ctx, method, params) {
+  const { list, nowNext } = ctx;
+  const inGroup = (c) => !params.group || c.group === params.group;
+  const withNowNext = (c) => { const e = nowNext?.get(c.channel); return { id: c.id, number: c.number, now: remoteProg(e?.now), next: remoteProg(e?.next) }; };
+  switch (method) {
+    case "channels": return list.filter(inGroup).map(publicRemoteChannel);
+    case "groups": {
+      const counts = new Map();
+      for (const c of list) counts.set(c.group, (counts.get(c.group) || 0) + 1);
+      return [...counts].map(([name, count]) => ({ name, count }));
+    }
+    case "nownext": return params.id != null || params.number != null ? withNowNext(findRemoteChannel(list, params)) : list.filter(inGroup).map(withNowNext);
+    // Väntar inte på onPlay – en PIN-fråga på skärmen skulle annars ge tidsgräns i anropet
+    case "play": { const entry = findRemoteChannel(list, params); ctx.onPlay(entry.channel); return publicRemoteChannel(entry); }
+    case "stop": ctx.onStop(); return null;
+    case "volume": {
+      const video = mainPlayerVideo();
+      if (!video) throw remoteError(409, "Inget spelas");
+      if (params.level != null) video.volume = Math.min(100, Math.max(0, remoteNumber(params.level))) / 100;
+      if (params.delta != null) video.volume = Math.min(1, Math.max(0, video.volume + remoteNumber(params.delta) / 100));
+      if (params.muted != null) video.muted = params.muted === true || params.muted === "true" || params.muted === "1";
+      else if (params.level != null || params.delta != null) video.muted = false;
+      return { volume: Math.round(video.volume * 100), muted: video.muted };
+    }
+    default: throw remoteError(404, `Okänt kommando: ${method}`);
+  }
+}
+// Besvarar kommandon och skickar spelarens tillstånd till main, som sprider det till anslutna WebSocket-klienter
+function useRemoteControl({ channels, nowNext, playing, onPlay, onStop }) {
+  const api = typeof window !== "undefined" ? window.netiptv?.remote : null;
+  const list = useMemo(() => channels.map((ch, i) => ({ id: remoteChannelId(ch.url), number: Number(ch.chno) || i + 1, title: ch.title, group: ch.group || "", logo: ch.logo || "", channel: ch })), [channels]);
+  const ctxRef = useRef(null);
+  ctxRef.current = { list, nowNext, playing, onPlay, onStop };
+  useEffect(() => api?.onCommand(async (method, params) => {
+    try { return { result: await runRemoteCommand(ctxRef.current, method, params || {}) }; }
+    catch (e) { return { error: e.message, status: e.status || 500 }; }
+  }), [api]);
+  useEffect(() => {
+    if (!api) return;
+    let t = 0;
+    const publish = () => { clearTimeout(t); t = setTimeout(() => api.publishState(remoteState(ctxRef.current)).catch(() => {}), REMOTE_STATE_DEBOUNCE_MS); };
+    publish();
+    // Mediehändelser bubblar inte men syns i capture-fasen
+    for (const ev of REMOTE_MEDIA_EVENTS) document.addEventListener(ev, publish, true);
+    return () => { clearTimeout(t); for (const ev of REMOTE_MEDIA_EVENTS) document.removeEventListener(ev, publish, true); };
+  }, [api, playing, nowNext]);
+}
+
+function RemoteSettings({ onClose }) {
+  const api = window.netiptv.remote;
+  const [config, setConfig] = useState(null);
+  const [port, setPort] = useState("");
+  const [error, setError] = useState("");
+  const apply = (promise) => promise.then((c) => { setConfig(c); setPort(String(c.port)); setError(c.error || ""); }).catch((e) => setError(ipcErrorMessage(e)));
+  useEffect(() => { apply(api.config()); }, [api]);
+  const save = (enabled) => apply(api.configure({ enabled, port: Number(port) }));
+  const renewToken = () => { if (window.confirm("Skapa ny token? Fjärrkontroller som redan är anslutna måste öppna den nya adressen.")) apply(api.newToken()); };
   return (
-    <div className="fixed inset-0 z-50 bg-black/80 backdrop-blur">
-      <div className="absolute top-4 left-4 right-4 mx-auto max-w-3xl" style={{ color: 'var(--fg)' }}>
-        <div className="rounded-2xl border shadow-2xl" style={{ backgroundColor: 'var(--card-bg)', borderColor: 'var(--card-border)' }}>
-          <div className="flex items-center justify-between p-4 border-b" style={{ borderColor: 'var(--card-border)' }}>
-            <div className="flex items-center gap-3">
-              {channel.logo ? <img src={channel.logo} className="h-8 w-8 rounded"/> : <Tv2 className="h-6 w-6"/>}
-              <div className="text-lg font-semibold">Programguide · {channel.title}</div>
+    <div className="fixed inset-0 z-50 bg-black/80 backdrop-blur" data-nav-scope>
+      <div className="max-w-2xl mx-auto mt-10 rounded-2xl border shadow-2xl" style={{ color: 'var(--fg)', backgroundColor: 'var(--card-bg)', borderColor: 'var(--card-border)' }}>
+        <div className="flex items-center justify-between gap-3 p-4 border-b" style={{ borderColor: 'var(--card-border)' }}>
+          <div className="text-lg font-semibold">Fjärrstyrning</div>
+          <UIButton onClick={onClose} data-nav-close><X className="h-4 w-4"/></UIButton>
+        </div>
+        {config && (
+          <div className="p-4 space-y-5 text-sm">
+            <div className="text-xs" style={{ color: 'var(--muted)' }}>Styr appen från mobilen eller hemautomation i det lokala nätverket. Alla som har adressen med token kan byta kanal, så dela den bara med enheter du litar på.</div>
+            <div className="flex flex-wrap items-center gap-2">
+              <label className="flex items-center gap-2"><input type="checkbox" checked={config.enabled} onChange={(e) => save(e.target.checked)} /> Aktivera fjärrstyrning</label>
+              <span className="ml-auto flex items-center gap-2">Port
+                <input value={port} onChange={(e) => setPort(e.target.value.replace(/\D/g, ""))} className="w-20 rounded-xl px-2 py-1 outline-none" style={{ backgroundColor: 'var(--card-bg)', border: `1px solid var(--card-border)`, color: 'var(--fg)' }} />
+                <UIButton onClick={() => save(config.enabled)} disabled={String(config.port) === port}>Spara</UIButton>
+              </span>
             </div>
-            <div className="flex items-center gap-2">
-              <UIButton onClick={() => setDayOffset(o => o - 1)}><ChevronLeft className="h-4 w-4"/></UIButton>
-              <div className="text-sm opacity-80 w-40 text-center">
-                {dayStart.toLocaleDateString()} – {new Intl.DateTimeFormat(undefined, { weekday: 'short' }).format(dayStart)}
+            {error && <div className="text-red-400 text-xs">{error}</div>}
+            {config.enabled && config.running && (
+              <div className="space-y-2">
+                <div className="font-semibold">Öppna på mobilen</div>
+                {config.urls.map((u) => <div key={u} className="font-mono text-xs break-all select-all rounded-xl border p-2" style={{ borderColor: 'var(--card-border)' }}>{u}</div>)}
+                <UIButton onClick={renewToken}><RefreshCw className="h-4 w-4 mr-1"/> Ny token</UIButton>
               </div>
-              <UIButton onClick={() => setDayOffset(o => o + 1)}><ChevronRight className="h-4 w-4"/></UIButton>
-              <UIButton onClick={onClose}><X className="h-4 w-4"/></UIButton>
+            )}
+            <div className="space-y-1">
+              <div className="font-semibold">API</div>
+              <div className="text-xs" style={{ color: 'var(--muted)' }}>Skicka token som <code>Authorization: Bearer …</code> eller <code>?token=</code>. Parametrar går som query eller JSON-kropp (POST).</div>
+              <pre className="text-xs rounded-xl border p-2 overflow-auto" style={{ borderColor: 'var(--card-border)' }}>{[
+                "GET  /api/status                 spelar, volym, paus",
+                "GET  /api/channels?group=        kanaler (id, number, title, group, logo)",
+                "GET  /api/groups                 grupper med antal kanaler",
+                "GET  /api/nownext?id=|number=    nu/nästa för en eller alla kanaler",
+                "POST /api/play    {id}|{number}  spela kanal",
+                "POST /api/stop                   stoppa",
+                "POST /api/volume  {level|delta|muted}",
+                "WS   /api/events                 tillståndshändelser { type: \"state\", state }",
+              ].join("\n")}</pre>
             </div>
           </div>
-          <div className="max-h-[60vh] overflow-y-auto divide-y" style={{ borderColor: 'var(--card-border)' }}>
-            {items.length === 0 && <div className="p-6 text-sm opacity-80">Ingen EPG-data för vald dag.</div>}
-            {items.map((p, i) => (
-              <div key={i} className="p-4 hover:bg-black/20">
-                <div className="text-sm opacity-80">
-                  {p.start.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })} – {p.stop.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
-                </div>
-                <div className="font-medium">{p.title}</div>
-                {p.desc && <div className="text-sm opacity-80 mt-1 line-clamp-2">{p.desc}</div>}
-                {p.category && <div className="text-xs opacity-60 mt-1">{p.category}</div>}
-              </div>
-            ))}
+        )}
+      </div>
+    </div>
+  );
+}
+
+// ------------------------ Historik-vy ------------------------
+function HistoryModal({ entries, onPlay, onRemove, onClear, onClose }) {
+  const days = useMemo(() => {
+    const byDay = new Map();
+    for (const e of entries) {
+      const label = new Date(e.at).toLocaleDateString([], { weekday: 'long', day: 'numeric', month: 'long' });
+      if (!byDay.has(label)) byDay.set(label, []);
+      byDay.get(label).push(e);
+    }
+    return [...byDay];
+  }, [entries]);
+  const clear = () => { if (window.confirm("Rensa hela historiken för profilen?")) onClear(); };
+  return (
+    <div className="fixed inset-0 z-50 bg-black/80 backdrop-blur" data-nav-scope onClick={onClose}>
+      <div className="absolute top-4 left-4 right-4 bottom-4 mx-auto max-w-3xl flex flex-col rounded-2xl border shadow-2xl" style={{ color: 'var(--fg)', backgroundColor: 'var(--card-bg)', borderColor: 'var(--card-border)' }} onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-center justify-between gap-3 p-4 border-b" style={{ borderColor: 'var(--card-border)' }}>
+          <div>
+            <div className="text-lg font-semibold">Historik</div>
+            <div className="text-xs" style={{ color: 'var(--muted)' }}>{entries.length} visningar. Tryck L för att hoppa till senaste kanalen.</div>
+          </div>
+          <div className="flex items-center gap-2">
+            <UIButton onClick={clear} disabled={!entries.length}>Rensa historik</UIButton>
+            <UIButton onClick={onClose} data-nav-close><X className="h-4 w-4"/></UIButton>
           </div>
         </div>
+        <div className="flex-1 overflow-y-auto">
+          {!entries.length && <div className="p-6 text-sm opacity-80">Inget tittat ännu.</div>}
+          {days.map(([label, list]) => (
+            <div key={label}>
+              <div className="sticky top-0 px-4 py-2 text-xs font-semibold uppercase tracking-wide" style={{ backgroundColor: 'var(--card-bg)', color: 'var(--muted)' }}>{label}</div>
+              {list.map((e) => (
+                <div key={e.id} className="flex items-center gap-3 px-4 py-2 border-b" style={{ borderColor: 'var(--card-border)' }}>
+                  <span className="text-xs tabular-nums w-12" style={{ color: 'var(--muted)' }}>{fmtTime(new Date(e.at))}</span>
+                  {e.logo ? <img src={e.logo} alt="" className="h-8 w-8 rounded object-contain bg-black shrink-0" loading="lazy"/> : <Tv2 className="h-6 w-6 opacity-60 shrink-0"/>}
+                  <div className="flex-1 min-w-0">
+                    <div className="truncate text-sm font-medium" title={e.title}>{e.title}</div>
+                    <div className="text-xs truncate" style={{ color: 'var(--muted)' }}>
+                      Tittade {fmtWatched(e.watchedMs)}
+                      {e.duration ? ` · ${historyDone(e) ? "klar" : `${fmtClock(e.position)} av ${fmtClock(e.duration)}`}` : ""}
+                      {e.catchup ? ` · Arkiv ${new Date(e.catchup.start).toLocaleDateString()} ${fmtTime(new Date(e.catchup.start))}` : ""}
+                    </div>
+                    {e.duration > 0 && <div className="mt-1 h-1 rounded-full bg-black/30"><div className="h-1 rounded-full bg-red-600" style={{ width: `${Math.min(100, (e.position / e.duration) * 100)}%` }}/></div>}
+                  </div>
+                  <UIButton onClick={() => onPlay(e)} title={e.duration && !historyDone(e) ? "Fortsätt" : "Spela"}><Play className="h-4 w-4"/></UIButton>
+                  <UIButton onClick={() => onRemove(e.id)} title="Ta bort ur historiken"><Trash2 className="h-4 w-4"/></UIButton>
+                </div>
+              ))}
+            </div>
+          ))}
+        </div>
       </div>
     </div>
   );
 }
 
 // ------------------------ Row ------------------------
-function Row({ title, items, rowIndex, selected, onSelect, onPlay, favorites, toggleFavorite, epg }) {
+// Raderna renderas bara nära skärmen (LazyRow) och varje rad bara korten inom synligt område plus CARD_OVERSCAN,
+// så att spellistor med tiotusentals kanaler går att scrolla. Korten har fast bredd (w-48 + gap-3).
+const CARD_STRIDE = 204;
+const CARD_GAP = 12;
+const CARD_OVERSCAN = 4;
+const ROW_PLACEHOLDER_H = 290;
+const ROW_ROOT_MARGIN = "800px 0px";
+const NO_NOW_NEXT = { now: null, next: null };
+
+// Loggor laddas lat med platshållare; trasiga adresser hämtas inte igen under sessionen
+const logoFailed = new Set();
+const logoLoaded = new Set();
+const logoState = (src) => (!src || logoFailed.has(src) ? "error" : logoLoaded.has(src) ? "ok" : "loading");
+function ChannelLogo({ src, alt, className }) {
+  const [state, setState] = useState(() => logoState(src));
+  useEffect(() => setState(logoState(src)), [src]);
+  const placeholder = (
+    <div className={className + " absolute inset-0 bg-gradient-to-br from-neutral-800 to-neutral-900 flex items-center justify-center"}>
+      <Tv2 className="h-10 w-10 opacity-60" />
+    </div>
+  );
+  return (
+    <div className={className + " relative"}>
+      {state !== "ok" && placeholder}
+      {state !== "error" && (
+        <img src={src} alt={alt} loading="lazy" decoding="async" className={className + " object-cover bg-black" + (state === "ok" ? "" : " opacity-0")}
+          onLoad={() => { logoLoaded.add(src); setState("ok"); }} onError={() => { logoFailed.add(src); setState("error"); }} />
+      )}
+    </div>
+  );
+}
+
+// Platshållare med senast uppmätta höjd när raden är långt från skärmen
+function LazyRow({ eager, children }) {
+  const ref = useRef(null);
+  const heightRef = useRef(ROW_PLACEHOLDER_H);
+  const [near, setNear] = useState(!!eager);
+  useEffect(() => {
+    const el = ref.current; if (!el) return;
+    const io = new IntersectionObserver(([entry]) => {
+      if (!entry.isIntersecting && el.offsetHeight) heightRef.current = el.offsetHeight;
+      setNear(entry.isIntersecting);
+    }, { rootMargin: ROW_ROOT_MARGIN });
+    io.observe(el);
+    return () => io.disconnect();
+  }, []);
+  return <div ref={ref} style={near ? undefined : { height: heightRef.current }}>{near ? children : null}</div>;
+}
+
+// nowNext = useNowNextIndex(); ersätter uppslag i EPG:n per kort och render
+function Row({ title, items, rowIndex, selected, onSelect, onPlay, favorites, toggleFavorite, nowNext, onRemoveRecording, onRemoveHistory, onMultiview, multiviewTiles, actions, reminders, health }) {
   const scrollerRef = useRef(null);
+  const [range, setRange] = useState({ start: 0, end: 12 });
+  const updateRange = useCallback(() => {
+    const el = scrollerRef.current; if (!el) return;
+    const start = Math.max(0, Math.floor(el.scrollLeft / CARD_STRIDE) - CARD_OVERSCAN);
+    const end = Math.min(items.length, Math.ceil((el.scrollLeft + el.clientWidth) / CARD_STRIDE) + CARD_OVERSCAN);
+    setRange((r) => (r.start === start && r.end === end ? r : { start, end }));
+  }, [items.length]);
+  useEffect(() => {
+    updateRange();
+    window.addEventListener("resize", updateRange);
+    return () => window.removeEventListener("resize", updateRange);
+  }, [updateRange]);
   const scrollBy = (delta) => { const el = scrollerRef.current; if (el) el.scrollBy({ left: delta, behavior: "smooth" }); };
   useEffect(() => {
     if (!selected || selected.row !== rowIndex) return;
-    const el = scrollerRef.current; const child = el?.children[selected.col];
-    if (child && el) {
-      const childRect = child.getBoundingClientRect(); const elRect = el.getBoundingClientRect();
-      if (childRect.left < elRect.left) el.scrollBy({ left: childRect.left - elRect.left - 20, behavior: 'smooth' });
-      if (childRect.right > elRect.right) el.scrollBy({ left: childRect.right - elRect.right + 20, behavior: 'smooth' });
-    }
+    const el = scrollerRef.current; if (!el) return;
+    const left = selected.col * CARD_STRIDE, right = left + CARD_STRIDE - CARD_GAP;
+    if (left < el.scrollLeft) el.scrollTo({ left: left - 20, behavior: 'smooth' });
+    else if (right > el.scrollLeft + el.clientWidth) el.scrollTo({ left: right - el.clientWidth + 20, behavior: 'smooth' });
   }, [selected, rowIndex]);
   const now = new Date();
   return (
@@ -249,61 +3302,401 @@ function Row({ title, items, rowIndex, selected, onSelect, onPlay, favorites, to
       <div className="flex items-end justify-between pr-2">
         <h2 className="text-xl font-semibold">{title}</h2>
         <div className="flex gap-2">
+          {actions}
           <UIButton onClick={() => scrollBy(-600)}><ChevronLeft className="h-5 w-5"/></UIButton>
           <UIButton onClick={() => scrollBy(600)}><ChevronRight className="h-5 w-5"/></UIButton>
         </div>
       </div>
-      <div ref={scrollerRef} className="flex gap-3 overflow-x-auto no-scrollbar pb-2">
-        {items.map((ch, colIndex) => {
+      <div ref={scrollerRef} onScroll={updateRange} className="flex gap-3 overflow-x-auto no-scrollbar pb-2">
+        {range.start > 0 && <div className="shrink-0" style={{ width: range.start * CARD_STRIDE - CARD_GAP }} />}
+        {items.slice(range.start, range.end).map((ch, i) => {
+          const colIndex = range.start + i;
           const isSelected = selected && selected.row === rowIndex && selected.col === colIndex;
-          const nn = epg ? nowNextForChannel(ch, epg, now) : { now: null, next: null };
+          // Arkivprogram i "Fortsätt titta" (historikens catchup = programmet, inte kanalens catch-up-inställning)
+          const live = !ch.kind && !(ch.historyId && ch.catchup);
+          const nn = nowNext && live && !ch.searchProg ? nowNext.get(ch) : NO_NOW_NEXT;
+          const sp = ch.searchProg;
+          const remindProg = sp ? (sp.start > now ? sp : null) : nn.next;
+          const streamHealth = live ? health?.[ch.url] : null;
           return (
-            <motion.div key={ch.url + colIndex} whileHover={{ scale: 1.03 }} className="shrink-0" onMouseEnter={() => onSelect({ row: rowIndex, col: colIndex })}>
-              <UICard className={(isSelected ? 'ring-2 ring-red-500 ' : '') + 'w-48'} style={{ backgroundColor: 'var(--card-bg)', borderColor: 'var(--card-border)' }}>
+            <div key={ch.url + colIndex} className="shrink-0 rounded-2xl transition-transform duration-150 hover:scale-[1.03]" onMouseEnter={() => onSelect({ row: rowIndex, col: colIndex })}
+              tabIndex={0} data-nav-group onFocus={(e) => e.target === e.currentTarget && onSelect({ row: rowIndex, col: colIndex })} onKeyDown={(e) => { if (e.key === "Enter" && e.target === e.currentTarget) onPlay(ch); }}>
+              <UICard className={(isSelected ? 'ring-2 ring-red-500 ' : '') + (streamHealth?.status === "dead" ? 'opacity-50 ' : '') + 'w-48'} style={{ backgroundColor: 'var(--card-bg)', borderColor: 'var(--card-border)' }}>
                 <UICardContent>
                   <div className="relative">
-                    {ch.logo ? (
-                      <img src={ch.logo} alt={ch.title} className="h-28 w-48 object-cover rounded-t-2xl bg-black" />
+                    <ChannelLogo src={ch.logo} alt={ch.title} className="h-28 w-48 rounded-t-2xl" />
+                    <button className="absolute bottom-2 left-2 bg-white/90 hover:bg-white text-black rounded-full p-2 shadow" onClick={() => onPlay(ch)} title="Spela"><Play className="h-4 w-4" /></button>
+                    {onMultiview && live && (
+                      <button className={`absolute bottom-2 left-12 rounded-full p-2 shadow ${multiviewTiles?.some((c) => c.url === ch.url) ? "bg-red-600 text-white" : "bg-black/60 text-white hover:bg-black/80"}`} onClick={() => onMultiview(ch)} title="Lägg till i multiview (max fyra)"><LayoutGrid className="h-4 w-4" /></button>
+                    )}
+                    {ch.historyId ? (
+                      <button className="absolute bottom-2 right-2 rounded-full p-2 shadow bg-black/60 text-white hover:bg-black/80" onClick={() => onRemoveHistory?.(ch)} title="Ta bort från Fortsätt titta"><X className="h-4 w-4" /></button>
+                    ) : ch.kind === "recording" ? (
+                      <button className="absolute bottom-2 right-2 rounded-full p-2 shadow bg-black/60 text-white hover:bg-black/80" onClick={() => onRemoveRecording?.(ch)} title="Ta bort inspelningen"><Trash2 className="h-4 w-4" /></button>
                     ) : (
-                      <div className="h-28 w-48 rounded-t-2xl bg-gradient-to-br from-neutral-800 to-neutral-900 flex items-center justify-center">
-                        <Tv2 className="h-10 w-10 opacity-60" />
-                      </div>
+                      <button className={`absolute bottom-2 right-2 rounded-full p-2 shadow ${favorites.has(ch.url) ? "bg-yellow-400 text-black" : "bg-black/60 text-white hover:bg-black/80"}`} onClick={() => toggleFavorite(ch)} title="Favorit"><Star className="h-4 w-4" /></button>
                     )}
-                    <button className="absolute bottom-2 left-2 bg-white/90 hover:bg-white text-black rounded-full p-2 shadow" onClick={() => onPlay(ch)} title="Spela"><Play className="h-4 w-4" /></button>
-                    <button className={`absolute bottom-2 right-2 rounded-full p-2 shadow ${favorites.has(ch.url) ? "bg-yellow-400 text-black" : "bg-black/60 text-white hover:bg-black/80"}`} onClick={() => toggleFavorite(ch)} title="Favorit"><Star className="h-4 w-4" /></button>
                     {nn.now && (<div className="absolute top-2 left-2 text-[10px] px-2 py-1 rounded-full bg-black/70 text-white">Nu: {nn.now.title}</div>)}
                     {!nn.now && nn.next && (<div className="absolute top-2 left-2 text-[10px] px-2 py-1 rounded-full bg-black/60 text-white">Nästa: {nn.next.title}</div>)}
+                    {ch.progress > 0 && (<div className="absolute bottom-0 left-0 right-0 h-1 bg-black/50"><div className="h-1 bg-red-600" style={{ width: `${Math.min(100, ch.progress * 100)}%` }}/></div>)}
+                    {sp && (<div className={`absolute top-2 left-2 right-9 text-[10px] px-2 py-1 rounded-xl text-white line-clamp-2 ${sp.start <= now && now < sp.stop ? "bg-red-600/90" : "bg-black/70"}`} title={sp.desc || sp.title}>{sp.start.toDateString() === now.toDateString() ? "" : sp.start.toLocaleDateString([], { weekday: 'short', day: 'numeric' }) + " "}{fmtTime(sp.start)}: {sp.title}</div>)}
+                    {reminders && remindProg && (
+                      <button className={`absolute top-2 right-2 rounded-full p-1.5 shadow ${reminders.has(ch, remindProg) ? "bg-yellow-400 text-black" : "bg-black/60 text-white hover:bg-black/80"}`} onClick={() => reminders.toggle(ch, remindProg)} title={`Påminn om ${sp ? "" : "Nästa: "}${remindProg.title} (${fmtTime(remindProg.start)})`}><Bell className="h-3 w-3" /></button>
+                    )}
                   </div>
                   <div className="p-3 space-y-1">
                     <div className="font-medium leading-tight truncate" title={ch.title}>{ch.title}</div>
                     <div className="text-xs opacity-70 truncate" title={ch.group}>{ch.group}</div>
-                    <button className="mt-1 text-xs inline-flex items-center gap-1 opacity-80 hover:opacity-100" onClick={() => onSelect({ row: rowIndex, col: colIndex, openEpgFor: ch })}>
-                      <CalendarClock className="h-3 w-3"/> Guide
-                    </button>
+                    <HealthBadge result={streamHealth} />
+                    {live && (
+                      <button className="mt-1 text-xs inline-flex items-center gap-1 opacity-80 hover:opacity-100" onClick={() => onSelect({ row: rowIndex, col: colIndex, openEpgFor: ch })}>
+                        <CalendarClock className="h-3 w-3"/> Guide
+                      </button>
+                    )}
                   </div>
                 </UICardContent>
               </UICard>
-            </motion.div>
+            </div>
           );
         })}
+        {range.end < items.length && <div className="shrink-0" style={{ width: (items.length - range.end) * CARD_STRIDE - CARD_GAP }} />}
+      </div>
+    </div>
+  );
+}
+
+// ------------------------ Profiler & föräldrakontroll ------------------------
+// Profilerna sparas i LS_KEYS.PROFILES; varje profil har egna favoriter, tema, spelarinställningar,
+// kanalhanterare, påminnelser och historik (PROFILE_KEYS). En gemensam PIN låser profiler och föräldrakontrollen.
+const DEFAULT_PROFILE_ID = "default";
+const PROFILE_COLORS = ["#dc2626", "#2563eb", "#16a34a", "#d97706", "#9333ea", "#0891b2"];
+const EMPTY_PARENTAL = {
+  enabled: false,
+  groups: [],     // spärrade grupper (namn i spellistan)
+  channels: [],   // spärrade kanaler (channelEditKey)
+  maxAge: 0,      // program med högre åldersgräns (XMLTV <rating>) spärras, 0 = ingen gräns
+  categories: [], // program vars kategori innehåller något av orden spärras (gemener)
+};
+const DEFAULT_PROFILES = { profiles: [{ id: DEFAULT_PROFILE_ID, name: "Jag", color: PROFILE_COLORS[0], requirePin: false, parental: EMPTY_PARENTAL }], pinHash: "" };
+const PARENTAL_AGE_OPTIONS = [0, 7, 11, 13, 15, 18];
+const PIN_PATTERN = /^\d{4,8}$/;
+// PIN:en sparas som "pbkdf2$<iterationer>$<salt>$<hash>" med slumpat salt, så att en säkerhetskopia inte räcker
+// för att snabbt prova alla PIN-koder. Äldre osaltade SHA-256-värden godtas och byts ut vid nästa lyckade inloggning.
+const PIN_ITERATIONS = 600000;
+const toHex = (bytes) => Array.from(new Uint8Array(bytes), (b) => b.toString(16).padStart(2, "0")).join("");
+const fromHex = (hex) => Uint8Array.from(hex.match(/../g) || [], (h) => parseInt(h, 16));
+async function pbkdf2Pin(pin, salt, iterations) {
+  const key = await crypto.subtle.importKey("raw", new TextEncoder().encode(pin), "PBKDF2", false, ["deriveBits"]);
+  return toHex(await crypto.subtle.deriveBits({ name: "PBKDF2", hash: "SHA-256", salt, iterations }, key, 256));
+}
+async function hashPin(pin) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  return `pbkdf2$${PIN_ITERATIONS}$${toHex(salt)}$${await pbkdf2Pin(pin, salt, PIN_ITERATIONS)}`;
+}
+const isLegacyPinHash = (stored) => !stored.startsWith("pbkdf2$");
+async function checkPin(pin, stored) {
+  if (!stored) return false;
+  if (isLegacyPinHash(stored)) return toHex(await crypto.subtle.digest("SHA-256", new TextEncoder().encode("netiptv:" + pin))) === stored;
+  const [, iterations, salt, hash] = stored.split("$");
+  return (await pbkdf2Pin(pin, fromHex(salt), Number(iterations))) === hash;
+}
+// Åldersgränser kommer i många system: "15", "FSK 16", "PG-13", "TV-MA", "Btl"
+const RATING_AGES = { btl: 0, alla: 0, g: 0, "tv-y": 0, "tv-g": 0, "tv-y7": 7, pg: 10, "tv-pg": 10, "pg-13": 13, "tv-14": 14, r: 17, "tv-ma": 17, "nc-17": 18, x: 18 };
+function ratingAge(rating) {
+  const s = (rating || "").trim().toLowerCase();
+  if (!s) return null;
+  if (s in RATING_AGES) return RATING_AGES[s];
+  const m = s.match(/\d{1,2}/);
+  return m ? Number(m[0]) : null;
+}
+function progLocked(p, rules) {
+  const age = ratingAge(p.rating);
+  if (rules.maxAge && age !== null && age > rules.maxAge) return true;
+  const cat = (p.category || "").toLowerCase();
+  return !!cat && rules.categories.some((c) => cat.includes(c));
+}
+// Spärrade program ersätts så att titel/beskrivning inte syns; `locked` kräver PIN vid uppspelning
+function maskLockedProgs(progs, rules) {
+  if (!rules.maxAge && !rules.categories.length) return progs;
+  const out = new Map();
+  for (const [id, arr] of progs) {
+    out.set(id, arr.some((p) => progLocked(p, rules)) ? arr.map((p) => (progLocked(p, rules) ? { start: p.start, stop: p.stop, title: "Spärrat program", desc: "", category: "", locked: true } : p)) : arr);
+  }
+  return out;
+}
+// Spärras på originalgruppen så att kanalhanterarens egna grupper inte kringgår spärren
+function parentalLockedUrls(rules, lists) {
+  const out = new Set();
+  if (!rules || (!rules.groups.length && !rules.channels.length)) return out;
+  const groups = new Set(rules.groups), keys = new Set(rules.channels);
+  for (const list of lists) for (const c of list) if (groups.has(c.group || "Other") || keys.has(channelEditKey(c))) out.add(c.url);
+  return out;
+}
+
+function ProfileAvatar({ profile, className = "h-8 w-8 text-sm" }) {
+  return <span className={"inline-flex items-center justify-center rounded-lg font-bold text-white shrink-0 " + className} style={{ backgroundColor: profile.color }}>{profile.name.slice(0, 1).toUpperCase()}</span>;
+}
+
+function ProfilePicker({ profiles, onPick, onManage }) {
+  return (
+    <div className="min-h-screen flex flex-col items-center justify-center gap-10 bg-neutral-950 text-white p-6">
+      <div className="text-3xl font-semibold">Vem tittar?</div>
+      <div className="flex flex-wrap justify-center gap-6">
+        {profiles.map((p) => (
+          <button key={p.id} onClick={() => onPick(p)} className="group flex flex-col items-center gap-3 outline-none">
+            <ProfileAvatar profile={p} className="h-28 w-28 text-5xl ring-white/80 group-hover:ring-4 group-focus:ring-4"/>
+            <span className="flex items-center gap-1 text-neutral-300 group-hover:text-white">{p.name}{p.requirePin && <Lock className="h-3 w-3 opacity-70"/>}</span>
+          </button>
+        ))}
+      </div>
+      <UIButton onClick={onManage} className="border-neutral-600 text-neutral-300"><Users className="h-4 w-4 mr-1"/> Hantera profiler</UIButton>
+    </div>
+  );
+}
+
+// onDone(ok, pin) – PIN:en skickas med så att ett äldre hashvärde kan uppgraderas
+function PinPrompt({ title, pinHash, onDone }) {
+  const [pin, setPin] = useState("");
+  const [err, setErr] = useState("");
+  const [checking, setChecking] = useState(false);
+  const submit = async () => {
+    setChecking(true);
+    const ok = await checkPin(pin, pinHash);
+    setChecking(false);
+    if (ok) onDone(true, pin);
+    else { setErr("Fel PIN"); setPin(""); }
+  };
+  return (
+    <div className="fixed inset-0 z-[60] bg-black/80 backdrop-blur flex items-center justify-center p-4" data-nav-scope onClick={() => onDone(false)}>
+      <div className="w-full max-w-xs rounded-2xl border p-5 space-y-3 bg-neutral-900 border-neutral-700 text-white" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-center gap-2 font-semibold"><Lock className="h-4 w-4"/> {title}</div>
+        <input autoFocus type="password" inputMode="numeric" value={pin} onChange={(e) => { setPin(e.target.value.replace(/\D/g, "")); setErr(""); }} onKeyDown={(e) => { if (e.key === "Enter" && pin && !checking) submit(); if (e.key === "Escape") onDone(false); }}
+          className="w-full rounded-xl px-3 py-2 text-center text-2xl tracking-[0.5em] outline-none bg-neutral-950 border border-neutral-700" maxLength={8} />
+        {err && <div className="text-red-400 text-xs">{err}</div>}
+        <div className="flex justify-end gap-2">
+          <UIButton onClick={() => onDone(false)} data-nav-close className="border-neutral-700">Avbryt</UIButton>
+          <UIButton onClick={submit} disabled={!pin || checking} className="bg-red-600 border-transparent">OK</UIButton>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function ProfileManager({ store, setStore, activeId, library, onClose }) {
+  const { profiles, pinHash } = store;
+  const [selectedId, setSelectedId] = useState(activeId || profiles[0].id);
+  const [newName, setNewName] = useState("");
+  const [newPin, setNewPin] = useState("");
+  const [filter, setFilter] = useState("");
+  const profile = profiles.find((p) => p.id === selectedId) || profiles[0];
+  const parental = { ...EMPTY_PARENTAL, ...profile.parental };
+  const all = useMemo(() => [...library.channels, ...library.movies, ...library.series], [library.channels, library.movies, library.series]);
+  const groups = useMemo(() => [...new Set(all.map((c) => c.group || "Other"))].sort((a, b) => a.localeCompare(b)), [all]);
+  const setProfile = (fields) => setStore((s) => ({ ...s, profiles: s.profiles.map((p) => (p.id === profile.id ? { ...p, ...fields } : p)) }));
+  const setParental = (fields) => setProfile({ parental: { ...parental, ...fields } });
+  const toggleIn = (list, value) => (list.includes(value) ? list.filter((x) => x !== value) : [...list, value]);
+  const addProfile = () => {
+    const name = newName.trim(); if (!name) return;
+    const id = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+    setStore((s) => ({ ...s, profiles: [...s.profiles, { id, name, color: PROFILE_COLORS[s.profiles.length % PROFILE_COLORS.length], requirePin: false, parental: EMPTY_PARENTAL }] }));
+    setSelectedId(id); setNewName("");
+  };
+  const removeProfile = () => {
+    if (!window.confirm(`Ta bort profilen "${profile.name}" med favoriter och inställningar?`)) return;
+    for (const key of PROFILE_KEYS) localStorage.removeItem(profileKey(key, profile.id));
+    setStore((s) => ({ ...s, profiles: s.profiles.filter((p) => p.id !== profile.id) }));
+    setSelectedId(activeId || profiles.find((p) => p.id !== profile.id).id);
+  };
+  const savePin = async () => { const hash = await hashPin(newPin); setStore((s) => ({ ...s, pinHash: hash })); setNewPin(""); };
+  const removePin = () => { if (window.confirm("Ta bort PIN? Profillås och föräldrakontroll slutar gälla.")) setStore((s) => ({ ...s, pinHash: "" })); };
+  const inputStyle = { backgroundColor: 'var(--card-bg)', border: `1px solid var(--card-border)`, color: 'var(--fg)' };
+  const q = filter.trim().toLowerCase();
+  const shownGroups = q ? groups.filter((g) => g.toLowerCase().includes(q)) : groups;
+  const shownChannels = (q ? library.channels.filter((c) => c.title.toLowerCase().includes(q)) : library.channels).slice(0, MANAGER_LIST_LIMIT);
+  return (
+    <div className="fixed inset-0 z-50 bg-black/80 backdrop-blur" data-nav-scope>
+      <div className="absolute top-4 left-4 right-4 bottom-4 mx-auto max-w-6xl flex flex-col rounded-2xl border shadow-2xl" style={{ color: 'var(--fg)', backgroundColor: 'var(--card-bg)', borderColor: 'var(--card-border)' }}>
+        <div className="flex flex-wrap items-center justify-between gap-3 p-4 border-b" style={{ borderColor: 'var(--card-border)' }}>
+          <div>
+            <div className="text-lg font-semibold">Profiler</div>
+            <div className="text-xs" style={{ color: 'var(--muted)' }}>En gemensam PIN låser valda profiler och föräldrakontrollen. {pinHash ? "PIN är satt." : "Ingen PIN satt."}</div>
+          </div>
+          <div className="flex items-center gap-2">
+            <input type="password" inputMode="numeric" value={newPin} onChange={(e) => setNewPin(e.target.value.replace(/\D/g, ""))} placeholder={pinHash ? "Ny PIN" : "PIN (4–8 siffror)"} maxLength={8} className="w-36 rounded-lg px-2 py-1 text-sm outline-none" style={inputStyle} />
+            <UIButton onClick={savePin} disabled={!PIN_PATTERN.test(newPin)}>{pinHash ? "Byt PIN" : "Sätt PIN"}</UIButton>
+            {pinHash && <UIButton onClick={removePin}>Ta bort PIN</UIButton>}
+            <UIButton onClick={onClose} data-nav-close><X className="h-4 w-4"/></UIButton>
+          </div>
+        </div>
+        <div className="flex-1 min-h-0 grid grid-cols-[minmax(14rem,1fr)_3fr]">
+          <div className="flex flex-col min-h-0 border-r" style={{ borderColor: 'var(--card-border)' }}>
+            <div className="p-3 flex gap-2 border-b" style={{ borderColor: 'var(--card-border)' }}>
+              <input value={newName} onChange={(e) => setNewName(e.target.value)} onKeyDown={(e) => e.key === "Enter" && addProfile()} placeholder="Ny profil..." className="flex-1 min-w-0 rounded-lg px-2 py-1 text-sm outline-none" style={inputStyle} />
+              <UIButton onClick={addProfile} disabled={!newName.trim()} title="Skapa profil"><UserPlus className="h-4 w-4"/></UIButton>
+            </div>
+            <div className="flex-1 overflow-y-auto">
+              {profiles.map((p) => (
+                <button key={p.id} onClick={() => setSelectedId(p.id)} className={"w-full text-left flex items-center gap-2 px-3 py-2 border-b " + (profile.id === p.id ? "bg-red-600/20" : "hover:bg-black/20")} style={{ borderColor: 'var(--card-border)' }}>
+                  <ProfileAvatar profile={p}/>
+                  <div className="flex-1 min-w-0 truncate text-sm font-medium">{p.name}{p.id === activeId && <span className="ml-1 text-[10px] opacity-60">(aktiv)</span>}</div>
+                  {p.requirePin && <Lock className="h-3 w-3 opacity-60"/>}
+                  {p.parental?.enabled && <ShieldCheck className="h-4 w-4 opacity-70"/>}
+                </button>
+              ))}
+            </div>
+          </div>
+          <div className="flex flex-col min-h-0">
+            <div className="p-3 space-y-3 border-b" style={{ borderColor: 'var(--card-border)' }}>
+              <div className="flex flex-wrap items-center gap-2">
+                <input key={profile.id + profile.name} defaultValue={profile.name} onBlur={(e) => e.target.value.trim() && setProfile({ name: e.target.value.trim() })} className="flex-1 min-w-[10rem] rounded-lg px-2 py-1 font-semibold outline-none" style={inputStyle} title="Byt namn på profilen" />
+                {PROFILE_COLORS.map((c) => <button key={c} onClick={() => setProfile({ color: c })} className={"h-6 w-6 rounded-full " + (profile.color === c ? "ring-2 ring-offset-2 ring-white/70 ring-offset-transparent" : "")} style={{ backgroundColor: c }} title="Färg"/>)}
+                <UIButton onClick={removeProfile} disabled={profiles.length < 2 || profile.id === activeId} title={profile.id === activeId ? "Den aktiva profilen kan inte tas bort" : "Ta bort profilen"}><Trash2 className="h-4 w-4"/></UIButton>
+              </div>
+              <div className="flex flex-wrap items-center gap-x-6 gap-y-2 text-sm">
+                <label className={"flex items-center gap-2 " + (pinHash ? "" : "opacity-50")}><input type="checkbox" disabled={!pinHash} checked={!!profile.requirePin} onChange={(e) => setProfile({ requirePin: e.target.checked })}/> Kräv PIN för att öppna profilen</label>
+                <label className={"flex items-center gap-2 " + (pinHash ? "" : "opacity-50")}><input type="checkbox" disabled={!pinHash} checked={parental.enabled} onChange={(e) => setParental({ enabled: e.target.checked })}/> Föräldrakontroll</label>
+                {!pinHash && <span className="text-xs" style={{ color: 'var(--muted)' }}>Sätt en PIN först.</span>}
+              </div>
+              {parental.enabled && (
+                <div className="flex flex-wrap items-center gap-3 text-sm">
+                  <label className="flex items-center gap-2">Åldersgräns
+                    <select value={parental.maxAge} onChange={(e) => setParental({ maxAge: Number(e.target.value) })} className="rounded-lg px-2 py-1 text-xs outline-none" style={inputStyle}>
+                      {PARENTAL_AGE_OPTIONS.map((a) => <option key={a} value={a}>{a ? `Spärra program över ${a} år` : "Ingen gräns"}</option>)}
+                    </select>
+                  </label>
+                  <input key={profile.id + parental.categories.join()} defaultValue={parental.categories.join(", ")} onBlur={(e) => setParental({ categories: e.target.value.split(",").map((c) => c.trim().toLowerCase()).filter(Boolean) })}
+                    placeholder="Spärrade kategorier, t.ex. skräck, adult" className="flex-1 min-w-[14rem] rounded-lg px-2 py-1 text-sm outline-none" style={inputStyle} title="Kommaseparerade ord som matchas mot programmets kategori i EPG:n" />
+                  <input value={filter} onChange={(e) => setFilter(e.target.value)} placeholder="Filtrera grupper och kanaler..." className="w-56 rounded-lg px-2 py-1 text-sm outline-none" style={inputStyle} />
+                </div>
+              )}
+            </div>
+            {parental.enabled ? (
+              <div className="flex-1 min-h-0 grid grid-cols-2">
+                <div className="overflow-y-auto border-r" style={{ borderColor: 'var(--card-border)' }}>
+                  <div className="px-3 py-2 text-xs font-semibold uppercase tracking-wide" style={{ color: 'var(--muted)' }}>Spärrade grupper ({parental.groups.length})</div>
+                  {shownGroups.map((g) => (
+                    <label key={g} className="flex items-center gap-2 px-3 py-1.5 text-sm cursor-pointer hover:bg-black/20">
+                      <input type="checkbox" checked={parental.groups.includes(g)} onChange={() => setParental({ groups: toggleIn(parental.groups, g) })}/> <span className="truncate">{g}</span>
+                    </label>
+                  ))}
+                </div>
+                <div className="overflow-y-auto">
+                  <div className="px-3 py-2 text-xs font-semibold uppercase tracking-wide" style={{ color: 'var(--muted)' }}>Spärrade kanaler ({parental.channels.length})</div>
+                  {shownChannels.map((c) => (
+                    <label key={c.url} className="flex items-center gap-2 px-3 py-1.5 text-sm cursor-pointer hover:bg-black/20">
+                      <input type="checkbox" checked={parental.channels.includes(channelEditKey(c)) || parental.groups.includes(c.group || "Other")} disabled={parental.groups.includes(c.group || "Other")} onChange={() => setParental({ channels: toggleIn(parental.channels, channelEditKey(c)) })}/>
+                      <span className="truncate">{c.title}</span><span className="ml-auto text-xs truncate" style={{ color: 'var(--muted)' }}>{c.group}</span>
+                    </label>
+                  ))}
+                </div>
+              </div>
+            ) : (
+              <div className="p-6 text-sm opacity-80">Med föräldrakontroll döljs spärrade grupper, kanaler och program tills någon låser upp med PIN.</div>
+            )}
+          </div>
+        </div>
       </div>
     </div>
   );
 }
 
 // ------------------------ Main App ------------------------
+// Electron öppnar minispelarens fönster med samma app och #mini
+const IS_MINI_WINDOW = typeof window !== "undefined" && window.location.hash === "#mini";
 export default function IPTVNetflixApp() {
-  const [channels, setChannels] = useState([]);
+  useSpatialNavigation();
+  return IS_MINI_WINDOW ? <MiniPlayerWindow /> : <ProfilesApp />;
+}
+
+function MiniPlayerWindow() {
+  const [channel, setChannel] = useState(null);
+  useEffect(() => {
+    window.netiptv?.mini?.current().then((ch) => ch && setChannel(ch)).catch(() => {});
+    return window.netiptv?.mini?.onChannel(setChannel);
+  }, []);
+  const catchup = useMemo(() => (channel?.catchupProg ? { prog: channel.catchupProg, urlAt: (offset) => catchupUrl(channel, channel.catchupProg, offset) } : null), [channel]);
+  if (!channel) return <div className="fixed inset-0 bg-black"/>;
+  return (<HlsPlayer key={channel.url + (channel.catchupProg ? ":" + channel.catchupProg.start.getTime() : "")} mode="window" src={channel.url} headers={channel.headers} catchup={catchup} vod={!!channel.kind} title={channel.title} logo={channel.logo} startAt={channel.resumeAt}
+    onExpand={() => window.netiptv.mini.expand().catch(() => {})} onClose={() => window.netiptv.mini.close().catch(() => {})} />);
+}
+
+// Källbiblioteket och profilerna är gemensamma; allt under ProfileHome monteras om (key) vid profilbyte
+// så att useLocalStorage läser profilens egna nycklar.
+function ProfilesApp() {
+  const library = useSourceLibrary();
+  const [store, setStore] = useLocalStorage(LS_KEYS.PROFILES, DEFAULT_PROFILES);
+  const profiles = store.profiles.length ? store.profiles : DEFAULT_PROFILES.profiles;
+  // En ensam profil öppnas direkt, utom när den är PIN-låst – då visas väljaren och PIN:en krävs via pickProfile
+  const [activeId, setActiveId] = useState(() => (profiles.length > 1 || (profiles[0].requirePin && store.pinHash) ? null : profiles[0].id));
+  const profile = profiles.find((p) => p.id === activeId);
+  const [pinRequest, setPinRequest] = useState(null); // { title, resolve }
+  const [profilesOpen, setProfilesOpen] = useState(false);
+  // Löser med true direkt om ingen PIN är satt
+  const verifyPin = useCallback((title) => (store.pinHash ? new Promise((resolve) => setPinRequest({ title, resolve })) : Promise.resolve(true)), [store.pinHash]);
+  const upgradePinHash = async (pin) => {
+    if (!isLegacyPinHash(store.pinHash)) return;
+    const hash = await hashPin(pin);
+    setStore((s) => ({ ...s, pinHash: hash }));
+  };
+  const pickProfile = async (p) => { if (!p.requirePin || (await verifyPin(`PIN för ${p.name}`))) setActiveId(p.id); };
+  const openProfiles = async () => { if (await verifyPin("PIN för att hantera profiler")) setProfilesOpen(true); };
+  return (
+    <>
+      {profile
+        ? <ProfileHome key={profile.id} library={library} profile={profile} verifyPin={verifyPin} onSwitchProfile={() => setActiveId(null)} />
+        : <ProfilePicker profiles={profiles} onPick={pickProfile} onManage={openProfiles} />}
+      {profilesOpen && (<ProfileManager store={{ ...store, profiles }} setStore={setStore} activeId={activeId} library={library} onClose={() => setProfilesOpen(false)} />)}
+      {pinRequest && (<PinPrompt title={pinRequest.title} pinHash={store.pinHash} onDone={(ok, pin) => { pinRequest.resolve(ok); setPinRequest(null); if (ok) upgradePinHash(pin); }} />)}
+    </>
+  );
+}
+
+function ProfileHome({ library, profile, verifyPin, onSwitchProfile }) {
+  const { epg: rawEpg, sources } = library;
+  const pk = (key) => profileKey(key, profile.id);
+  // Föräldrakontroll: spärrade grupper/kanaler filtreras bort och spärrade program maskeras tills profilen låses upp
+  const [unlocked, setUnlocked] = useState(false);
+  const guard = useMemo(() => (profile.parental?.enabled && !unlocked ? { ...EMPTY_PARENTAL, ...profile.parental } : null), [profile.parental, unlocked]);
+  const lockedUrls = useMemo(() => parentalLockedUrls(guard, [library.channels, library.movies, library.series]), [guard, library.channels, library.movies, library.series]);
+  const [channels, movies, series] = useMemo(() => [library.channels, library.movies, library.series].map((list) => (lockedUrls.size ? list.filter((c) => !lockedUrls.has(c.url)) : list)), [lockedUrls, library.channels, library.movies, library.series]);
+  const [epgOverrides, setEpgOverrides] = useLocalStorage(LS_KEYS.EPG_OVERRIDES, {});
+  const [playerPrefs, setPlayerPrefs] = useLocalStorage(pk(LS_KEYS.PLAYER_PREFS), DEFAULT_PLAYER_PREFS);
+  const [playbackLog, setPlaybackLog] = useLocalStorage(LS_KEYS.PLAYBACK_LOG, {});
+  // Kanalmatchningen byggs en gång per spellista/EPG/ändrad koppling, inte per kort och render
+  const mapping = useMemo(() => (rawEpg ? buildEpgMapping(channels, rawEpg, epgOverrides) : null), [rawEpg, channels, epgOverrides]);
+  const epg = useMemo(() => (rawEpg ? { ...rawEpg, progs: guard ? maskLockedProgs(rawEpg.progs, guard) : rawEpg.progs, mapping } : null), [rawEpg, mapping, guard]);
+  const [matchOpen, setMatchOpen] = useState(false);
+  const [storedEdits, setChannelEdits] = useLocalStorage(pk(LS_KEYS.CHANNEL_EDITS), EMPTY_CHANNEL_EDITS);
+  const channelEdits = useMemo(() => ({ ...EMPTY_CHANNEL_EDITS, ...storedEdits }), [storedEdits]);
+  const health = useStreamHealth();
+  const healthResults = health?.results;
+  const channelGroups = useMemo(() => applyChannelEdits(channelEdits.hideDead && healthResults ? channels.filter((c) => healthResults[c.url]?.status !== "dead") : channels, channelEdits), [channels, channelEdits, healthResults]);
+  const visibleChannels = useMemo(() => channelGroups.flatMap((g) => g.items), [channelGroups]);
+  const nowNext = useNowNextIndex(visibleChannels, epg);
+  const [managerOpen, setManagerOpen] = useState(false);
+  const [section, setSection] = useState("live"); // live | movies | series
   const [query, setQuery] = useState("");
   const [playing, setPlaying] = useState(null);
-  const [epg, setEpg] = useState(null);
-  const [epgMeta, setEpgMeta] = useLocalStorage(LS_KEYS.EPG_META, { sourceType: "", sourceName: "" });
-  const [favorites, setFavorites] = useLocalStorage(LS_KEYS.FAVORITES, []);
+  const [favorites, setFavorites] = useLocalStorage(pk(LS_KEYS.FAVORITES), []);
   const favSet = useMemo(() => new Set(favorites.map((f) => f.url)), [favorites]);
-  const [playlistMeta, setPlaylistMeta] = useLocalStorage(LS_KEYS.PLAYLIST_META, { sourceType: "", sourceName: "" });
-  const [theme, setTheme] = useLocalStorage(LS_KEYS.THEME, "dark");
+  const [theme, setTheme] = useLocalStorage(pk(LS_KEYS.THEME), "dark");
   const [selected, setSelected] = useState({ row: 0, col: 0 });
   const [epgFor, setEpgFor] = useState(null);
+  const [guideOpen, setGuideOpen] = useState(false);
+  const [seriesFor, setSeriesFor] = useState(null);
+  const recorder = useRecordings();
+  const reminders = useReminders(channels, epg, (r) => { const ch = channels.find((c) => c.url === r.channelUrl); if (ch) onPlay(ch); }, pk(LS_KEYS.REMINDERS));
+  const history = useWatchHistory(pk(LS_KEYS.HISTORY));
+  const [historyOpen, setHistoryOpen] = useState(false);
+  const [controlsOpen, setControlsOpen] = useState(false);
+  const [healthOpen, setHealthOpen] = useState(false);
+  const [backupOpen, setBackupOpen] = useState(false);
+  const [remoteOpen, setRemoteOpen] = useState(false);
+  const [networkOpen, setNetworkOpen] = useState(false);
+  const searchRef = useRef(null);
+  const [docked, setDocked] = useState(false); // spelaren minimerad i hörnet
+  const [multiview, setMultiview] = useState([]);
+  const [multiOpen, setMultiOpen] = useState(false);
 
   // Theme CSS vars
   useEffect(() => {
@@ -314,15 +3707,41 @@ export default function IPTVNetflixApp() {
     document.documentElement.style.setProperty('--card-border', theme === 'dark' ? '#27272a' : '#e5e7eb');
   }, [theme]);
 
+  // Sökningen startar när man slutat skriva och körs på ett uppskjutet värde så att inmatningen inte väntar på resultatet.
+  // En tömd sökruta gäller direkt.
+  const typedQuery = query.trim();
+  const debouncedQuery = useDebouncedValue(typedQuery, SEARCH_DEBOUNCE_MS);
+  const searchQuery = useDeferredValue(typedQuery ? debouncedQuery : "");
+  const [searchFilters, setSearchFilters] = useState(EMPTY_SEARCH_FILTERS);
+  const searchIndex = useMemo(() => (searchQuery ? buildSearchIndex(visibleChannels, movies, series, epg) : null), [!!searchQuery, visibleChannels, movies, series, epg]);
+  const searchGroups = useMemo(() => (searchQuery ? [...new Set([...visibleChannels, ...movies, ...series].map((c) => c.group).filter(Boolean))].sort((a, b) => a.localeCompare(b)) : []), [!!searchQuery, visibleChannels, movies, series]);
+
   // Build rows
   const renderedRows = useMemo(() => {
-    const filtered = channels.filter((c) => c.title.toLowerCase().includes(query.toLowerCase()));
-    const byGroup = new Map();
-    for (const c of filtered) { const g = c.group || "Other"; if (!byGroup.has(g)) byGroup.set(g, []); byGroup.get(g).push(c); }
-    const groupRows = Array.from(byGroup.entries()).sort((a,b)=>b[1].length - a[1].length).map(([name, items]) => ({ title: name, items }));
-    const rows = []; if (favorites.length > 0) rows.push({ title: "Fortsätt & favoriter", items: favorites });
+    if (searchIndex) return runSearch(searchIndex, searchQuery, searchFilters);
+    let groupRows;
+    if (section === "live") {
+      // Live-TV följer kanalhanterarens ordning, namn och dolda grupper
+      groupRows = channelGroups.map((g) => ({ key: g.key, title: g.name, items: g.items })).filter((r) => r.items.length);
+    } else {
+      const byGroup = new Map();
+      for (const c of section === "movies" ? movies : series) { const g = c.group || "Other"; if (!byGroup.has(g)) byGroup.set(g, []); byGroup.get(g).push(c); }
+      groupRows = Array.from(byGroup.entries()).sort((a,b)=>b[1].length - a[1].length).map(([name, items]) => ({ title: name, items }));
+    }
+    const favKind = section === "movies" ? "movie" : section === "series" ? "series" : undefined;
+    const sectionFavorites = favorites.filter((f) => f.kind === favKind && !lockedUrls.has(f.url));
+    const continueKinds = section === "movies" ? ["movie"] : section === "series" ? ["episode"] : [undefined, "recording"];
+    const continueItems = history.continueItems.filter((e) => continueKinds.includes(e.kind) && !lockedUrls.has(e.url)).slice(0, CONTINUE_LIMIT).map((e) => ({
+      ...e, historyId: e.id, progress: e.duration ? e.position / e.duration : 0,
+      group: e.catchup ? `Arkiv · ${new Date(e.catchup.start).toLocaleDateString()} ${fmtTime(new Date(e.catchup.start))}` : e.group,
+    }));
+    const rows = [];
+    if (continueItems.length > 0) rows.push({ title: "Fortsätt titta", items: continueItems, history: true });
+    if (sectionFavorites.length > 0) rows.push({ title: "Favoriter", items: sectionFavorites });
+    const recordings = section === "live" && recorder ? recordingItems(recorder.jobs) : [];
+    if (recordings.length > 0) rows.push({ title: "Inspelningar", items: recordings, recordings: true });
     return rows.concat(groupRows);
-  }, [channels, query, favorites]);
+  }, [channelGroups, movies, series, section, searchIndex, searchQuery, searchFilters, favorites, lockedUrls, history.continueItems, recorder?.jobs]);
 
   // Keep selected in bounds
   useEffect(() => {
@@ -332,45 +3751,130 @@ export default function IPTVNetflixApp() {
     if (r !== selected.row || c !== selected.col) setSelected({ row: r, col: c });
   }, [renderedRows, selected]);
 
-  const onPlay = (ch) => { setPlaying(ch); localStorage.setItem(LS_KEYS.LAST, JSON.stringify(ch)); };
+  const onPlay = async (item) => {
+    if (item.kind === "series") { setSeriesFor(item); return; }
+    // Favoriter sparar bara grunddata – slå upp hela kanalen (headers, catchup) om den finns
+    const ch = item.headers || item.kind ? item : channels.find((c) => c.url === item.url) || item;
+    if (lockedUrls.has(ch.url) || (epg && !ch.kind && nowNextForChannel(ch, epg).now?.locked)) {
+      if (!(await verifyPin(`${ch.title} är spärrad`))) return;
+    }
+    setDocked(false); setPlaying({ ...ch, resumeAt: ch.kind ? history.resumeAt(ch) : 0 }); localStorage.setItem(pk(LS_KEYS.LAST), JSON.stringify(ch));
+  };
+  const onPlayCatchup = async (ch, prog) => {
+    if (prog.locked && !(await verifyPin("Programmet är spärrat"))) return;
+    const item = { ...ch, title: `${ch.title} · ${prog.title}`, catchupProg: prog };
+    setDocked(false); setPlaying({ ...item, resumeAt: history.resumeAt(item) });
+  };
+  const addToMultiview = (ch) => setMultiview((list) => (list.some((c) => c.url === ch.url) || list.length >= MULTIVIEW_MAX ? list : [...list, ch]));
+  // Multiview ersätter den vanliga spelaren så att bara en kanal hörs
+  const openMultiview = () => { if (playing && !playing.kind && !playing.catchupProg) addToMultiview(playing); setPlaying(null); setMultiOpen(true); };
+  // Minispelaren (Electron) tar över uppspelningen; "Öppna i appen" skickar tillbaka kanalen
+  const popOut = window.netiptv?.mini ? () => { window.netiptv.mini.open({ ...playing, resumeAt: playing.kind || playing.catchupProg ? history.resumeAt(playing) : 0 }).catch(() => {}); setPlaying(null); } : undefined;
+  useEffect(() => window.netiptv?.mini?.onExpand((ch) => { setDocked(false); setPlaying(ch); }), []);
+  // Arkivposter i historiken spelas via kanalen så att catch-up-URL:en byggs på nytt. Programmet slås upp i den
+  // maskerade EPG:n så att spärren gäller igen; finns det inte kvar där kräver en aktiv föräldrakontroll PIN.
+  const playHistory = (e) => {
+    if (!e.catchup) return onPlay(e);
+    const ch = channels.find((c) => c.url === e.url);
+    if (!ch) return;
+    const start = new Date(e.catchup.start), stop = new Date(e.catchup.stop);
+    const prog = getEpgForChannel(ch, epg)?.progs.find((p) => p.start.getTime() === start.getTime());
+    onPlayCatchup(ch, { title: e.catchup.title, start, stop, locked: prog ? !!prog.locked : !!guard });
+  };
+  // Sökträffar på program: passerade program med arkiv spelas som catch-up, annars kanalen live
+  const playSearchResult = (item) => {
+    const p = item.searchProg, ch = item.searchChannel;
+    if (p && p.stop <= new Date() && canCatchup(ch, p)) return onPlayCatchup(ch, p);
+    onPlay(ch || item);
+  };
+  const playFrom = (row) => (row.history ? playHistory : row.search ? playSearchResult : onPlay);
+  useEffect(() => {
+    if (!playing) return;
+    history.begin(playing);
+    return history.end;
+  }, [playing]);
+  // Senaste kanal (L / Y på handkontrollen): växlar mellan de två senaste live-kanalerna
+  const liveRef = useRef({ current: null, previous: null });
+  useEffect(() => {
+    if (playing && !playing.kind && !playing.catchupProg && playing.url !== liveRef.current.current?.url) liveRef.current = { current: playing, previous: liveRef.current.current };
+  }, [playing]);
+  const lastChannelRef = useRef(null);
+  lastChannelRef.current = () => {
+    const watchingLive = playing && !playing.kind && !playing.catchupProg;
+    const target = (watchingLive ? liveRef.current.previous : liveRef.current.current) || history.entries.find((e) => !e.kind && !e.catchup && e.url !== playing?.url);
+    if (target) onPlay(target);
+  };
+  useEffect(() => {
+    const onKey = (e) => { if (e.key.toLowerCase() === "l" && !/^(INPUT|TEXTAREA|SELECT)$/.test(e.target.tagName)) lastChannelRef.current(); };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, []);
+  // Återställning kan ersätta profiler och PIN, därför samma skydd som profilhanteringen
+  const openBackup = async () => { if (await verifyPin("PIN för säkerhetskopiering")) setBackupOpen(true); };
+  // Fjärrstyrningen öppnar appen för andra enheter i nätverket
+  const openRemote = async () => { if (await verifyPin("PIN för fjärrstyrning")) setRemoteOpen(true); };
+  const toggleLock = async () => { if (unlocked) setUnlocked(false); else if (await verifyPin("PIN för att låsa upp")) setUnlocked(true); };
+  const catchup = useMemo(() => (playing?.catchupProg ? { prog: playing.catchupProg, urlAt: (offset) => catchupUrl(playing, playing.catchupProg, offset) } : null), [playing]);
+  const alternatives = useMemo(() => (playing && !playing.kind && !playing.catchupProg ? streamAlternatives(playing, channels) : null), [playing, channels]);
+  const playingKey = playing ? epgMatchKey(playing) : null;
+  const logPlaybackFailure = useCallback((entry) => {
+    if (!playingKey) return;
+    setPlaybackLog((log) => ({ ...log, [playingKey]: [{ at: Date.now(), ...entry }, ...(log[playingKey] || [])].slice(0, PLAYBACK_LOG_LIMIT) }));
+  }, [playingKey, setPlaybackLog]);
   const toggleFavorite = (ch) => setFavorites((prev) => {
     const exists = prev.find((p) => p.url === ch.url);
     if (exists) return prev.filter((p) => p.url !== ch.url);
-    return [{ title: ch.title, url: ch.url, logo: ch.logo, group: ch.group }, ...prev].slice(0, 500);
+    // Hela kanalposten (attribut, headers, catch-up) sparas så att favoriter kan spelas och exporteras fullständigt
+    const extra = ch.kind ? { kind: ch.kind, sourceId: ch.sourceId, xtream: ch.xtream } : { tvgId: ch.tvgId, chno: ch.chno, rawAttrs: ch.rawAttrs, catchup: ch.catchup, headers: ch.headers, vlcOpts: ch.vlcOpts, kodiProps: ch.kodiProps, origTitle: ch.origTitle };
+    return [{ title: ch.title, url: ch.url, logo: ch.logo, group: ch.group, ...extra }, ...prev].slice(0, 500);
   });
+  const sourceFor = (item) => sources.find((s) => s.id === item?.sourceId);
+  // "Spela in nu" i spelaren: till slutet av pågående program enligt EPG:n
+  const playerRecording = recorder && playing && !playing.kind && !playing.catchupProg ? {
+    job: recorder.jobs.find((j) => j.status === "recording" && j.channel.url === playing.url) || null,
+    start: () => recorder.recordNow(playing, epg ? nowNextForChannel(playing, epg).now : null),
+    stop: () => recorder.stop(recorder.jobs.find((j) => j.status === "recording" && j.channel.url === playing.url)?.id),
+  } : null;
 
-  // Loaders
-  const loadFromFile = async (file) => { const text = await file.text(); const chs = parseM3U(text); setChannels(chs); setPlaylistMeta({ sourceType: "file", sourceName: file.name }); };
-  const loadFromUrl = async (url) => { const res = await fetch(url); if (!res.ok) throw new Error("Kunde inte ladda playlist: " + res.status); const text = await res.text(); const chs = parseM3U(text); setChannels(chs); setPlaylistMeta({ sourceType: "url", sourceName: url }); };
-  const loadEpgFile = async (file) => { const text = await file.text(); const data = parseXMLTV(text); setEpg(data); setEpgMeta({ sourceType: "file", sourceName: file.name }); };
-  const loadEpgUrl = async (url) => { const res = await fetch(url); if (!res.ok) throw new Error("Kunde inte ladda EPG: " + res.status); const text = await res.text(); const data = parseXMLTV(text); setEpg(data); setEpgMeta({ sourceType: "url", sourceName: url }); };
-
-  // Gamepad navigation
-  useEffect(() => {
-    let raf = 0; let prev = { axes: [], buttons: [] }; const threshold = 0.5; let lastMove = 0; const repeatDelayMs = 180;
-    function step() {
-      const pads = navigator.getGamepads ? Array.from(navigator.getGamepads()).filter(Boolean) : [];
-      if (pads.length) {
-        const p = pads[0]; const axes = p.axes || []; const buttons = p.buttons || []; const now = performance.now();
-        const press = (cond, fn) => { if (cond && now - lastMove > repeatDelayMs) { fn(); lastMove = now; } };
-        const leftX = axes[0] || 0, leftY = axes[1] || 0;
-        const dUp = buttons[12]?.pressed, dDown = buttons[13]?.pressed, dLeft = buttons[14]?.pressed, dRight = buttons[15]?.pressed;
-        press(leftY < -threshold || dUp, () => setSelected((s) => ({ row: Math.max(0, s.row - 1), col: 0 })));
-        press(leftY > threshold || dDown, () => setSelected((s) => ({ row: Math.min(renderedRows.length - 1, s.row + 1), col: 0 })));
-        press(leftX < -threshold || dLeft, () => setSelected((s) => ({ ...s, col: Math.max(0, s.col - 1) })));
-        press(leftX > threshold || dRight, () => setSelected((s) => ({ ...s, col: Math.min((renderedRows[s.row]?.items?.length || 1) - 1, s.col + 1) })));
-        if (buttons[0]?.pressed && !prev.buttons[0]?.pressed) { const ch = renderedRows[selected.row]?.items?.[selected.col]; if (ch) onPlay(ch); }
-        if (buttons[1]?.pressed && !prev.buttons[1]?.pressed) { if (playing) setPlaying(null); else if (epgFor) setEpgFor(null); }
-        prev = { axes: [...axes], buttons: buttons.map(b => ({ pressed: !!b.pressed })) };
-      }
-      raf = requestAnimationFrame(step);
+  // Loaders – lägger till källan i biblioteket (eller uppdaterar befintlig med samma URL/filnamn)
+  const loadFile = async (kind, file) => {
+    const existing = sources.find((s) => s.kind === kind && s.type === "file" && s.name === file.name);
+    await library.addSource(existing ? { ...existing, enabled: true } : makeSource(kind, { type: "file", name: file.name, refreshHours: 0 }), file);
+  };
+  const loadUrl = async (kind, url, fields = {}) => {
+    const existing = sources.find((s) => s.kind === kind && s.type === "url" && s.url === url);
+    await library.addSource(existing ? { ...existing, ...fields, enabled: true } : makeSource(kind, { name: sourceNameFromUrl(url), url, ...fields }));
+  };
+  const loadFromFile = (file) => loadFile("playlist", file);
+  const loadFromUrl = (url, fields) => loadUrl("playlist", url, fields);
+  const loadEpgFile = (file) => loadFile("epg", file);
+  const loadEpgUrl = (url, fields) => loadUrl("epg", url, fields);
+  const addXtream = async ({ server, username, password }) => {
+    const existing = sources.find((s) => s.kind === "xtream" && xtreamBase(s.url) === xtreamBase(server) && s.username === username);
+    await library.addSource(existing ? { ...existing, password, enabled: true } : makeSource("xtream", { type: "xtream", name: sourceNameFromUrl(xtreamBase(server)), url: xtreamBase(server), username, password }));
+  };
+
+  // App-actions från tangentbord, handkontroll och fjärrkontroll (se runNavAction); fokusflytten sköts av useSpatialNavigation
+  const appActionRef = useRef(null);
+  appActionRef.current = (action) => {
+    if (action === "lastChannel") lastChannelRef.current();
+    else if (action === "guide") { if (epg && !multiOpen) setGuideOpen((v) => !v); }
+    else if (action === "search") { searchRef.current?.focus(); searchRef.current?.select(); }
+    else if ((action === "channelUp" || action === "channelDown") && playing && !playing.kind && !playing.catchupProg && visibleChannels.length) {
+      const i = visibleChannels.findIndex((c) => c.url === playing.url);
+      const n = visibleChannels.length;
+      onPlay(visibleChannels[i === -1 ? 0 : (i + (action === "channelUp" ? 1 : -1) + n) % n]);
     }
-    raf = requestAnimationFrame(step);
-    return () => cancelAnimationFrame(raf);
-  }, [renderedRows, selected, playing, epgFor]);
+  };
+  useRemoteControl({ channels: visibleChannels, nowNext, playing, onPlay, onStop: () => setPlaying(null) });
+  useEffect(() => {
+    const onAction = (e) => appActionRef.current(e.detail);
+    window.addEventListener("netiptv:action", onAction);
+    return () => window.removeEventListener("netiptv:action", onAction);
+  }, []);
 
   return (
-    <div className="min-h-screen" style={{ backgroundColor: 'var(--bg)', color: 'var(--fg)' }} onDragOver={(e)=>e.preventDefault()} onDrop={async (e)=>{ e.preventDefault(); const f = e.dataTransfer.files?.[0]; if (!f) return; if (f.name.endsWith('.m3u') || f.name.endsWith('.m3u8')) await loadFromFile(f); if (f.name.endsWith('.xml') || f.name.endsWith('.xmltv')) await loadEpgFile(f); }}>
+    <div className="min-h-screen" style={{ backgroundColor: 'var(--bg)', color: 'var(--fg)' }} onDragOver={(e)=>e.preventDefault()} onDrop={async (e)=>{ e.preventDefault(); const f = e.dataTransfer.files?.[0]; if (!f) return; if (f.name.endsWith('.m3u') || f.name.endsWith('.m3u8')) await loadFromFile(f); if (/\.(xml|xmltv|gz)$/i.test(f.name)) await loadEpgFile(f); }}>
       <header className="sticky top-0 z-40 border-b" style={{ background: 'linear-gradient(to bottom, rgba(0,0,0,0.8), rgba(0,0,0,0.2))', borderColor: 'var(--card-border)' }}>
         <div className="max-w-7xl mx-auto px-4 py-3 flex items-center gap-3">
           <div className="flex items-center gap-2 mr-2">
@@ -379,30 +3883,82 @@ export default function IPTVNetflixApp() {
           </div>
           <div className="relative flex-1 max-w-xl">
             <Search className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 opacity-60"/>
-            <input value={query} onChange={(e)=>setQuery(e.target.value)} placeholder="Sök kanaler..." className="w-full rounded-xl px-9 pr-3 py-2 outline-none" style={{ backgroundColor: 'var(--card-bg)', border: `1px solid var(--card-border)`, color: 'var(--fg)' }} />
+            <input ref={searchRef} value={query} onChange={(e)=>setQuery(e.target.value)} placeholder="Sök kanaler, program, filmer..." className="w-full rounded-xl px-9 pr-3 py-2 outline-none" style={{ backgroundColor: 'var(--card-bg)', border: `1px solid var(--card-border)`, color: 'var(--fg)' }} />
           </div>
+          <UIButton onClick={()=>setGuideOpen(true)} className="ml-2" title="Tablå" disabled={!epg}><CalendarClock className="h-4 w-4 mr-1"/> Tablå</UIButton>
+          {multiview.length > 0 && <UIButton onClick={openMultiview} className="ml-2" title="Öppna multiview"><LayoutGrid className="h-4 w-4 mr-1"/> {multiview.length}</UIButton>}
+          <UIButton onClick={()=>setHistoryOpen(true)} className="ml-2" title="Historik"><History className="h-4 w-4"/></UIButton>
+          <UIButton onClick={()=>setManagerOpen(true)} className="ml-2" title="Ordna, döp om och dölj kanaler och grupper" disabled={!channels.length}><SlidersHorizontal className="h-4 w-4 mr-1"/> Kanaler</UIButton>
+          {health && <UIButton onClick={()=>setHealthOpen(true)} className="ml-2" title="Strömkontroll – hitta döda och långsamma kanaler" disabled={!channels.length}><Activity className="h-4 w-4"/></UIButton>}
+          {profile.parental?.enabled && <UIButton onClick={toggleLock} className="ml-2" title={unlocked ? "Lås föräldrakontrollen igen" : "Lås upp spärrade kanaler och program"}>{unlocked ? <LockOpen className="h-4 w-4"/> : <Lock className="h-4 w-4"/>}</UIButton>}
+          <UIButton onClick={openBackup} className="ml-2" title="Säkerhetskopiera, återställ och exportera M3U"><DatabaseBackup className="h-4 w-4"/></UIButton>
+          {netApi && <UIButton onClick={()=>setNetworkOpen(true)} className="ml-2" title="Nätverk – proxy och headers per värd"><Network className="h-4 w-4"/></UIButton>}
+          {window.netiptv?.remote && <UIButton onClick={openRemote} className="ml-2" title="Fjärrstyrning från mobilen och hemautomation"><Smartphone className="h-4 w-4"/></UIButton>}
+          <UIButton onClick={()=>setControlsOpen(true)} className="ml-2" title="Tangentbord, handkontroll och fjärrkontroll"><Gamepad2 className="h-4 w-4"/></UIButton>
           <UIButton onClick={()=>setTheme(theme === 'dark' ? 'light' : 'dark')} className="ml-2" title="Byt tema">{theme === 'dark' ? <Sun className="h-4 w-4"/> : <Moon className="h-4 w-4"/>}</UIButton>
           <label className="ml-2">
             <input type="file" accept=".m3u,.m3u8" className="hidden" onChange={(e)=>e.target.files && loadFromFile(e.target.files[0])} />
             <UIButton>Importera M3U</UIButton>
           </label>
           <label className="ml-2">
-            <input type="file" accept=".xml,.xmltv" className="hidden" onChange={(e)=>e.target.files && loadEpgFile(e.target.files[0])} />
+            <input type="file" accept=".xml,.xmltv,.gz" className="hidden" onChange={(e)=>e.target.files && loadEpgFile(e.target.files[0])} />
             <UIButton>Importera EPG</UIButton>
           </label>
+          <button onClick={onSwitchProfile} className="ml-2 flex items-center gap-2 text-sm opacity-90 hover:opacity-100" title="Byt profil"><ProfileAvatar profile={profile}/><span className="hidden lg:inline">{profile.name}</span></button>
         </div>
       </header>
 
       <main className="max-w-7xl mx-auto px-4 py-4 space-y-8">
-        <HeroLoadSources onLoadUrl={loadFromUrl} onLoadEpgUrl={loadEpgUrl} playlistMeta={playlistMeta} epgMeta={epgMeta} count={channels.length} hasEpg={!!epg} />
-        {renderedRows.length === 0 && (<div className="opacity-70 text-sm">Tips: Dra & släpp din .m3u eller .xmltv hit, eller klistra in URL:er ovan.</div>)}
+        <HeroLoadSources onLoadUrl={loadFromUrl} onLoadEpgUrl={loadEpgUrl} onLoadXtream={addXtream} library={library} count={channels.length} hasEpg={!!epg} onOpenMatching={() => setMatchOpen(true)} />
+        {searchQuery ? (
+          <div className="flex flex-wrap items-center gap-2">
+            {SEARCH_TIMES.map(([id, label]) => (
+              <UIButton key={id} onClick={() => setSearchFilters((f) => ({ ...f, time: id }))} className={searchFilters.time === id ? 'bg-red-600 text-white border-transparent' : ''}>{label}</UIButton>
+            ))}
+            <select value={searchFilters.group} onChange={(e) => setSearchFilters((f) => ({ ...f, group: e.target.value }))} className="rounded-xl px-2 py-2 text-sm outline-none max-w-[14rem]" style={{ backgroundColor: 'var(--card-bg)', border: `1px solid var(--card-border)`, color: 'var(--fg)' }}>
+              <option value="">Alla grupper</option>
+              {searchGroups.map((g) => <option key={g} value={g}>{g}</option>)}
+            </select>
+            {searchIndex?.categories.length > 0 && (
+              <select value={searchFilters.category} onChange={(e) => setSearchFilters((f) => ({ ...f, category: e.target.value }))} className="rounded-xl px-2 py-2 text-sm outline-none max-w-[14rem]" style={{ backgroundColor: 'var(--card-bg)', border: `1px solid var(--card-border)`, color: 'var(--fg)' }}>
+                <option value="">Alla kategorier</option>
+                {searchIndex.categories.map((c) => <option key={c} value={c}>{c}</option>)}
+              </select>
+            )}
+            {searchFilters !== EMPTY_SEARCH_FILTERS && <button onClick={() => setSearchFilters(EMPTY_SEARCH_FILTERS)} className="text-sm underline opacity-80 hover:opacity-100">Rensa filter</button>}
+          </div>
+        ) : (movies.length > 0 || series.length > 0) && (
+          <div className="flex gap-2">
+            {[["live", "Live-TV", channels.length], ["movies", "Filmer", movies.length], ["series", "Serier", series.length]].map(([id, label, n]) => (
+              <UIButton key={id} onClick={() => { setSection(id); setSelected({ row: 0, col: 0 }); }} className={section === id ? 'bg-red-600 text-white border-transparent' : ''}>{label} · {n}</UIButton>
+            ))}
+          </div>
+        )}
+        {renderedRows.length === 0 && searchQuery && (<div className="opacity-70 text-sm">Inga träffar för "{searchQuery}".</div>)}
+        {renderedRows.length === 0 && !searchQuery && (<div className="opacity-70 text-sm">Tips: Dra & släpp din .m3u eller .xmltv hit, eller klistra in URL:er ovan.</div>)}
         {renderedRows.map((row, rowIndex) => (
-          <Row key={row.title} title={row.title} items={row.items} rowIndex={rowIndex} selected={selected} onSelect={(sel)=>{ setSelected({ row: sel.row, col: sel.col }); if (sel.openEpgFor) setEpgFor(sel.openEpgFor); }} onPlay={onPlay} favorites={favSet} toggleFavorite={toggleFavorite} epg={epg} />
+          <LazyRow key={row.key || row.title} eager={rowIndex < 3}>
+          <Row title={row.title} items={row.items} rowIndex={rowIndex} selected={selected} onSelect={(sel)=>{ setSelected({ row: sel.row, col: sel.col }); if (sel.openEpgFor) setEpgFor(sel.openEpgFor); }} onPlay={playFrom(row)} favorites={favSet} toggleFavorite={toggleFavorite} nowNext={nowNext}
+            reminders={reminders} onRemoveRecording={(item) => recorder?.remove(item.recordingId).catch(() => {})} onRemoveHistory={(item) => history.removeKey(item.key)} onMultiview={addToMultiview} multiviewTiles={multiview} health={healthResults}
+            actions={row.recordings && <UIButton onClick={() => recorder.openFolder().catch(() => {})} title="Öppna mappen med inspelningar"><FolderOpen className="h-5 w-5"/></UIButton>} />
+          </LazyRow>
         ))}
       </main>
 
-      {playing && (<HlsPlayer src={playing.url} title={playing.title} logo={playing.logo} onClose={() => setPlaying(null)} />)}
-      {epgFor && (<EpgModal channel={epgFor} epg={epg} onClose={()=>setEpgFor(null)} />)}
+      {guideOpen && (<EpgGrid channels={visibleChannels} epg={epg} onPlay={onPlay} onPlayCatchup={onPlayCatchup} onClose={()=>setGuideOpen(false)} active={!playing || docked} />)}
+      {epgFor && (<EpgModal channel={epgFor} epg={epg} source={sourceFor(epgFor)} recorder={recorder} reminders={reminders} onPlayCatchup={onPlayCatchup} onClose={()=>setEpgFor(null)} />)}
+      {healthOpen && health && (<StreamHealthModal channels={channels} edits={channelEdits} setEdits={setChannelEdits} health={health} onClose={() => setHealthOpen(false)} />)}
+      {backupOpen && (<BackupModal channels={visibleChannels} epgUrls={sources.filter((s) => s.kind === "epg" && s.enabled && s.type === "url").map((s) => s.url)} onClose={() => setBackupOpen(false)} />)}
+      {networkOpen && (<NetworkSettings onClose={() => setNetworkOpen(false)} />)}
+      {remoteOpen && (<RemoteSettings onClose={() => setRemoteOpen(false)} />)}
+      {controlsOpen && (<GamepadSettings onClose={() => setControlsOpen(false)} />)}
+      {historyOpen && (<HistoryModal entries={lockedUrls.size ? history.entries.filter((e) => !lockedUrls.has(e.url)) : history.entries} onPlay={(e) => { setHistoryOpen(false); playHistory(e); }} onRemove={history.remove} onClear={history.clear} onClose={() => setHistoryOpen(false)} />)}
+      {managerOpen && (<ChannelManager channels={channels} edits={channelEdits} setEdits={setChannelEdits} onClose={() => setManagerOpen(false)} />)}
+      {matchOpen && (<EpgMatchModal channels={channels} epg={epg} overrides={epgOverrides} setOverrides={setEpgOverrides} onReloadEpg={() => { for (const s of sources) if (s.kind === "epg" && s.enabled) library.refreshSource(s).catch(() => {}); }} onClose={() => setMatchOpen(false)} />)}
+      {seriesFor && (<SeriesModal series={seriesFor} source={sourceFor(seriesFor)} onPlay={onPlay} onClose={()=>setSeriesFor(null)} />)}
+      {playing && (<HlsPlayer key={playing.url + (playing.catchupProg ? ":" + playing.catchupProg.start.getTime() : "")} src={playing.url} headers={playing.headers} catchup={catchup} vod={!!playing.kind} title={playing.title} logo={playing.logo} prefs={{ ...DEFAULT_PLAYER_PREFS, ...playerPrefs }} setPrefs={setPlayerPrefs} alternatives={alternatives} failures={playbackLog[playingKey]} onFailure={logPlaybackFailure} recording={playerRecording} startAt={playing.resumeAt} onProgress={history.progress}
+        mode={docked ? "docked" : "full"} onDock={() => setDocked(true)} onExpand={() => setDocked(false)} onPopOut={popOut} onMultiview={!playing.kind && !playing.catchupProg ? openMultiview : undefined} onClose={() => setPlaying(null)} />)}
+      {multiOpen && (<MultiView tiles={multiview} setTiles={setMultiview} channels={visibleChannels} prefs={{ ...DEFAULT_PLAYER_PREFS, ...playerPrefs }} onClose={() => setMultiOpen(false)} />)}
 
       <footer className="py-8 text-center text-xs" style={{ color: 'var(--muted)' }}>
         <div>Byggd i React + Tailwind + hls.js. Gamepad‑stöd aktivt <Gamepad2 className="inline h-3 w-3"/>. EPG via XMLTV.</div>
@@ -411,7 +3967,7 @@ export default function IPTVNetflixApp() {
   );
 }
 
-function HeroLoadSources({ onLoadUrl, onLoadEpgUrl, playlistMeta, epgMeta, count, hasEpg }) {
+function HeroLoadSources({ onLoadUrl, onLoadEpgUrl, onLoadXtream, library, count, hasEpg, onOpenMatching }) {
   const [url, setUrl] = useState("");
   const [epgUrl, setEpgUrl] = useState("");
   const [loading, setLoading] = useState(false);
@@ -419,14 +3975,17 @@ function HeroLoadSources({ onLoadUrl, onLoadEpgUrl, playlistMeta, epgMeta, count
   const [err, setErr] = useState("");
   const [epgErr, setEpgErr] = useState("");
   const load = async () => { setErr(""); setLoading(true); try { await onLoadUrl(url); setUrl(""); } catch (e) { setErr(String(e.message || e)); } finally { setLoading(false); } };
+  const [xtream, setXtream] = useState({ server: "", username: "", password: "" });
+  const [loadingXtream, setLoadingXtream] = useState(false);
+  const [xtreamErr, setXtreamErr] = useState("");
+  const loadXtream = async () => { setXtreamErr(""); setLoadingXtream(true); try { await onLoadXtream(xtream); setXtream({ server: "", username: "", password: "" }); } catch (e) { setXtreamErr(String(e.message || e)); } finally { setLoadingXtream(false); } };
   const loadEpg = async () => { setEpgErr(""); setLoadingEpg(true); try { await onLoadEpgUrl(epgUrl); setEpgUrl(""); } catch (e) { setEpgErr(String(e.message || e)); } finally { setLoadingEpg(false); } };
   return (
     <div className="relative rounded-2xl p-6 border" style={{ backgroundColor: 'var(--card-bg)', borderColor: 'var(--card-border)' }}>
-      <div className="grid md:grid-cols-2 gap-6">
+      <div className="grid md:grid-cols-2 xl:grid-cols-3 gap-6">
         <div>
           <div className="text-2xl font-semibold">Ladda spellista</div>
           <div className="text-sm" style={{ color: 'var(--muted)' }}>Klistra in en .m3u/.m3u8‑URL eller importera en fil. {count ? `Laddade kanaler: ${count}` : ""}</div>
-          {playlistMeta?.sourceName && (<div className="text-xs mt-1" style={{ color: 'var(--muted)' }}>Källa: {playlistMeta.sourceType} · {playlistMeta.sourceName}</div>)}
           <div className="mt-3 flex gap-2">
             <input value={url} onChange={(e)=>setUrl(e.target.value)} placeholder="https://exempel.com/playlist.m3u8" className="flex-1 rounded-xl px-3 py-2 outline-none" style={{ backgroundColor: 'var(--card-bg)', border: `1px solid var(--card-border)`, color: 'var(--fg)' }} />
             <UIButton onClick={load} disabled={loading || !url}>{loading ? "Laddar..." : "Ladda"}</UIButton>
@@ -435,15 +3994,73 @@ function HeroLoadSources({ onLoadUrl, onLoadEpgUrl, playlistMeta, epgMeta, count
         </div>
         <div>
           <div className="text-2xl font-semibold flex items-center gap-2">Ladda EPG <Info className="h-4 w-4 opacity-60"/></div>
-          <div className="text-sm" style={{ color: 'var(--muted)' }}>XMLTV (.xml/.xmltv). Visar nu/nästa + guide. {hasEpg ? "EPG inläst" : "Ingen EPG inläst"}</div>
-          {epgMeta?.sourceName && (<div className="text-xs mt-1" style={{ color: 'var(--muted)' }}>Källa: {epgMeta.sourceType} · {epgMeta.sourceName}</div>)}
+          <div className="text-sm" style={{ color: 'var(--muted)' }}>XMLTV (.xml/.xmltv, även .gz). Visar nu/nästa + guide. {hasEpg ? "EPG inläst" : "Ingen EPG inläst"}
+            {hasEpg && count > 0 && <button onClick={onOpenMatching} className="ml-2 underline opacity-80 hover:opacity-100">Granska kanalmatchning</button>}
+          </div>
           <div className="mt-3 flex gap-2">
             <input value={epgUrl} onChange={(e)=>setEpgUrl(e.target.value)} placeholder="https://exempel.com/epg.xml" className="flex-1 rounded-xl px-3 py-2 outline-none" style={{ backgroundColor: 'var(--card-bg)', border: `1px solid var(--card-border)`, color: 'var(--fg)' }} />
             <UIButton onClick={loadEpg} disabled={loadingEpg || !epgUrl}>{loadingEpg ? "Laddar..." : "Ladda EPG"}</UIButton>
           </div>
           {epgErr && <div className="text-red-400 text-xs mt-2">{epgErr}</div>}
         </div>
+        <div>
+          <div className="text-2xl font-semibold">Xtream Codes</div>
+          <div className="text-sm" style={{ color: 'var(--muted)' }}>Server, användarnamn och lösenord från leverantören. Ger live-TV, filmer och serier.</div>
+          <div className="mt-3 flex flex-col gap-2">
+            <input value={xtream.server} onChange={(e)=>setXtream({ ...xtream, server: e.target.value })} placeholder="http://server.exempel.com:8080" className="rounded-xl px-3 py-2 outline-none" style={{ backgroundColor: 'var(--card-bg)', border: `1px solid var(--card-border)`, color: 'var(--fg)' }} />
+            <div className="flex gap-2">
+              <input value={xtream.username} onChange={(e)=>setXtream({ ...xtream, username: e.target.value })} placeholder="Användarnamn" className="flex-1 min-w-0 rounded-xl px-3 py-2 outline-none" style={{ backgroundColor: 'var(--card-bg)', border: `1px solid var(--card-border)`, color: 'var(--fg)' }} />
+              <input type="password" value={xtream.password} onChange={(e)=>setXtream({ ...xtream, password: e.target.value })} placeholder="Lösenord" className="flex-1 min-w-0 rounded-xl px-3 py-2 outline-none" style={{ backgroundColor: 'var(--card-bg)', border: `1px solid var(--card-border)`, color: 'var(--fg)' }} />
+              <UIButton onClick={loadXtream} disabled={loadingXtream || !xtream.server || !xtream.username || !xtream.password}>{loadingXtream ? "Laddar..." : "Lägg till"}</UIButton>
+            </div>
+          </div>
+          {xtreamErr && <div className="text-red-400 text-xs mt-2">{xtreamErr}</div>}
+        </div>
       </div>
+      {library.sources.length > 0 && <SourceList library={library} />}
+    </div>
+  );
+}
+
+function progressLabel(p) {
+  if (!p) return "";
+  if (p.total) return ` ${Math.min(100, Math.round((p.loaded / p.total) * 100))}%`;
+  return ` ${(p.loaded / 1048576).toFixed(1)} MB`;
+}
+function sourceCountLabel(src) {
+  if (src.kind === "epg") return `${src.count} kanaler`;
+  if (src.kind === "xtream") return `${src.count} kanaler · ${src.movieCount || 0} filmer · ${src.seriesCount || 0} serier`;
+  return `${src.count} poster`;
+}
+
+function SourceList({ library }) {
+  const { sources, busy, progress, updateSource, removeSource, refreshSource } = library;
+  const fmtStamp = (t) => (t ? new Date(t).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' }) : "aldrig");
+  const inputStyle = { backgroundColor: 'var(--card-bg)', border: `1px solid var(--card-border)`, color: 'var(--fg)' };
+  return (
+    <div className="mt-6 border-t pt-4 space-y-2" style={{ borderColor: 'var(--card-border)' }}>
+      <div className="text-sm font-semibold">Källor</div>
+      {sources.map((src) => (
+        <div key={src.id} className={"flex flex-wrap items-center gap-3 rounded-xl border px-3 py-2 " + (src.enabled ? '' : 'opacity-60')} style={{ borderColor: 'var(--card-border)' }}>
+          <input type="checkbox" checked={src.enabled} onChange={(e) => updateSource(src.id, { enabled: e.target.checked })} title="Aktiv" />
+          <span className="text-[10px] uppercase tracking-wide px-2 py-0.5 rounded-full bg-black/30">{src.kind === "epg" ? "EPG" : src.kind === "xtream" ? "Xtream" : "Spellista"}</span>
+          <div className="flex-1 min-w-[12rem]">
+            <input defaultValue={src.name} onBlur={(e) => e.target.value.trim() && e.target.value !== src.name && updateSource(src.id, { name: e.target.value.trim() })} className="w-full bg-transparent font-medium outline-none" />
+            <div className="text-xs truncate" style={{ color: 'var(--muted)' }} title={src.url}>{src.type === "file" ? "Fil" : src.kind === "xtream" ? `${src.username} @ ${src.url}` : src.url}</div>
+          </div>
+          <div className="text-xs text-right" style={{ color: 'var(--muted)' }}>
+            {busy[src.id] ? <div>Laddar...{progressLabel(progress[src.id])}</div> : <div>Senast uppdaterad: {fmtStamp(src.lastSuccess)}{src.lastSuccess ? ` · ${sourceCountLabel(src)}` : ""}</div>}
+            {src.lastError && !busy[src.id] && <div className="text-red-400 truncate max-w-xs" title={src.lastError}>Fel {fmtStamp(src.lastAttempt)}: {src.lastError}</div>}
+          </div>
+          {src.type !== "file" && (
+            <select value={src.refreshHours} onChange={(e) => updateSource(src.id, { refreshHours: Number(e.target.value) })} className="rounded-lg px-2 py-1 text-xs outline-none" style={inputStyle}>
+              {REFRESH_OPTIONS.map((o) => <option key={o.hours} value={o.hours}>{o.label}</option>)}
+            </select>
+          )}
+          <UIButton onClick={() => refreshSource(src).catch(() => {})} disabled={!!busy[src.id]} title="Uppdatera nu"><RefreshCw className={"h-4 w-4" + (busy[src.id] ? " animate-spin" : "")}/></UIButton>
+          <UIButton onClick={() => removeSource(src.id)} title="Ta bort"><Trash2 className="h-4 w-4"/></UIButton>
+        </div>
+      ))}
     </div>
   );
 }
@@ -455,7 +4072,7 @@ function HeroLoadSources({ onLoadUrl, onLoadEpgUrl, playlistMeta, epgMeta, count
    npm create vite@latest netiptv-desktop -- --template react
    cd netiptv-desktop
    npm i
-   npm i hls.js framer-motion lucide-react tailwindcss postcss autoprefixer
+   npm i hls.js lucide-react tailwindcss postcss autoprefixer
    npx tailwindcss init -p
    // index.css: @tailwind base; @tailwind components; @tailwind utilities;
 
@@ -493,12 +4110,9 @@ function HeroLoadSources({ onLoadUrl, onLoadEpgUrl, playlistMeta, epgMeta, count
        width: 1280, height: 800,
        backgroundColor: '#0a0a0a',
        autoHideMenuBar: true,
-       webPreferences: { contextIsolation: true, sandbox: true, webSecurity: false }
-     });
-     session.defaultSession.webRequest.onBeforeSendHeaders((details, cb) => {
-       details.requestHeaders['User-Agent'] = details.requestHeaders['User-Agent'] || 'Mozilla/5.0';
-       cb({ cancel: false, requestHeaders: details.requestHeaders });
+       webPreferences: { preload: path.join(__dirname, 'preload.js'), contextIsolation: true, sandbox: true }
      });
+     // Hämtningar, strömproxy och headers per host: se electron/net.js
      if (process.env.VITE_DEV_SERVER_URL) win.loadURL(process.env.VITE_DEV_SERVER_URL);
      else win.loadFile(path.join(__dirname, '../dist/index.html'));
    }
@@ -509,7 +4123,7 @@ function HeroLoadSources({ onLoadUrl, onLoadEpgUrl, playlistMeta, epgMeta, count
    npm run dist
 
 Tips
-- Om vissa strömmar kräver referer/cookie: lägg headers i webRequest ovan.
+- Om vissa strömmar kräver referer/cookie: lägg till dem per värd under Nätverk (eller som #EXTVLCOPT i spellistan).
 - DRM-strömmar funkar inte i hls.js.
 - Gamepad: standard Gamepad API (Xbox/PS). Fjärr som mappar D‑pad fungerar.
 */
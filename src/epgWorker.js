@@ -0,0 +1,60 @@
+// Web Worker: hämtar/läser XMLTV (även .gz) och parsar strömmande utanför huvudtråden.
+// In:  { id, url } eller { id, file }, plus keepIds/keepNames (arrayer) för att filtrera på spellistan
+// Ut:  { id, type: "progress", loaded, total } ... { id, type: "done", channels, channelNames, progs } | { id, type: "error", message }
+import { createXmltvParser } from "./xmltv.js";
+
+const PROGRESS_INTERVAL_MS = 200;
+
+// Läser första biten för att känna igen gzip (1f 8b) och räknar bytes för progress
+async function openStream(raw, onBytes) {
+  const reader = raw.getReader();
+  const first = await reader.read();
+  const head = first.value || new Uint8Array(0);
+  const counted = new ReadableStream({
+    start(c) { onBytes(head.length); if (head.length) c.enqueue(head); if (first.done) c.close(); },
+    async pull(c) { const { done, value } = await reader.read(); if (done) c.close(); else { onBytes(value.length); c.enqueue(value); } },
+    cancel(reason) { return reader.cancel(reason); },
+  });
+  const gzip = head[0] === 0x1f && head[1] === 0x8b;
+  return gzip ? counted.pipeThrough(new DecompressionStream("gzip")) : counted;
+}
+
+function sniffEncoding(bytes) {
+  const head = new TextDecoder("latin1").decode(bytes.subarray(0, 256));
+  const m = head.match(/encoding\s*=\s*["']([\w.:-]+)["']/i);
+  if (!m) return "utf-8";
+  try { new TextDecoder(m[1]); return m[1]; } catch { return "utf-8"; }
+}
+
+async function parse({ id, url, file, keepIds, keepNames }) {
+  let raw, total = 0;
+  if (file) { raw = file.stream(); total = file.size; }
+  else {
+    const res = await fetch(url);
+    if (!res.ok) throw new Error("Kunde inte ladda EPG: " + res.status);
+    raw = res.body; total = Number(res.headers.get("content-length")) || 0;
+  }
+  let loaded = 0, lastReport = 0;
+  const stream = await openStream(raw, (n) => {
+    loaded += n;
+    const now = Date.now();
+    if (now - lastReport > PROGRESS_INTERVAL_MS) { lastReport = now; self.postMessage({ id, type: "progress", loaded, total }); }
+  });
+  const parser = createXmltvParser({ keepIds: keepIds ? new Set(keepIds) : null, keepNames: keepNames ? new Set(keepNames) : null });
+  const reader = stream.getReader();
+  let decoder = null;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    if (!decoder) decoder = new TextDecoder(sniffEncoding(value));
+    parser.write(decoder.decode(value, { stream: true }));
+  }
+  if (decoder) parser.write(decoder.decode());
+  const { channelIdToName, channelNames, progs } = parser.end();
+  self.postMessage({ id, type: "progress", loaded, total: total || loaded });
+  self.postMessage({ id, type: "done", channels: [...channelIdToName], channelNames: [...channelNames], progs: [...progs] });
+}
+
+self.onmessage = (e) => {
+  parse(e.data).catch((err) => self.postMessage({ id: e.data.id, type: "error", message: String(err?.message || err) }));
+};
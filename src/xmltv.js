@@ -0,0 +1,158 @@
+// ------------------------ XMLTV (EPG) Parser ------------------------
+// Inkrementell SAX-liknande parser: matas med textbitar i valfri storlek via write()
+// så att även 150 MB-guider kan läsas strömmande (se epgWorker.js).
+
+export function parseXmltvDate(s) {
+  if (!s) return null;
+  const m = s.match(/(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})(?:\s?([+-]\d{4}))?/);
+  if (!m) return null;
+  const [_, Y, Mo, D, H, Mi, S, tz] = m;
+  const iso = `${Y}-${Mo}-${D}T${H}:${Mi}:${S}` + (tz ? tz.replace(/(\d{2})(\d{2})/, "$1:$2") : "Z");
+  return new Date(iso);
+}
+export function normalizeName(s) {
+  return (s || "").toLowerCase().replace(/[^a-z0-9]+/g, " ").trim();
+}
+// Ord som inte säger något om vilken kanal det är: kvalitet, codec och landskoder
+const NOISE_TOKENS = new Set([
+  "hd", "fhd", "uhd", "sd", "hq", "4k", "8k", "hevc", "h264", "h265", "720p", "1080p", "1080i", "2160p", "50fps", "60fps", "raw", "backup", "orig", "tv",
+  "se", "sv", "swe", "dk", "no", "nor", "fi", "fin", "uk", "gb", "us", "usa", "de", "ger", "fr", "es", "nl", "pl", "pt", "tr", "ru", "int", "com", "net",
+]);
+export function nameTokens(s) {
+  const tokens = normalizeName((s || "").normalize("NFD").replace(/[\u0300-\u036f]/g, "").replace(/&/g, " and ")).split(" ").filter(Boolean);
+  const meaningful = tokens.filter((t) => !NOISE_TOKENS.has(t));
+  return meaningful.length ? meaningful : tokens;
+}
+// Kompakt nyckel: "SVT1 HD", "SVT 1 SE" och "svt1.se" blir alla "svt1"
+export function channelKey(s) {
+  return nameTokens(s).join("");
+}
+
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" };
+function decodeEntities(s) {
+  if (s.indexOf("&") === -1) return s;
+  return s.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (all, e) => {
+    if (e[0] !== "#") return ENTITIES[e] ?? all;
+    const code = e[1] === "x" || e[1] === "X" ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10);
+    try { return String.fromCodePoint(code); } catch { return all; }
+  });
+}
+function parseTagAttrs(s) {
+  const attrs = {};
+  const re = /([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  let m; while ((m = re.exec(s))) attrs[m[1]] = decodeEntities(m[2] ?? m[3]);
+  return attrs;
+}
+
+// Element vars textinnehåll vi samlar in
+const TEXT_ELEMENTS = new Set(["display-name", "title", "sub-title", "desc", "category", "episode-num", "value"]);
+
+/**
+ * keepIds/keepNames (Set) begränsar resultatet till kanaler som finns i spellistan:
+ * en XMLTV-kanal behålls om dess id finns i keepIds eller om id:t eller något
+ * display-name ger en channelKey() som finns i keepNames. Utan filter behålls allt.
+ * channelNames innehåller alla kanaler i filen (även bortfiltrerade) för manuell matchning.
+ */
+export function createXmltvParser({ keepIds = null, keepNames = null } = {}) {
+  const filtered = !!(keepIds || keepNames);
+  const channelIdToName = new Map();
+  const channelNames = new Map(); // id -> [display-name, ...] för alla kanaler
+  const progs = new Map();
+  const kept = new Set();
+  let buf = "";
+  let text = null;       // null = samlar inte text just nu
+  let channel = null;    // { id, names }
+  let prog = null;       // programmet som läses
+  let inRating = false;
+
+  const keepProgramme = (id) => !filtered || kept.has(id) || !!keepIds?.has(id);
+
+  function onOpen(name, attrs) {
+    if (TEXT_ELEMENTS.has(name) && (channel || prog)) { text = ""; return; }
+    if (name === "channel") channel = { id: attrs.id || "", names: [] };
+    else if (name === "programme") {
+      const start = parseXmltvDate(attrs.start), stop = parseXmltvDate(attrs.stop);
+      prog = { channel: attrs.channel || "", start, stop, title: "", desc: "", category: "" };
+    } else if (name === "rating" && prog) inRating = true;
+    else if (name === "icon" && prog && attrs.src) prog.icon = attrs.src;
+  }
+  function onClose(name) {
+    if (text !== null && TEXT_ELEMENTS.has(name)) {
+      const value = decodeEntities(text.trim()); text = null;
+      if (channel && name === "display-name") { if (value) channel.names.push(value); }
+      else if (prog) {
+        if (name === "title" && !prog.title) prog.title = value;
+        else if (name === "desc" && !prog.desc) prog.desc = value;
+        else if (name === "category" && !prog.category) prog.category = value;
+        else if (name === "sub-title" && !prog.subTitle) prog.subTitle = value;
+        else if (name === "episode-num" && !prog.episode) prog.episode = value;
+        else if (name === "value" && inRating && !prog.rating) prog.rating = value;
+      }
+      return;
+    }
+    if (name === "channel" && channel) {
+      const { id, names } = channel; channel = null;
+      channelNames.set(id, names.length ? names : [id]);
+      if (!filtered || keepIds?.has(id) || keepNames?.has(channelKey(id)) || names.some((n) => keepNames?.has(channelKey(n)))) {
+        kept.add(id);
+        channelIdToName.set(id, names[0] || id);
+      }
+    } else if (name === "programme" && prog) {
+      const p = prog; prog = null;
+      if (!p.start || !p.stop || isNaN(p.start) || isNaN(p.stop) || !keepProgramme(p.channel)) return;
+      const id = p.channel; delete p.channel;
+      if (!p.title) p.title = "(okänt)";
+      if (!progs.has(id)) progs.set(id, []);
+      progs.get(id).push(p);
+    } else if (name === "rating") inRating = false;
+  }
+
+  function write(chunk) {
+    buf += chunk;
+    let i = 0;
+    for (;;) {
+      const lt = buf.indexOf("<", i);
+      if (lt === -1) { if (text !== null) text += buf.slice(i); i = buf.length; break; }
+      if (lt > i && text !== null) text += buf.slice(i, lt);
+      if (buf.startsWith("<!--", lt)) {
+        const e = buf.indexOf("-->", lt + 4); if (e === -1) { i = lt; break; }
+        i = e + 3; continue;
+      }
+      if (buf.startsWith("<![CDATA[", lt)) {
+        const e = buf.indexOf("]]>", lt + 9); if (e === -1) { i = lt; break; }
+        if (text !== null) text += buf.slice(lt + 9, e).replace(/&/g, "&amp;");
+        i = e + 3; continue;
+      }
+      // Leta '>' utanför citattecken (attributvärden får innehålla '>')
+      let j = lt + 1, q = 0;
+      for (; j < buf.length; j++) {
+        const c = buf.charCodeAt(j);
+        if (q) { if (c === q) q = 0; } else if (c === 34 || c === 39) q = c; else if (c === 62) break;
+      }
+      if (j >= buf.length) { i = lt; break; }
+      const tag = buf.slice(lt + 1, j); i = j + 1;
+      if (tag[0] === "?" || tag[0] === "!") continue;
+      if (tag[0] === "/") { onClose(tag.slice(1).trim()); continue; }
+      const selfClosing = tag.endsWith("/");
+      const body = selfClosing ? tag.slice(0, -1) : tag;
+      const sp = body.search(/\s/);
+      const name = sp === -1 ? body : body.slice(0, sp);
+      onOpen(name, sp === -1 ? {} : parseTagAttrs(body.slice(sp)));
+      if (selfClosing) onClose(name);
+    }
+    buf = buf.slice(i);
+  }
+
+  function end() {
+    for (const arr of progs.values()) arr.sort((a, b) => a.start - b.start);
+    return { channelIdToName, channelNames, progs };
+  }
+
+  return { write, end };
+}
+
+export function parseXMLTV(xmlText, opts) {
+  const parser = createXmltvParser(opts);
+  parser.write(xmlText);
+  return parser.end();
+}